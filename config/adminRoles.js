@@ -0,0 +1,76 @@
+/**
+ * Admin roles and the permissions each one grants.
+ * Routes check permissions (never role names) via requirePermission().
+ */
+
+const PERMISSIONS = {
+  ADMINS_MANAGE: "admins:manage",
+  USERS_READ: "users:read",
+  USERS_MANAGE: "users:manage",
+  STATS_READ: "stats:read",
+  CATALOG_WRITE: "catalog:write",
+  /** Publish products and approve their revisions — by default only super admins */
+  CATALOG_PUBLISH: "catalog:publish",
+  BANNERS_MANAGE: "banners:manage",
+  DEALS_WRITE: "deals:write",
+  REVIEWS_MODERATE: "reviews:moderate",
+  ORDERS_READ: "orders:read",
+  ORDERS_UPDATE: "orders:update",
+  PAYMENTS_READ: "payments:read",
+  PAYMENTS_MANAGE: "payments:manage",
+  NOTIFICATIONS_READ: "notifications:read",
+  NOTIFICATIONS_SEND: "notifications:send",
+};
+
+const ROLES = {
+  SUPER_ADMIN: "super_admin",
+  CATALOG_MANAGER: "catalog_manager",
+  OPERATIONS: "operations",
+  SUPPORT: "support",
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.SUPER_ADMIN]: Object.values(PERMISSIONS),
+
+  [ROLES.CATALOG_MANAGER]: [
+    PERMISSIONS.STATS_READ,
+    PERMISSIONS.CATALOG_WRITE,
+    PERMISSIONS.BANNERS_MANAGE,
+    PERMISSIONS.DEALS_WRITE,
+    PERMISSIONS.REVIEWS_MODERATE,
+  ],
+
+  [ROLES.OPERATIONS]: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.USERS_MANAGE,
+    PERMISSIONS.STATS_READ,
+    PERMISSIONS.ORDERS_READ,
+    PERMISSIONS.ORDERS_UPDATE,
+    PERMISSIONS.PAYMENTS_READ,
+    PERMISSIONS.PAYMENTS_MANAGE,
+    PERMISSIONS.NOTIFICATIONS_READ,
+    PERMISSIONS.NOTIFICATIONS_SEND,
+  ],
+
+  [ROLES.SUPPORT]: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.USERS_MANAGE,
+    PERMISSIONS.STATS_READ,
+    PERMISSIONS.ORDERS_READ,
+    PERMISSIONS.PAYMENTS_READ,
+    PERMISSIONS.REVIEWS_MODERATE,
+    PERMISSIONS.NOTIFICATIONS_READ,
+  ],
+};
+
+/** @returns {boolean} */
+function roleHasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_PERMISSIONS,
+  roleHasPermission,
+};
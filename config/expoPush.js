@@ -0,0 +1,48 @@
+const axios = require("axios");
+
+const EXPO_PUSH_URL = "https://exp.host/--/api/v2/push/send";
+const EXPO_RECEIPTS_URL = "https://exp.host/--/api/v2/push/getReceipts";
+
+/** Expo accepts at most 100 messages and 1000 receipt ids per request */
+const EXPO_SEND_CHUNK_SIZE = 100;
+const EXPO_RECEIPT_CHUNK_SIZE = 1000;
+
+function expoHeaders() {
+  const headers = {
+    Accept: "application/json",
+    "Accept-Encoding": "gzip, deflate",
+    "Content-Type": "application/json",
+  };
+
+  // Only needed when "enhanced push security" is enabled on the Expo project
+  if (process.env.EXPO_ACCESS_TOKEN) {
+    headers.Authorization = `Bearer ${process.env.EXPO_ACCESS_TOKEN}`;
+  }
+
+  return headers;
+}
+
+/**
+ * @param {Object[]} messages Expo push messages ({ to, title, body, data, ... }), max 100
+ * @returns {Promise<Object[]>} push tickets, in the same order as messages
+ */
+async function sendExpoMessages(messages) {
+  const response = await axios.post(EXPO_PUSH_URL, messages, { headers: expoHeaders() });
+  return response.data?.data || [];
+}
+
+/**
+ * @param {string[]} ids ticket ids, max 1000
+ * @returns {Promise<Object<string, { status: string, message?: string, details?: Object }>>}
+ */
+async function getExpoReceipts(ids) {
+  const response = await axios.post(EXPO_RECEIPTS_URL, { ids }, { headers: expoHeaders() });
+  return response.data?.data || {};
+}
+
+module.exports = {
+  EXPO_SEND_CHUNK_SIZE,
+  EXPO_RECEIPT_CHUNK_SIZE,
+  sendExpoMessages,
+  getExpoReceipts,
+};
@@ -0,0 +1,27 @@
+/**
+ * OTP abuse limits — every value can be overridden from .env.
+ * Windows are rolling (last hour / last 24h), not calendar based.
+ */
+
+const num = (value, fallback) => {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+
+module.exports = {
+  /** Wrong codes allowed per OTP challenge before the phone is locked */
+  maxVerifyAttempts: num(process.env.OTP_MAX_VERIFY_ATTEMPTS, 5),
+
+  /** First lockout length; each consecutive lockout doubles it up to the max */
+  lockoutBaseSeconds: num(process.env.OTP_LOCKOUT_BASE_SECONDS, 15 * 60),
+  lockoutMaxSeconds: num(process.env.OTP_LOCKOUT_MAX_SECONDS, 24 * 60 * 60),
+
+  /** Minimum gap between two SMS to the same phone, even with forceResend */
+  resendCooldownSeconds: num(process.env.OTP_RESEND_COOLDOWN_SECONDS, 30),
+
+  maxSendsPerPhonePerHour: num(process.env.OTP_MAX_SENDS_PER_PHONE_HOUR, 5),
+  maxSendsPerPhonePerDay: num(process.env.OTP_MAX_SENDS_PER_PHONE_DAY, 10),
+
+  maxSendsPerIpPerHour: num(process.env.OTP_MAX_SENDS_PER_IP_HOUR, 20),
+  maxVerifiesPerIpPerHour: num(process.env.OTP_MAX_VERIFIES_PER_IP_HOUR, 60),
+};
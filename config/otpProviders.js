@@ -0,0 +1,37 @@
+/**
+ * OTP delivery providers.
+ *
+ *   OTP_PROVIDER           active provider (default "2factor")
+ *   OTP_PROVIDER_FAILOVER  comma-separated providers tried in order when the
+ *                          active one fails or is not configured, e.g. "twilio,console"
+ *
+ * Known providers: "2factor", "twilio", "console".
+ */
+
+const parseList = (value) =>
+  String(value || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+
+const active = (process.env.OTP_PROVIDER || "2factor").trim().toLowerCase();
+
+module.exports = {
+  /** Active provider first, then failovers — duplicates removed */
+  providerOrder: [...new Set([active, ...parseList(process.env.OTP_PROVIDER_FAILOVER)])],
+
+  twoFactor: {
+    apiKey: process.env.TWO_FACTOR_API_KEY,
+  },
+
+  twilio: {
+    accountSid: process.env.TWILIO_ACCOUNT_SID,
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    verifyServiceSid: process.env.TWILIO_VERIFY_SERVICE_SID,
+  },
+
+  console: {
+    /** Optional file the generated codes are appended to (one line per send) */
+    file: process.env.OTP_CONSOLE_FILE || null,
+  },
+};
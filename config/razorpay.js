@@ -0,0 +1,18 @@
+const Razorpay = require("razorpay");
+
+let razorpay;
+
+/**
+ * Shared Razorpay client, or null when RAZORPAY_KEY_ID / RAZORPAY_KEY_SECRET
+ * aren't set.
+ */
+function getRazorpay() {
+  if (razorpay !== undefined) return razorpay;
+
+  const keyId = process.env.RAZORPAY_KEY_ID;
+  const keySecret = process.env.RAZORPAY_KEY_SECRET;
+  razorpay = keyId && keySecret ? new Razorpay({ key_id: keyId, key_secret: keySecret }) : null;
+  return razorpay;
+}
+
+module.exports = { getRazorpay };
@@ -0,0 +1,27 @@
+/**
+ * Image storage.
+ *
+ *   STORAGE_DRIVER             "local" (default) or "supabase"
+ *   UPLOADS_DIR                local driver root (default ./uploads, served at /uploads)
+ *   UPLOADS_PUBLIC_URL         URL prefix for locally stored files (default "/uploads")
+ *   SUPABASE_STORAGE_BUCKET    public bucket used by the supabase driver (default "images")
+ *   IMAGE_CLEANUP_GRACE_HOURS  unreferenced uploads younger than this are kept (default 24),
+ *                              so an image uploaded before its product is saved survives
+ */
+
+const path = require("path");
+
+module.exports = {
+  driver: (process.env.STORAGE_DRIVER || "local").trim().toLowerCase(),
+
+  local: {
+    dir: process.env.UPLOADS_DIR || path.join(__dirname, "..", "uploads"),
+    publicUrl: (process.env.UPLOADS_PUBLIC_URL || "/uploads").replace(/\/+$/, ""),
+  },
+
+  supabase: {
+    bucket: process.env.SUPABASE_STORAGE_BUCKET || "images",
+  },
+
+  cleanupGraceHours: Number(process.env.IMAGE_CLEANUP_GRACE_HOURS) || 24,
+};
@@ -1,8 +1,9 @@
 const { createClient } = require("@supabase/supabase-js");
 
+// Storage uploads need the service role key; the anon key only works with permissive bucket policies
 const supabase = createClient(
   process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY,
+  process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY,
 );
 
 module.exports = supabase;
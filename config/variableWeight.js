@@ -0,0 +1,17 @@
+/**
+ * Variable-weight items (loose vegetables, paneer, dry fruits) are billed on
+ * the weight actually packed.
+ *
+ *   WEIGHT_TOLERANCE_PERCENT  how far over the ordered weight a customer can be
+ *                             charged for (default 10). Anything packed beyond
+ *                             that is not billed; short weight is always refunded.
+ */
+
+const num = (value, fallback) => {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+
+module.exports = {
+  tolerancePercent: num(process.env.WEIGHT_TOLERANCE_PERCENT, 10),
+};
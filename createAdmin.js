@@ -3,30 +3,55 @@ const bcrypt = require("bcryptjs");
 require("dotenv").config();
 
 const Admin = require("./models/Admin"); // make sure path is correct
+const { ROLES } = require("./config/adminRoles");
+
+/**
+ * Bootstrap the first super-admin. Credentials come from the environment:
+ *   SEED_ADMIN_EMAIL=... SEED_ADMIN_PASSWORD=... node createAdmin.js
+ * Further admins should be invited via POST /api/admin/invites.
+ */
+const SEED_ADMIN_EMAIL = process.env.SEED_ADMIN_EMAIL;
+const SEED_ADMIN_PASSWORD = process.env.SEED_ADMIN_PASSWORD;
+const SEED_ADMIN_NAME = process.env.SEED_ADMIN_NAME || "Super Admin";
 
 async function createAdmin() {
   try {
+    if (!SEED_ADMIN_EMAIL || !SEED_ADMIN_PASSWORD || SEED_ADMIN_PASSWORD.length < 8) {
+      console.error(
+        "Set SEED_ADMIN_EMAIL and SEED_ADMIN_PASSWORD (min 8 characters) to create the first admin.",
+      );
+      process.exit(1);
+    }
+
     console.log("Connecting to DB...");
     await mongoose.connect(process.env.MONGO_URI);
 
     console.log("Connected to:", mongoose.connection.name);
 
-    const existing = await Admin.findOne({ email: "admin@vadi.com" });
+    const existing = await Admin.findOne({ email: SEED_ADMIN_EMAIL });
 
     if (existing) {
-      console.log("Admin already exists");
+      // Admins created before roles existed are promoted so they keep full access
+      if (existing.role !== ROLES.SUPER_ADMIN) {
+        existing.role = ROLES.SUPER_ADMIN;
+        await existing.save();
+        console.log("Admin already exists — role set to super_admin");
+      } else {
+        console.log("Admin already exists");
+      }
       process.exit();
     }
 
-    const hashedPassword = await bcrypt.hash("12345678", 10);
+    const hashedPassword = await bcrypt.hash(SEED_ADMIN_PASSWORD, 10);
 
     const newAdmin = await Admin.create({
-      name: "Super Admin",
-      email: "admin@vadi.com",
+      name: SEED_ADMIN_NAME,
+      email: SEED_ADMIN_EMAIL,
       password: hashedPassword,
+      role: ROLES.SUPER_ADMIN,
     });
 
-    console.log("Admin created:", newAdmin);
+    console.log("Admin created:", newAdmin.email);
     process.exit();
   } catch (error) {
     console.error("Error:", error);
@@ -1,6 +1,5 @@
 const express = require("express");
 const cors = require("cors");
-const path = require("path");
 require("dotenv").config();
 
 const connectDB = require("./config/db");
@@ -17,11 +16,29 @@ const cartRoute = require("./routes/cartRoute");
 const reviewRoute = require("./routes/reviewRoute");
 const adminAuthRoutes = require("./routes/adminAuthRoutes");
 const adminRoutes = require("./routes/adminRoutes");
+const adminTwoFactorRoutes = require("./routes/adminTwoFactorRoutes");
 const sellerRoutes = require("./routes/sellerRoutes");
 const dealSettingsRoutes = require("./routes/dealSettingsRoutes");
+const searchSynonymRoutes = require("./routes/searchSynonymRoutes");
+const imageRoutes = require("./routes/imageRoutes");
+const inventoryRoutes = require("./routes/inventoryRoutes");
+const storageConfig = require("./config/storage");
+const { registerJob, startScheduler } = require("./utils/scheduler");
+const { processDueAccountDeletions } = require("./utils/accountData");
+const { processExpoReceipts } = require("./utils/pushNotifications");
+const { cleanupUnreferencedImages } = require("./utils/imageUpload");
+const { applyDueScheduledPriceChanges } = require("./utils/priceHistory");
+const { expireBatches } = require("./utils/stockBatches");
+const { applyProductSchedules } = require("./utils/productLifecycle");
 
 const app = express();
 
+// Behind a load balancer / reverse proxy, set TRUST_PROXY_HOPS so req.ip is the
+// client address (OTP per-IP throttling depends on it)
+if (process.env.TRUST_PROXY_HOPS) {
+  app.set("trust proxy", Number(process.env.TRUST_PROXY_HOPS));
+}
+
 app.use(
   cors({
     origin: ["http://localhost:3000", "http://localhost:3002"],
@@ -33,7 +50,7 @@ app.use("/payments/webhook/razorpay", express.raw({ type: "application/json" }))
 app.use(express.json());
 
 // 🔥 serve uploads FIRST
-app.use("/uploads", express.static(path.join(__dirname, "uploads")));
+app.use("/uploads", express.static(storageConfig.local.dir));
 
 app.use("/products", productRoutes);
 app.use("/categories", categoryRoutes);
@@ -45,14 +62,28 @@ app.use("/payments", paymentRoute);
 app.use("/cart", cartRoute);
 app.use("/reviews", reviewRoute);
 app.use("/sellers", sellerRoutes);
+app.use("/api/admin/2fa", adminTwoFactorRoutes);
 app.use("/api/admin", adminAuthRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/deal-settings", dealSettingsRoutes);
+app.use("/search-synonyms", searchSynonymRoutes);
+app.use("/images", imageRoutes);
+app.use("/inventory", inventoryRoutes);
 
 app.get("/", (req, res) => {
   res.send("VADI Backend running 🚀");
 });
 
+/* ================= SCHEDULED JOBS ================= */
+
+registerJob("account-deletions", 60 * 60 * 1000, processDueAccountDeletions);
+registerJob("expo-push-receipts", 5 * 60 * 1000, processExpoReceipts);
+registerJob("image-cleanup", 24 * 60 * 60 * 1000, cleanupUnreferencedImages);
+registerJob("scheduled-prices", 60 * 1000, applyDueScheduledPriceChanges);
+registerJob("batch-expiry", 15 * 60 * 1000, expireBatches);
+registerJob("product-schedules", 60 * 1000, applyProductSchedules);
+startScheduler();
+
 const PORT = process.env.PORT || 8000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
@@ -1,17 +1,75 @@
 const jwt = require("jsonwebtoken");
+const Admin = require("../models/Admin");
+const SecuritySettings = require("../models/SecuritySettings");
 
-module.exports = function (req, res, next) {
+/**
+ * Token scopes (see utils/adminTokens.js):
+ *   none         — full session
+ *   "2fa_setup"  — issued when 2FA is mandatory but not yet enrolled; only
+ *                  accepted by the enrollment routes (allowTwoFactorSetup)
+ *   "2fa_challenge" — half-finished login; never accepted here
+ */
+async function authenticate(req, res, next, { allowSetupScope }) {
   const token = req.headers.authorization?.split(" ")[1];
 
   if (!token) {
     return res.status(401).json({ message: "No token provided" });
   }
 
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return res.status(401).json({ message: "Invalid token" });
+  }
+
+  if (decoded.scope && !(allowSetupScope && decoded.scope === "2fa_setup")) {
+    return res.status(401).json({ message: "Invalid token" });
+  }
+
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.admin = decoded;
+    // Role, status and token version are read from the DB, not the token,
+    // so role changes and deactivation apply immediately
+    const admin = await Admin.findById(decoded.id).select(
+      "name email role status tokenVersion twoFactor.enabled",
+    );
+    if (!admin || admin.status !== "active") {
+      return res.status(401).json({ message: "Invalid token" });
+    }
+
+    if ((decoded.ver || 0) !== (admin.tokenVersion || 0)) {
+      return res.status(401).json({ message: "Session expired. Please login again." });
+    }
+
+    if (!admin.twoFactor?.enabled && !allowSetupScope) {
+      const settings = await SecuritySettings.findOne({ key: "global" }).lean();
+      if (settings?.requireAdminTwoFactor) {
+        return res.status(403).json({
+          message: "Two-factor authentication is required. Enroll an authenticator to continue.",
+          twoFactorSetupRequired: true,
+        });
+      }
+    }
+
+    req.admin = {
+      ...decoded,
+      role: admin.role,
+      name: admin.name,
+      email: admin.email,
+      twoFactorEnabled: Boolean(admin.twoFactor?.enabled),
+    };
     next();
   } catch (error) {
-    res.status(401).json({ message: "Invalid token" });
+    console.error("adminAuth error:", error);
+    res.status(500).json({ message: "Server error" });
   }
+}
+
+module.exports = function (req, res, next) {
+  return authenticate(req, res, next, { allowSetupScope: false });
+};
+
+/** Same as adminAuth, but also admits "2fa_setup" tokens — enrollment routes only */
+module.exports.allowTwoFactorSetup = function (req, res, next) {
+  return authenticate(req, res, next, { allowSetupScope: true });
 };
@@ -0,0 +1,20 @@
+const multer = require("multer");
+
+// Spreadsheet exports for bulk import — kept in memory, parsed straight away
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
+  fileFilter(req, file, cb) {
+    const isCsv =
+      /\.csv$/i.test(file.originalname) ||
+      ["text/csv", "application/csv", "application/vnd.ms-excel", "text/plain"].includes(
+        file.mimetype,
+      );
+    if (!isCsv) {
+      return cb(new Error("Only CSV files allowed"));
+    }
+    cb(null, true);
+  },
+});
+
+module.exports = csvUpload;
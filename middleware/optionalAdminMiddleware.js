@@ -0,0 +1,26 @@
+const jwt = require("jsonwebtoken");
+const adminAuth = require("./adminMiddleware");
+const { roleHasPermission } = require("../config/adminRoles");
+
+/**
+ * For public routes that show admins more (unpublished products, lifecycle
+ * filters). An admin token whose role carries `permission` sets req.admin;
+ * anything else — no token, a customer token, an admin without the
+ * permission — passes through as public.
+ */
+module.exports = function optionalAdmin(permission) {
+  return (req, res, next) => {
+    const token = req.headers.authorization?.split(" ")[1];
+
+    try {
+      jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return next();
+    }
+
+    return adminAuth(req, res, () => {
+      if (!roleHasPermission(req.admin.role, permission)) delete req.admin;
+      next();
+    });
+  };
+};
@@ -0,0 +1,24 @@
+const adminAuth = require("./adminMiddleware");
+const { roleHasPermission } = require("../config/adminRoles");
+
+/**
+ * Rejects admins whose role lacks `permission`. Assumes adminAuth already ran.
+ */
+function checkPermission(permission) {
+  return (req, res, next) => {
+    if (!roleHasPermission(req.admin?.role, permission)) {
+      return res.status(403).json({ message: "You do not have permission to perform this action" });
+    }
+    next();
+  };
+}
+
+/**
+ * requirePermission("catalog:write") — authenticate the admin, then check the permission.
+ * Returns a middleware array so it drops straight into a route definition.
+ */
+function requirePermission(permission) {
+  return [adminAuth, checkPermission(permission)];
+}
+
+module.exports = { requirePermission, checkPermission };
@@ -5,10 +5,20 @@ const upload = multer({
   limits: { fileSize: 5 * 1024 * 1024 }, // 5MB
   fileFilter(req, file, cb) {
     if (!file.mimetype.startsWith("image/")) {
-      cb(new Error("Only images allowed"));
+      return cb(new Error("Only images allowed"));
     }
     cb(null, true);
   },
 });
 
-module.exports = upload;
+/**
+ * Single-file image upload that never throws: a rejected file (wrong type,
+ * too large) is left on req.uploadError for the route to answer in its own format.
+ */
+const receiveImage = (field) => (req, res, next) =>
+  upload.single(field)(req, res, (error) => {
+    if (error) req.uploadError = error.message;
+    next();
+  });
+
+module.exports = { upload, receiveImage };
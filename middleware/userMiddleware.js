@@ -0,0 +1,41 @@
+const User = require("../models/User");
+const { verifyAccessToken } = require("../utils/userTokens");
+
+/**
+ * requireUser — customer routes. Resolves the access token to a User
+ * document on req.user; never trust a userId from body/query/params.
+ */
+module.exports = async function requireUser(req, res, next) {
+  const token = req.headers.authorization?.split(" ")[1];
+
+  if (!token) {
+    return res.status(401).json({ message: "No token provided" });
+  }
+
+  let decoded;
+  try {
+    decoded = verifyAccessToken(token);
+  } catch (error) {
+    return res.status(401).json({ message: "Invalid token" });
+  }
+
+  try {
+    const user = await User.findById(decoded.sub).select("-otp -otpSessionId");
+    if (!user || user.status === "deleted") {
+      return res.status(401).json({ message: "Invalid token" });
+    }
+
+    if (user.status === "blocked") {
+      return res.status(403).json({
+        message: "Your account has been blocked. Please contact support.",
+        blocked: true,
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error("requireUser error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
@@ -0,0 +1,26 @@
+const jwt = require("jsonwebtoken");
+const adminAuth = require("./adminMiddleware");
+const requireUser = require("./userMiddleware");
+const { checkPermission } = require("./permissionMiddleware");
+
+/**
+ * For routes shared by the app and the admin dashboard (order / payment reads,
+ * cancellation). An admin token sets req.admin and must carry `permission`;
+ * anything else must be a valid customer token (req.user) and the handler
+ * scopes data to that user.
+ */
+module.exports = function userOrAdmin(permission) {
+  const adminCheck = checkPermission(permission);
+
+  return (req, res, next) => {
+    const token = req.headers.authorization?.split(" ")[1];
+
+    try {
+      jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return requireUser(req, res, next);
+    }
+
+    return adminAuth(req, res, () => adminCheck(req, res, next));
+  };
+};
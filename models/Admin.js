@@ -1,12 +1,65 @@
 const mongoose = require("mongoose");
+const { ROLES } = require("../config/adminRoles");
 
 const adminSchema = new mongoose.Schema(
   {
     name: { type: String, required: true },
     email: { type: String, unique: true, required: true },
-    password: { type: String, required: true },
+    // Invited admins have no password until they complete setup
+    password: {
+      type: String,
+      required: function () {
+        return this.status !== "invited";
+      },
+    },
+    role: {
+      type: String,
+      enum: Object.values(ROLES),
+      default: ROLES.SUPPORT,
+    },
+
+    status: {
+      type: String,
+      enum: ["invited", "active", "deactivated"],
+      default: "active",
+      index: true,
+    },
+
+    /** Bumped on password change / deactivation — JWTs carrying an older version are rejected */
+    tokenVersion: { type: Number, default: 0 },
+
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null },
+    setupTokenHash: { type: String, default: null },
+    setupTokenExpiresAt: { type: Date, default: null },
+
+    resetTokenHash: { type: String, default: null },
+    resetTokenExpiresAt: { type: Date, default: null },
+
+    passwordChangedAt: { type: Date, default: null },
+    lastLoginAt: { type: Date, default: null },
+
+    /** TOTP second factor — secrets and recovery code hashes are never selected by default */
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, default: null, select: false },
+      pendingSecret: { type: String, default: null, select: false },
+      recoveryCodeHashes: { type: [String], default: [], select: false },
+      lastUsedStep: { type: Number, default: 0 },
+      /** Second-factor attempts claimed since the last success or lockout */
+      failedAttempts: { type: Number, default: 0 },
+      /** Second-factor lockout; doubles with each consecutive one */
+      lockedUntil: { type: Date, default: null },
+      lockoutCount: { type: Number, default: 0 },
+      enabledAt: { type: Date, default: null },
+    },
+
+    deactivatedAt: { type: Date, default: null },
+    deactivatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null },
   },
   { timestamps: true },
 );
 
+adminSchema.index({ setupTokenHash: 1 }, { sparse: true });
+adminSchema.index({ resetTokenHash: 1 }, { sparse: true });
+
 module.exports = mongoose.model("Admin", adminSchema);
@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+const AdminLoginEventSchema = new mongoose.Schema(
+  {
+    // null when the email did not match any admin
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+      index: true,
+    },
+
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+
+    success: {
+      type: Boolean,
+      required: true,
+    },
+
+    reason: {
+      type: String, // e.g. invalid_password, deactivated, unknown_email
+      default: null,
+    },
+
+    ip: String,
+    userAgent: String,
+  },
+  { timestamps: true },
+);
+
+AdminLoginEventSchema.index({ admin: 1, createdAt: -1 });
+
+module.exports = mongoose.model("AdminLoginEvent", AdminLoginEventSchema);
@@ -80,6 +80,26 @@ const CartItemSchema = new mongoose.Schema(
       min: [0, "Subtotal cannot be negative"],
     },
 
+    /** Billed on the weight packed, so the subtotal is an estimate */
+    variableWeight: {
+      type: Boolean,
+      default: false,
+    },
+
+    /** Bundle items: the component variants one unit contains */
+    components: [
+      {
+        _id: false,
+        product: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+        variantId: mongoose.Schema.Types.ObjectId,
+        productName: String,
+        sku: String,
+        packSize: Number,
+        packUnit: String,
+        quantity: Number,
+      },
+    ],
+
     /* ===== SELLER SNAPSHOT ===== */
 
     seller: {
@@ -179,6 +199,12 @@ const CartSchema = new mongoose.Schema(
     lastValidatedAt: {
       type: Date,
     },
+
+    /** Set when a price in the cart changed since it was added — cleared by /cart/validate */
+    needsValidation: {
+      type: Boolean,
+      default: false,
+    },
   },
   { timestamps: true },
 );
@@ -20,6 +20,28 @@ const CategorySchema = new mongoose.Schema(
       type: String, // category icon/banner
     },
 
+    /* ================= HIERARCHY ================= */
+
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+
+    /** Root → parent chain, kept in sync by utils/categoryTree.js */
+    ancestors: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Category",
+      },
+    ],
+
+    /** 0 for top-level categories */
+    depth: {
+      type: Number,
+      default: 0,
+    },
+
     sortOrder: {
       type: Number,
       default: 0, // controls display order
@@ -41,5 +63,7 @@ const CategorySchema = new mongoose.Schema(
 // Indexes
 CategorySchema.index({ slug: 1 });
 CategorySchema.index({ isActive: 1, sortOrder: 1 });
+CategorySchema.index({ parent: 1, sortOrder: 1 });
+CategorySchema.index({ ancestors: 1 });
 
 module.exports = mongoose.model("Category", CategorySchema);
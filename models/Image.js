@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+const renditionFields = {
+  original: String,
+  medium: String,
+  thumbnail: String,
+};
+
+/**
+ * An uploaded image and its renditions. Rows whose URLs nothing references
+ * any more are removed, with their files, by the image cleanup job.
+ */
+const ImageSchema = new mongoose.Schema(
+  {
+    folder: {
+      type: String,
+      enum: ["products", "categories", "banners", "profiles"],
+      required: true,
+    },
+
+    /** Storage driver the files were written with */
+    driver: {
+      type: String,
+      required: true,
+    },
+
+    keys: renditionFields,
+    urls: renditionFields,
+
+    width: Number,
+    height: Number,
+    bytes: Number,
+
+    uploadedByAdmin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+
+    uploadedByUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true },
+);
+
+ImageSchema.index({ createdAt: 1 });
+
+module.exports = mongoose.model("Image", ImageSchema);
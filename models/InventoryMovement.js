@@ -0,0 +1,88 @@
+const mongoose = require("mongoose");
+
+/**
+ * Append-only stock ledger: one row per change to a variant's stock, with the
+ * balance it left behind. Written by utils/inventoryLedger.js; rows are never
+ * edited or removed.
+ */
+const InventoryMovementSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+
+    sku: String,
+
+    /** Signed change, e.g. -2 for a sale of two */
+    delta: {
+      type: Number,
+      required: true,
+    },
+
+    /** Variant stock right after this movement */
+    balance: {
+      type: Number,
+      required: true,
+    },
+
+    reason: {
+      type: String,
+      enum: [
+        "initial",
+        "sale",
+        "cancel",
+        "return",
+        "manual_adjustment",
+        "damage",
+        "variant_update",
+        "import",
+        "receive",
+        "expiry",
+        "withdrawal",
+        "removed",
+      ],
+      required: true,
+    },
+
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      default: null,
+    },
+
+    /** Who caused it — an admin, or the customer for their own orders */
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    note: String,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+);
+
+InventoryMovementSchema.index({ product: 1, variantId: 1, createdAt: 1 });
+InventoryMovementSchema.index({ order: 1 }, { sparse: true });
+InventoryMovementSchema.index({ reason: 1, createdAt: -1 });
+
+const rejectChange = function () {
+  throw new Error("Inventory movements are append-only");
+};
+InventoryMovementSchema.pre(["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"], rejectChange);
+InventoryMovementSchema.pre(["deleteOne", "deleteMany", "findOneAndDelete"], rejectChange);
+
+module.exports = mongoose.model("InventoryMovement", InventoryMovementSchema);
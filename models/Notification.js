@@ -22,6 +22,19 @@ const NotificationSchema = new mongoose.Schema(
       successCount: { type: Number, default: 0 },
       failureCount: { type: Number, default: 0 },
       invalidTokensRemoved: { type: Number, default: 0 },
+      // Same counts split by sender backend; Expo figures are corrected as receipts arrive
+      byProvider: {
+        fcm: {
+          totalTokens: { type: Number, default: 0 },
+          successCount: { type: Number, default: 0 },
+          failureCount: { type: Number, default: 0 },
+        },
+        expo: {
+          totalTokens: { type: Number, default: 0 },
+          successCount: { type: Number, default: 0 },
+          failureCount: { type: Number, default: 0 },
+        },
+      },
     },
     sentBy: {
       type: mongoose.Schema.Types.ObjectId,
@@ -62,6 +62,59 @@ const OrderItemSchema = new mongoose.Schema(
       min: 0,
     },
 
+    /* ===== VARIABLE WEIGHT ===== */
+
+    /** Billed on the weight packed; `subtotal` is an estimate until then */
+    variableWeight: {
+      type: Boolean,
+      default: false,
+    },
+
+    /** Weights are in the item's packUnit */
+    weight: {
+      ordered: Number, // packSize × quantity
+      packed: Number,
+      billed: Number, // packed, capped at the tolerance over ordered
+      estimatedSubtotal: Number, // subtotal at checkout
+      packedAt: Date,
+      packedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+    },
+
+    /** Bundle items: the component variants one unit contains */
+    components: [
+      {
+        _id: false,
+        product: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+        variantId: mongoose.Schema.Types.ObjectId,
+        productName: String,
+        sku: String,
+        packSize: Number,
+        packUnit: String,
+        quantity: Number,
+        /** Batches this component was drawn from, for the whole item quantity */
+        batches: [
+          {
+            _id: false,
+            batch: { type: mongoose.Schema.Types.ObjectId, ref: "StockBatch" },
+            batchNumber: String,
+            expiresAt: Date,
+            quantity: Number,
+          },
+        ],
+      },
+    ],
+
+    /** Batches this item was drawn from (batch-tracked variants only) */
+    batches: [
+      {
+        _id: false,
+        batch: { type: mongoose.Schema.Types.ObjectId, ref: "StockBatch" },
+        batchNumber: String,
+        expiresAt: Date,
+        quantity: Number,
+      },
+    ],
+
     /* ===== SELLER SNAPSHOT ===== */
 
     seller: {
@@ -174,6 +227,31 @@ const OrderSchema = new mongoose.Schema(
       paidAt: Date,
     },
 
+    /** Refunds and extra collections from re-pricing variable-weight items at packing */
+    weightAdjustments: [
+      {
+        _id: false,
+        /** Unique per adjustment; also the refund's gateway receipt */
+        key: String,
+        type: {
+          type: String,
+          enum: ["refund", "collection", "cod_update"],
+        },
+        /** Positive when the customer owes more, negative when refunded */
+        amount: Number,
+        /** pending: not yet settled, or an extra still to collect at the door */
+        status: {
+          type: String,
+          enum: ["completed", "pending", "failed"],
+        },
+        payment: { type: mongoose.Schema.Types.ObjectId, ref: "Payment" },
+        gatewayRefundId: String,
+        failureReason: String,
+        createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+
     /* ================= ADDRESS ================= */
 
     address: {
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+/**
+ * One row per OTP send / verify attempt, used for rolling-window throttling.
+ * Rows expire after a day — longer than the widest window in config/otpLimits.js.
+ */
+const OtpEventSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ["send", "verify"],
+      required: true,
+    },
+
+    phone: {
+      type: String,
+      default: null,
+    },
+
+    ip: {
+      type: String,
+      default: null,
+    },
+
+    /** Sends only — which provider delivered the SMS */
+    provider: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+);
+
+OtpEventSchema.index({ kind: 1, phone: 1, createdAt: -1 });
+OtpEventSchema.index({ kind: 1, ip: 1, createdAt: -1 });
+OtpEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model("OtpEvent", OtpEventSchema);
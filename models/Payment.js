@@ -31,6 +31,13 @@ const PaymentSchema = new mongoose.Schema(
       default: "INR",
     },
 
+    /** "weight_adjustment": the extra due when variable-weight items are packed heavier than ordered */
+    purpose: {
+      type: String,
+      enum: ["order", "weight_adjustment"],
+      default: "order",
+    },
+
     /* ================= METHOD ================= */
 
     method: {
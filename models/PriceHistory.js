@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+
+/**
+ * Append-only log of variant price/MRP changes. Written by utils/priceHistory.js;
+ * rows are never edited or removed.
+ */
+const PriceHistorySchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+
+    sku: String,
+
+    /** Null for a variant's first recorded price */
+    previousPrice: {
+      type: Number,
+      default: null,
+    },
+
+    previousMrp: {
+      type: Number,
+      default: null,
+    },
+
+    price: {
+      type: Number,
+      required: true,
+    },
+
+    mrp: {
+      type: Number,
+      required: true,
+    },
+
+    source: {
+      type: String,
+      enum: ["create", "manual", "product_update", "import", "scheduled", "bundle"],
+      required: true,
+    },
+
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+
+    scheduledChange: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ScheduledPriceChange",
+      default: null,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+);
+
+PriceHistorySchema.index({ product: 1, variantId: 1, createdAt: -1 });
+
+const rejectChange = function () {
+  throw new Error("Price history is append-only");
+};
+PriceHistorySchema.pre(["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"], rejectChange);
+PriceHistorySchema.pre(["deleteOne", "deleteMany", "findOneAndDelete"], rejectChange);
+
+module.exports = mongoose.model("PriceHistory", PriceHistorySchema);
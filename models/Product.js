@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { buildSearchTerms, SEARCH_SOURCE_FIELDS } = require("../utils/searchText");
 
 const ProductSchema = new mongoose.Schema(
   {
@@ -113,6 +114,15 @@ const ProductSchema = new mongoose.Schema(
     tags: [String],
     searchKeywords: [String],
 
+    /** Folded copies of the fields above — maintained by the hooks below, never set directly */
+    searchTerms: {
+      name: { type: String, default: "", select: false },
+      keywords: { type: String, default: "", select: false },
+      description: { type: String, default: "", select: false },
+      tokens: { type: [String], default: [], select: false },
+      suggest: { type: [String], default: [], select: false },
+    },
+
     /* ================= VARIANTS ================= */
 
     variants: [
@@ -149,6 +159,51 @@ const ProductSchema = new mongoose.Schema(
           default: 5,
         },
 
+        /** Set once the variant has batches — stock is then derived from them */
+        batchTracked: {
+          type: Boolean,
+          default: false,
+        },
+
+        /** Sold loose: the pack size is approximate and the order is billed on the weight packed */
+        variableWeight: {
+          type: Boolean,
+          default: false,
+        },
+
+        /** Bundle variants only: what one unit of the kit contains. Stock is derived from these. */
+        components: [
+          {
+            _id: false,
+            product: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: "Product",
+              required: true,
+            },
+            variantId: {
+              type: mongoose.Schema.Types.ObjectId,
+              required: true,
+            },
+            quantity: {
+              type: Number,
+              required: true,
+              min: 1,
+            },
+            productName: String,
+            sku: String,
+            packSize: Number,
+            packUnit: String,
+          },
+        ],
+
+        /** Bundle variants priced as a % off their components' total rather than a fixed price */
+        bundleDiscount: {
+          type: Number,
+          min: 0,
+          max: 100,
+          default: null,
+        },
+
         sku: String,
 
         isDefault: {
@@ -198,11 +253,55 @@ const ProductSchema = new mongoose.Schema(
       default: 0,
     },
 
+    /** Customer visibility — derived from status and the publish window once a product has a status */
     isActive: {
       type: Boolean,
       default: true,
       index: true,
     },
+
+    /** "bundle" products sell kits of other products' variants */
+    type: {
+      type: String,
+      enum: ["single", "bundle"],
+      default: "single",
+    },
+
+    /* ================= LIFECYCLE ================= */
+
+    /** Unset on products created before the workflow — see scripts/migrateProductLifecycle.js */
+    status: {
+      type: String,
+      enum: ["draft", "in_review", "published", "archived"],
+    },
+
+    /** Optional window for a published product, e.g. Diwali sweets */
+    publishAt: {
+      type: Date,
+      default: null,
+    },
+
+    unpublishAt: {
+      type: Date,
+      default: null,
+    },
+
+    publishedAt: {
+      type: Date,
+      default: null,
+    },
+
+    publishedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+
+    /** Why it was last sent back to draft */
+    reviewNote: {
+      type: String,
+      default: null,
+    },
   },
   { timestamps: true },
 );
@@ -217,4 +316,67 @@ ProductSchema.index({
   isActive: 1,
 });
 
+// Relevance search: name outranks keywords (brand, tags, searchKeywords), which outrank description
+ProductSchema.index(
+  {
+    "searchTerms.name": "text",
+    "searchTerms.keywords": "text",
+    "searchTerms.description": "text",
+  },
+  {
+    name: "product_search",
+    weights: {
+      "searchTerms.name": 10,
+      "searchTerms.keywords": 5,
+      "searchTerms.description": 1,
+    },
+    default_language: "none",
+  },
+);
+ProductSchema.index({ "searchTerms.tokens": 1 });
+ProductSchema.index({ "searchTerms.suggest": 1 });
+ProductSchema.index({ status: 1, publishAt: 1 });
+ProductSchema.index({ "variants.components.variantId": 1 });
+ProductSchema.index({ status: 1, unpublishAt: 1 });
+
+/* ================= LIFECYCLE ================= */
+
+/** Published, and inside its publishAt / unpublishAt window */
+ProductSchema.methods.isLiveAt = function (now = new Date()) {
+  return (
+    this.status === "published" &&
+    (!this.publishAt || this.publishAt <= now) &&
+    (!this.unpublishAt || this.unpublishAt > now)
+  );
+};
+
+ProductSchema.pre("save", function () {
+  if (this.status) this.isActive = this.isLiveAt();
+});
+
+/* ================= SEARCH TERMS ================= */
+
+ProductSchema.pre("save", function () {
+  if (this.isNew || SEARCH_SOURCE_FIELDS.some((field) => this.isModified(field))) {
+    this.searchTerms = buildSearchTerms(this);
+  }
+});
+
+// findByIdAndUpdate skips save hooks — rebuild from the stored document afterwards
+ProductSchema.post("findOneAndUpdate", async function (doc) {
+  if (!doc) return;
+
+  const update = this.getUpdate() || {};
+  const touched = { ...update, ...(update.$set || {}) };
+  if (!SEARCH_SOURCE_FIELDS.some((field) => field in touched)) return;
+
+  const fresh = await this.model.findById(doc._id).select(SEARCH_SOURCE_FIELDS.join(" ")).lean();
+  if (!fresh) return;
+
+  await this.model.updateOne(
+    { _id: doc._id },
+    { $set: { searchTerms: buildSearchTerms(fresh) } },
+  );
+});
+
 module.exports = mongoose.model("Product", ProductSchema);
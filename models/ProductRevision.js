@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+/**
+ * A pending edit to a published product. The product stays as customers see
+ * it until an approver publishes the revision; a newer edit supersedes an
+ * older pending one.
+ */
+const ProductRevisionSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+
+    /** The PUT /products/:id body, applied the same way when published */
+    changes: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: ["pending", "published", "rejected", "superseded"],
+      default: "pending",
+    },
+
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+
+    reviewNote: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+ProductRevisionSchema.index({ product: 1, createdAt: -1 });
+ProductRevisionSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model("ProductRevision", ProductRevisionSchema);
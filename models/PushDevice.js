@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+
+/**
+ * One row per app install that registered for push — a customer can have many.
+ * Admin app installs are stored the same way, owned by `admin` instead of `user`.
+ * Dead tokens are disabled (not deleted) so delivery problems stay visible.
+ */
+const PushDeviceSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: function () {
+        return !this.admin;
+      },
+      default: null,
+      index: true,
+    },
+
+    /** Set instead of `user` for the admin app — receives operational alerts, never broadcasts */
+    admin: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+
+    token: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+
+    platform: {
+      type: String,
+      enum: ["ios", "android", "web", "unknown"],
+      default: "unknown",
+    },
+
+    appVersion: {
+      type: String,
+      default: null,
+    },
+
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    disabled: {
+      type: Boolean,
+      default: false,
+    },
+
+    disabledAt: {
+      type: Date,
+      default: null,
+    },
+
+    /** e.g. the push provider error code that marked the token dead */
+    disabledReason: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+PushDeviceSchema.index({ user: 1, disabled: 1 });
+PushDeviceSchema.index({ disabled: 1 });
+PushDeviceSchema.index({ admin: 1, disabled: 1 });
+
+module.exports = mongoose.model("PushDevice", PushDeviceSchema);
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+/**
+ * Expo push ticket waiting for its delivery receipt. Expo only keeps receipts
+ * for a day, so rows expire after that whether or not they were processed.
+ */
+const PushReceiptSchema = new mongoose.Schema(
+  {
+    ticketId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    token: {
+      type: String,
+      required: true,
+    },
+
+    notification: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Notification",
+      default: null,
+    },
+
+    /** Receipt fetches that came back "not ready" yet, and when the last one ran */
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+
+    checkedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } },
+);
+
+PushReceiptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+PushReceiptSchema.index({ checkedAt: 1, createdAt: 1 });
+
+module.exports = mongoose.model("PushReceipt", PushReceiptSchema);
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+const RefreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+
+    /** sha256 of the opaque token handed to the client — the raw value is never stored */
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    /** All tokens rotated from the same login share a family; reuse of a rotated token revokes the family */
+    family: {
+      type: String,
+      required: true,
+      index: true,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+
+    replacedBy: {
+      type: String,
+      default: null,
+    },
+
+    createdByIp: String,
+    userAgent: String,
+  },
+  { timestamps: true },
+);
+
+// Let MongoDB drop expired tokens on its own
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RefreshToken", RefreshTokenSchema);
@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+/**
+ * A future-dated price and/or MRP for one variant, applied by the
+ * "scheduled-prices" job once effectiveAt passes.
+ */
+const ScheduledPriceChangeSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+
+    /** Either may be omitted to leave that value unchanged */
+    price: Number,
+    mrp: Number,
+
+    effectiveAt: {
+      type: Date,
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: ["pending", "processing", "applied", "cancelled", "failed"],
+      default: "pending",
+    },
+
+    note: {
+      type: String,
+      trim: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+
+    appliedAt: Date,
+    failureReason: String,
+  },
+  { timestamps: true },
+);
+
+ScheduledPriceChangeSchema.index({ status: 1, effectiveAt: 1 });
+ScheduledPriceChangeSchema.index({ product: 1, variantId: 1, effectiveAt: 1 });
+
+module.exports = mongoose.model("ScheduledPriceChange", ScheduledPriceChangeSchema);
@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+/**
+ * Aggregated customer searches that returned results — used to boost popular
+ * queries in autocomplete. One row per folded query.
+ */
+const SearchQuerySchema = new mongoose.Schema(
+  {
+    /** Folded, space-joined terms — the match key for suggestions */
+    term: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    /** Most recent spelling a customer typed, shown back as the suggestion */
+    display: {
+      type: String,
+      required: true,
+    },
+
+    count: {
+      type: Number,
+      default: 0,
+    },
+
+    lastSearchedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true },
+);
+
+SearchQuerySchema.index({ count: -1 });
+
+module.exports = mongoose.model("SearchQuery", SearchQuerySchema);
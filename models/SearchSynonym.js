@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+/**
+ * A group of interchangeable search terms, e.g. ["curd", "dahi", "yogurt"].
+ * A query containing any of them also matches products using the others.
+ */
+const SearchSynonymSchema = new mongoose.Schema(
+  {
+    terms: {
+      type: [String],
+      required: true,
+      validate: {
+        validator: (v) => Array.isArray(v) && v.length >= 2,
+        message: "A synonym group needs at least two terms",
+      },
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+module.exports = mongoose.model("SearchSynonym", SearchSynonymSchema);
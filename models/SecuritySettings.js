@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+const SecuritySettingsSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      default: "global",
+      unique: true,
+      index: true,
+    },
+    requireAdminTwoFactor: {
+      type: Boolean,
+      default: false,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+module.exports = mongoose.model("SecuritySettings", SecuritySettingsSchema);
@@ -0,0 +1,77 @@
+const mongoose = require("mongoose");
+
+/**
+ * A variant dropping to or below its lowStockThreshold. At most one alert per
+ * variant is open at a time; it resolves when stock climbs back above the
+ * threshold, so the next drop raises (and pushes) a fresh one.
+ */
+const StockAlertSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+
+    productName: String,
+    sku: String,
+    packSize: Number,
+    packUnit: String,
+
+    seller: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Seller",
+      default: null,
+    },
+
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+
+    /** Stock and threshold when the alert was raised */
+    stock: {
+      type: Number,
+      required: true,
+    },
+
+    threshold: {
+      type: Number,
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: ["open", "resolved"],
+      default: "open",
+    },
+
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+
+    /** Admin push delivery for this alert */
+    push: {
+      sentAt: { type: Date, default: null },
+      successCount: { type: Number, default: 0 },
+      failureCount: { type: Number, default: 0 },
+    },
+  },
+  { timestamps: true },
+);
+
+// The de-duplication: a second open alert for the same variant is a duplicate key
+StockAlertSchema.index(
+  { variantId: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } },
+);
+StockAlertSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("StockAlert", StockAlertSchema);
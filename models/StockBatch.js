@@ -0,0 +1,88 @@
+const mongoose = require("mongoose");
+
+/**
+ * A received lot of one variant. Once a variant has batches its sellable stock
+ * is the remaining quantity of its active, unexpired batches; orders draw them
+ * down first-expiry-first-out (utils/stockBatches.js).
+ */
+const StockBatchSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+
+    batchNumber: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    /** Null for goods that don't expire */
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+
+    quantityReceived: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    /** Units left in this batch — kept as-is once expired or withdrawn */
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    status: {
+      type: String,
+      enum: ["active", "expired", "withdrawn"],
+      default: "active",
+    },
+
+    expiredAt: {
+      type: Date,
+      default: null,
+    },
+
+    withdrawnAt: {
+      type: Date,
+      default: null,
+    },
+
+    withdrawnBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+
+    note: String,
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+  },
+  { timestamps: true },
+);
+
+StockBatchSchema.index({ variantId: 1, status: 1, expiresAt: 1 });
+StockBatchSchema.index({ status: 1, expiresAt: 1 });
+StockBatchSchema.index({ product: 1, variantId: 1, batchNumber: 1 }, { unique: true });
+
+module.exports = mongoose.model("StockBatch", StockBatchSchema);
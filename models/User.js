@@ -22,21 +22,40 @@ const UserSchema = new mongoose.Schema(
       type: String,
     },
 
-    /** 2factor.in session id when OTP is AUTOGEN (verify via VERIFY API instead of comparing otp) */
+    /** Provider-side reference (2factor AUTOGEN session, Twilio verification SID) — verified remotely instead of comparing otp */
     otpSessionId: {
       type: String,
       default: null,
     },
 
+    /** OTP provider that delivered the current challenge (see utils/otpProviders) */
+    otpProvider: {
+      type: String,
+      default: null,
+    },
+
     otpExpiresAt: {
       type: Date,
     },
 
+    /** Verify attempts claimed against the current challenge — reset on every send */
     otpAttempts: {
       type: Number,
       default: 0,
     },
 
+    /** Set when otpAttempts hits the limit; send and verify are refused until then */
+    otpLockedUntil: {
+      type: Date,
+      default: null,
+    },
+
+    /** Consecutive lockouts — drives the backoff; reset on successful verify */
+    otpLockoutCount: {
+      type: Number,
+      default: 0,
+    },
+
     otpVerifiedAt: {
       type: Date,
     },
@@ -46,6 +65,15 @@ const UserSchema = new mongoose.Schema(
       default: false,
     },
 
+    /** Pending phone-number change — the new number is swapped in only after its OTP is verified */
+    phoneChange: {
+      phone: { type: String, default: null },
+      otp: { type: String, default: null, select: false },
+      reference: { type: String, default: null, select: false },
+      provider: { type: String, default: null },
+      expiresAt: { type: Date, default: null },
+    },
+
     // Optional personal info
     dob: {
       type: String,
@@ -59,26 +87,30 @@ const UserSchema = new mongoose.Schema(
 
     status: {
       type: String,
-      enum: ["active", "blocked"],
+      enum: ["active", "blocked", "deleted"],
       default: "active",
     },
 
-    lastLoginAt: {
-      type: Date,
-    },
+    /** Admin block/unblock actions, newest last — the latest entry explains the current status */
+    blockHistory: [
+      {
+        _id: false,
+        action: { type: String, enum: ["blocked", "unblocked"], required: true },
+        reason: { type: String, default: null },
+        admin: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", required: true },
+        at: { type: Date, default: Date.now },
+      },
+    ],
 
-    pushToken: {
-      type: String,
-      default: null,
+    /** Customer-requested account deletion — PII is anonymized once scheduledFor passes */
+    deletion: {
+      requestedAt: { type: Date, default: null },
+      scheduledFor: { type: Date, default: null },
+      reason: { type: String, default: null },
+      anonymizedAt: { type: Date, default: null },
     },
 
-    pushPlatform: {
-      type: String,
-      enum: ["ios", "android", "web", "unknown"],
-      default: "unknown",
-    },
-
-    pushTokenUpdatedAt: {
+    lastLoginAt: {
       type: Date,
     },
 
@@ -98,5 +130,6 @@ const UserSchema = new mongoose.Schema(
 // Indexes
 UserSchema.index({ phone: 1 });
 UserSchema.index({ role: 1, status: 1 });
+UserSchema.index({ "deletion.scheduledFor": 1 });
 
 module.exports = mongoose.model("User", UserSchema);
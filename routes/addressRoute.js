@@ -1,17 +1,18 @@
 const express = require("express");
 const Address = require("../models/Address");
 const { assertDeliverableRajkotAddress } = require("../utils/deliveryZone");
+const requireUser = require("../middleware/userMiddleware");
 
 const router = express.Router();
 
 /**
  * ✅ GET DEFAULT ADDRESS FOR USER
- * GET /addresses/:userId/default
+ * GET /addresses/default
  */
-router.get("/:userId/default", async (req, res) => {
+router.get("/default", requireUser, async (req, res) => {
   try {
     const address = await Address.findOne({
-      user: req.params.userId,
+      user: req.user._id,
       isDefault: true,
     });
 
@@ -27,11 +28,11 @@ router.get("/:userId/default", async (req, res) => {
 
 /**
  * ✅ GET ADDRESSES BY TYPE
- * GET /addresses/:userId/type/:type
+ * GET /addresses/type/:type
  */
-router.get("/:userId/type/:type", async (req, res) => {
+router.get("/type/:type", requireUser, async (req, res) => {
   try {
-    const { userId, type } = req.params;
+    const { type } = req.params;
 
     if (!["home", "work", "other"].includes(type)) {
       return res.status(400).json({
@@ -40,7 +41,7 @@ router.get("/:userId/type/:type", async (req, res) => {
     }
 
     const addresses = await Address.find({
-      user: userId,
+      user: req.user._id,
       type: type,
     }).sort({ isDefault: -1, createdAt: -1 });
 
@@ -54,9 +55,12 @@ router.get("/:userId/type/:type", async (req, res) => {
  * ✅ GET SINGLE ADDRESS
  * GET /addresses/single/:id
  */
-router.get("/single/:id", async (req, res) => {
+router.get("/single/:id", requireUser, async (req, res) => {
   try {
-    const address = await Address.findById(req.params.id);
+    const address = await Address.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
 
     if (!address) {
       return res.status(404).json({ error: "Address not found" });
@@ -69,11 +73,11 @@ router.get("/single/:id", async (req, res) => {
 });
 
 /**
- * ✅ FIND ADDRESSES NEAR LOCATION (GEO SEARCH)
+ * ✅ FIND USER'S ADDRESSES NEAR LOCATION (GEO SEARCH)
  * POST /addresses/nearby
  * Body: { longitude, latitude, maxDistance }
  */
-router.post("/nearby", async (req, res) => {
+router.post("/nearby", requireUser, async (req, res) => {
   try {
     const { longitude, latitude, maxDistance = 5000 } = req.body; // default 5km
 
@@ -84,6 +88,7 @@ router.post("/nearby", async (req, res) => {
     }
 
     const addresses = await Address.find({
+      user: req.user._id,
       location: {
         $near: {
           $geometry: {
@@ -103,11 +108,11 @@ router.post("/nearby", async (req, res) => {
 
 /**
  * ✅ GET USER ADDRESSES
- * GET /addresses/:userId
+ * GET /addresses
  */
-router.get("/:userId", async (req, res) => {
+router.get("/", requireUser, async (req, res) => {
   try {
-    const addresses = await Address.find({ user: req.params.userId }).sort({
+    const addresses = await Address.find({ user: req.user._id }).sort({
       isDefault: -1,
       createdAt: -1,
     });
@@ -121,10 +126,10 @@ router.get("/:userId", async (req, res) => {
  * ✅ ADD ADDRESS (MAX 3)
  * POST /addresses
  */
-router.post("/", async (req, res) => {
+router.post("/", requireUser, async (req, res) => {
   try {
+    const user = req.user._id;
     const {
-      user,
       type,
       name,
       phone,
@@ -139,7 +144,7 @@ router.post("/", async (req, res) => {
     } = req.body;
 
     // Validate required fields
-    if (!user || !phone || !addressLine1 || !city || !state || !pincode) {
+    if (!phone || !addressLine1 || !city || !state || !pincode) {
       return res.status(400).json({
         error: "Please provide all required address fields",
       });
@@ -211,7 +216,7 @@ router.post("/", async (req, res) => {
  * ✅ UPDATE ADDRESS
  * PUT /addresses/:id
  */
-router.put("/:id", async (req, res) => {
+router.put("/:id", requireUser, async (req, res) => {
   try {
     const {
       type,
@@ -227,7 +232,10 @@ router.put("/:id", async (req, res) => {
       isDefault,
     } = req.body;
 
-    const address = await Address.findById(req.params.id);
+    const address = await Address.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
 
     if (!address) {
       return res.status(404).json({ error: "Address not found" });
@@ -301,9 +309,12 @@ router.put("/:id", async (req, res) => {
  * ✅ SET ADDRESS AS DEFAULT
  * PUT /addresses/:id/default
  */
-router.put("/:id/default", async (req, res) => {
+router.put("/:id/default", requireUser, async (req, res) => {
   try {
-    const address = await Address.findById(req.params.id);
+    const address = await Address.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
 
     if (!address) {
       return res.status(404).json({ error: "Address not found" });
@@ -329,9 +340,12 @@ router.put("/:id/default", async (req, res) => {
  * ✅ DELETE ADDRESS
  * DELETE /addresses/:id
  */
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requireUser, async (req, res) => {
   try {
-    const address = await Address.findById(req.params.id);
+    const address = await Address.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
 
     if (!address) {
       return res.status(404).json({ error: "Address not found" });
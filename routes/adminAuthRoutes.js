@@ -1,13 +1,94 @@
 const express = require("express");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
 const Admin = require("../models/Admin");
+const AdminLoginEvent = require("../models/AdminLoginEvent");
+const SecuritySettings = require("../models/SecuritySettings");
+const adminAuth = require("../middleware/adminMiddleware");
+const { requirePermission } = require("../middleware/permissionMiddleware");
+const { PERMISSIONS, ROLES } = require("../config/adminRoles");
+const PushDevice = require("../models/PushDevice");
+const { registerAdminPushDevice } = require("../utils/pushNotifications");
+const {
+  signAdminToken,
+  signScopedAdminToken,
+  verifyScopedAdminToken,
+  hashToken,
+  createOneTimeToken,
+} = require("../utils/adminTokens");
+const {
+  TWO_FACTOR_SECRET_FIELDS,
+  twoFactorRetryAfter,
+  attemptSecondFactor,
+} = require("../utils/adminTwoFactor");
 
 const router = express.Router();
 
-router.post("/register", async (req, res) => {
+const canManageAdmins = requirePermission(PERMISSIONS.ADMINS_MANAGE);
+
+const MIN_PASSWORD_LENGTH = 8;
+const INVITE_TTL_MINUTES = Number(process.env.ADMIN_INVITE_TTL_MINUTES) || 72 * 60;
+const RESET_TTL_MINUTES = Number(process.env.ADMIN_RESET_TTL_MINUTES) || 30;
+
+/* ================= HELPERS ================= */
+
+function passwordError(password) {
+  if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+/** Never lets a history write break the login response */
+async function recordLoginEvent(req, { admin, email, success, reason }) {
+  try {
+    await AdminLoginEvent.create({
+      admin: admin?._id || null,
+      email,
+      success,
+      reason: reason || null,
+      ip: req.ip,
+      userAgent: req.headers["user-agent"],
+    });
+  } catch (error) {
+    console.error("Record admin login event error:", error);
+  }
+}
+
+/** 429 with both a Retry-After header and a retryAfter (seconds) body field */
+function twoFactorLocked(res, retryAfter) {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    message: "Too many incorrect authentication codes. Try again later.",
+    retryAfter,
+  });
+}
+
+function publicAdmin(admin) {
+  return {
+    id: admin._id,
+    name: admin.name,
+    email: admin.email,
+    role: admin.role,
+    status: admin.status,
+    lastLoginAt: admin.lastLoginAt,
+    createdAt: admin.createdAt,
+  };
+}
+
+/**
+ * CREATE ADMIN (super-admin only)
+ * POST /api/admin/register
+ * Body: { name, email, password, role }
+ */
+router.post("/register", canManageAdmins, async (req, res) => {
   try {
-    const { name, email, password } = req.body;
+    const { name, email, password, role } = req.body;
+
+    const pwdErr = passwordError(password);
+    if (password && pwdErr) {
+      return res.status(400).json({ message: pwdErr });
+    }
 
     // Check if admin with same email exists
     const existingAdmin = await Admin.findOne({ email });
@@ -24,12 +105,19 @@ router.post("/register", async (req, res) => {
       });
     }
 
+    if (!Object.values(ROLES).includes(role)) {
+      return res.status(400).json({
+        message: `role must be one of: ${Object.values(ROLES).join(", ")}`,
+      });
+    }
+
     const hashedPassword = await bcrypt.hash(password, 10);
 
     const newAdmin = await Admin.create({
       name,
       email,
       password: hashedPassword,
+      role,
     });
 
     res.status(201).json({
@@ -37,6 +125,7 @@ router.post("/register", async (req, res) => {
       admin: {
         id: newAdmin._id,
         email: newAdmin.email,
+        role: newAdmin.role,
       },
     });
   } catch (error) {
@@ -47,6 +136,12 @@ router.post("/register", async (req, res) => {
 /**
  * ADMIN LOGIN
  * POST /api/admin/login
+ * Body: { email, password }
+ *
+ * Responds with one of:
+ *   { token, role }                               — no 2FA on this account
+ *   { twoFactorRequired: true, challengeToken }   — finish with POST /login/2fa
+ *   { twoFactorSetupRequired: true, setupToken }  — 2FA is mandatory; enroll via /2fa/enroll
  */
 router.post("/login", async (req, res) => {
   try {
@@ -54,23 +149,517 @@ router.post("/login", async (req, res) => {
 
     const admin = await Admin.findOne({ email });
     if (!admin) {
+      await recordLoginEvent(req, { email, success: false, reason: "unknown_email" });
       return res.status(404).json({ message: "Admin not found" });
     }
 
-    const isMatch = await bcrypt.compare(password, admin.password);
+    if (admin.status !== "active") {
+      await recordLoginEvent(req, { admin, email, success: false, reason: admin.status });
+      return res.status(403).json({
+        message:
+          admin.status === "invited"
+            ? "Complete your account setup from the invite first"
+            : "This admin account has been deactivated",
+      });
+    }
+
+    const isMatch = await bcrypt.compare(String(password || ""), admin.password);
     if (!isMatch) {
+      await recordLoginEvent(req, { admin, email, success: false, reason: "invalid_password" });
       return res.status(401).json({ message: "Invalid credentials" });
     }
 
-    const token = jwt.sign({ id: admin._id }, process.env.JWT_SECRET, {
-      expiresIn: "7d",
-    });
+    if (admin.twoFactor?.enabled) {
+      // Attempts carry over between logins; only a correct code resets them
+      const retryAfter = twoFactorRetryAfter(admin);
+      if (retryAfter) {
+        await recordLoginEvent(req, { admin, email, success: false, reason: "2fa_locked" });
+        return twoFactorLocked(res, retryAfter);
+      }
+
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: signScopedAdminToken(admin, "2fa_challenge", "5m"),
+      });
+    }
+
+    admin.lastLoginAt = new Date();
+    await admin.save();
+    await recordLoginEvent(req, { admin, email, success: true });
 
-    res.json({ token });
+    const settings = await SecuritySettings.findOne({ key: "global" }).lean();
+    if (settings?.requireAdminTwoFactor) {
+      return res.json({
+        twoFactorSetupRequired: true,
+        setupToken: signScopedAdminToken(admin, "2fa_setup", "15m"),
+        role: admin.role,
+      });
+    }
+
+    const token = signAdminToken(admin);
+
+    res.json({ token, role: admin.role });
   } catch (error) {
     console.error("Admin login error:", error);
     res.status(500).json({ message: "Server error" });
   }
 });
 
+/**
+ * ADMIN LOGIN — SECOND STEP
+ * POST /api/admin/login/2fa
+ * Body: { challengeToken, code } or { challengeToken, recoveryCode }
+ */
+router.post("/login/2fa", async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyScopedAdminToken(challengeToken, "2fa_challenge");
+    } catch (error) {
+      return res.status(401).json({ message: "Login session expired. Please login again." });
+    }
+
+    const admin = await Admin.findById(decoded.id).select(TWO_FACTOR_SECRET_FIELDS);
+    if (
+      !admin ||
+      admin.status !== "active" ||
+      (decoded.ver || 0) !== (admin.tokenVersion || 0)
+    ) {
+      return res.status(401).json({ message: "Login session expired. Please login again." });
+    }
+
+    const { method, retryAfter } = await attemptSecondFactor(admin, { code, recoveryCode });
+    if (!method) {
+      await recordLoginEvent(req, {
+        admin,
+        email: admin.email,
+        success: false,
+        reason: "invalid_2fa_code",
+      });
+      if (retryAfter) return twoFactorLocked(res, retryAfter);
+      return res.status(401).json({ message: "Invalid authentication code" });
+    }
+
+    admin.lastLoginAt = new Date();
+    await admin.save();
+    await recordLoginEvent(req, {
+      admin,
+      email: admin.email,
+      success: true,
+      reason: method === "recovery" ? "recovery_code" : null,
+    });
+
+    res.json({
+      token: signAdminToken(admin),
+      role: admin.role,
+      ...(method === "recovery" && {
+        recoveryCodesRemaining: admin.twoFactor.recoveryCodeHashes.length,
+      }),
+    });
+  } catch (error) {
+    console.error("Admin 2FA login error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/* ================= INVITES ================= */
+
+/**
+ * INVITE ADMIN (super-admin only)
+ * POST /api/admin/invites
+ * Body: { name, email, role }
+ *
+ * Returns a one-time setup token — share it with the invitee out of band.
+ */
+router.post("/invites", canManageAdmins, async (req, res) => {
+  try {
+    const { name, email, role } = req.body;
+
+    if (!name || !email) {
+      return res.status(400).json({ message: "Name and email are required" });
+    }
+
+    if (!Object.values(ROLES).includes(role)) {
+      return res.status(400).json({
+        message: `role must be one of: ${Object.values(ROLES).join(", ")}`,
+      });
+    }
+
+    let admin = await Admin.findOne({ email });
+    if (admin && admin.status !== "invited") {
+      return res.status(403).json({
+        message: "Admin with this email already exists.",
+      });
+    }
+
+    const setup = createOneTimeToken(INVITE_TTL_MINUTES);
+
+    // Re-inviting replaces the previous (unused) setup token
+    if (!admin) {
+      admin = new Admin({ email, status: "invited" });
+    }
+    admin.name = name;
+    admin.role = role;
+    admin.invitedBy = req.admin.id;
+    admin.setupTokenHash = setup.hash;
+    admin.setupTokenExpiresAt = setup.expiresAt;
+    await admin.save();
+
+    res.status(201).json({
+      message: "Admin invited successfully",
+      admin: publicAdmin(admin),
+      setupToken: setup.token,
+      setupTokenExpiresAt: setup.expiresAt,
+    });
+  } catch (error) {
+    console.error("Invite admin error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * COMPLETE INVITE SETUP
+ * POST /api/admin/setup
+ * Body: { token, password }
+ */
+router.post("/setup", async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const pwdErr = passwordError(password);
+    if (!token || pwdErr) {
+      return res.status(400).json({ message: pwdErr || "Setup token is required" });
+    }
+
+    const admin = await Admin.findOne({
+      setupTokenHash: hashToken(token),
+      status: "invited",
+      setupTokenExpiresAt: { $gt: new Date() },
+    });
+
+    if (!admin) {
+      return res.status(400).json({ message: "Invite is invalid or has expired" });
+    }
+
+    admin.password = await bcrypt.hash(password, 10);
+    admin.status = "active";
+    admin.setupTokenHash = null;
+    admin.setupTokenExpiresAt = null;
+    admin.passwordChangedAt = new Date();
+    await admin.save();
+
+    res.json({ message: "Account setup complete. You can now login." });
+  } catch (error) {
+    console.error("Admin setup error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/* ================= PASSWORDS ================= */
+
+/**
+ * CHANGE OWN PASSWORD
+ * POST /api/admin/change-password
+ * Body: { currentPassword, newPassword }
+ *
+ * Signs out every other session; the response carries a fresh token.
+ */
+router.post("/change-password", adminAuth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const pwdErr = passwordError(newPassword);
+    if (pwdErr) {
+      return res.status(400).json({ message: pwdErr });
+    }
+
+    const admin = await Admin.findById(req.admin.id);
+    const isMatch = await bcrypt.compare(String(currentPassword || ""), admin.password);
+    if (!isMatch) {
+      return res.status(401).json({ message: "Current password is incorrect" });
+    }
+
+    admin.password = await bcrypt.hash(newPassword, 10);
+    admin.passwordChangedAt = new Date();
+    admin.tokenVersion = (admin.tokenVersion || 0) + 1;
+    await admin.save();
+
+    res.json({
+      message: "Password changed successfully",
+      token: signAdminToken(admin),
+    });
+  } catch (error) {
+    console.error("Change admin password error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * REQUEST PASSWORD RESET
+ * POST /api/admin/forgot-password
+ * Body: { email }
+ *
+ * There is no mail provider yet — the reset token is written to the server log
+ * for whoever operates the backend to hand over. The response is identical
+ * whether or not the email exists.
+ */
+router.post("/forgot-password", async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const admin = email ? await Admin.findOne({ email, status: "active" }) : null;
+
+    if (admin) {
+      const reset = createOneTimeToken(RESET_TTL_MINUTES);
+      admin.resetTokenHash = reset.hash;
+      admin.resetTokenExpiresAt = reset.expiresAt;
+      await admin.save();
+
+      console.log(
+        `[ADMIN RESET] ${admin.email}: ${reset.token} (expires ${reset.expiresAt.toISOString()})`,
+      );
+    }
+
+    res.json({
+      message: "If that account exists, a reset token has been issued.",
+    });
+  } catch (error) {
+    console.error("Forgot admin password error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * RESET PASSWORD
+ * POST /api/admin/reset-password
+ * Body: { token, password }
+ */
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const pwdErr = passwordError(password);
+    if (!token || pwdErr) {
+      return res.status(400).json({ message: pwdErr || "Reset token is required" });
+    }
+
+    const admin = await Admin.findOne({
+      resetTokenHash: hashToken(token),
+      status: "active",
+      resetTokenExpiresAt: { $gt: new Date() },
+    });
+
+    if (!admin) {
+      return res.status(400).json({ message: "Reset token is invalid or has expired" });
+    }
+
+    admin.password = await bcrypt.hash(password, 10);
+    admin.passwordChangedAt = new Date();
+    admin.resetTokenHash = null;
+    admin.resetTokenExpiresAt = null;
+    admin.tokenVersion = (admin.tokenVersion || 0) + 1;
+    await admin.save();
+
+    res.json({ message: "Password reset successfully. Please login." });
+  } catch (error) {
+    console.error("Reset admin password error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/* ================= ADMIN MANAGEMENT ================= */
+
+/**
+ * LIST ADMINS (super-admin only)
+ * GET /api/admin/admins
+ */
+router.get("/admins", canManageAdmins, async (req, res) => {
+  try {
+    const admins = await Admin.find().sort({ createdAt: -1 });
+    res.json({ success: true, data: admins.map(publicAdmin) });
+  } catch (error) {
+    console.error("List admins error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * DEACTIVATE / REACTIVATE ADMIN (super-admin only)
+ * PATCH /api/admin/admins/:id/deactivate
+ * PATCH /api/admin/admins/:id/activate
+ *
+ * Deactivation bumps tokenVersion so existing JWTs stop working immediately.
+ */
+router.patch("/admins/:id/deactivate", canManageAdmins, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid admin id" });
+    }
+
+    if (String(id) === String(req.admin.id)) {
+      return res.status(400).json({ message: "You cannot deactivate your own account" });
+    }
+
+    const admin = await Admin.findById(id);
+    if (!admin) {
+      return res.status(404).json({ message: "Admin not found" });
+    }
+
+    admin.status = "deactivated";
+    admin.deactivatedAt = new Date();
+    admin.deactivatedBy = req.admin.id;
+    admin.tokenVersion = (admin.tokenVersion || 0) + 1;
+    admin.setupTokenHash = null;
+    admin.resetTokenHash = null;
+    await admin.save();
+
+    res.json({ message: "Admin deactivated", admin: publicAdmin(admin) });
+  } catch (error) {
+    console.error("Deactivate admin error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+router.patch("/admins/:id/activate", canManageAdmins, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid admin id" });
+    }
+
+    const admin = await Admin.findById(id);
+    if (!admin) {
+      return res.status(404).json({ message: "Admin not found" });
+    }
+
+    if (admin.status !== "deactivated") {
+      return res.status(400).json({ message: `Admin is ${admin.status}` });
+    }
+
+    admin.status = "active";
+    admin.deactivatedAt = null;
+    admin.deactivatedBy = null;
+    await admin.save();
+
+    res.json({ message: "Admin reactivated", admin: publicAdmin(admin) });
+  } catch (error) {
+    console.error("Activate admin error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/* ================= LOGIN HISTORY ================= */
+
+const sendLoginHistory = async (adminId, req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const filter = { admin: adminId };
+  const skip = (Number(page) - 1) * Number(limit);
+
+  const events = await AdminLoginEvent.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(Number(limit))
+    .skip(skip)
+    .lean();
+
+  const total = await AdminLoginEvent.countDocuments(filter);
+
+  res.json({
+    success: true,
+    data: events,
+    pagination: {
+      page: Number(page),
+      limit: Number(limit),
+      total,
+      pages: Math.ceil(total / Number(limit)),
+    },
+  });
+};
+
+/**
+ * OWN LOGIN HISTORY
+ * GET /api/admin/me/login-history
+ */
+router.get("/me/login-history", adminAuth, async (req, res) => {
+  try {
+    await sendLoginHistory(req.admin.id, req, res);
+  } catch (error) {
+    console.error("Admin login history error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * REGISTER ADMIN-APP PUSH TOKEN
+ * POST /api/admin/me/push-token
+ * Body: { pushToken, platform?, appVersion? }
+ *
+ * Operational alerts (e.g. low stock) go to these devices.
+ */
+router.post("/me/push-token", adminAuth, async (req, res) => {
+  try {
+    const { pushToken, platform = "unknown", appVersion } = req.body;
+
+    if (!pushToken) {
+      return res.status(400).json({ message: "pushToken is required" });
+    }
+
+    await registerAdminPushDevice(req.admin.id, {
+      token: String(pushToken).trim(),
+      platform: ["ios", "android", "web"].includes(platform) ? platform : "unknown",
+      appVersion: appVersion ? String(appVersion) : null,
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Admin push-token error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * REMOVE ADMIN-APP PUSH TOKEN
+ * DELETE /api/admin/me/push-token
+ * Body: { pushToken }   — call on logout
+ */
+router.delete("/me/push-token", adminAuth, async (req, res) => {
+  try {
+    const { pushToken } = req.body;
+
+    if (!pushToken) {
+      return res.status(400).json({ message: "pushToken is required" });
+    }
+
+    await PushDevice.deleteOne({ token: String(pushToken).trim(), admin: req.admin.id });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Admin remove push-token error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * ANY ADMIN'S LOGIN HISTORY (super-admin only)
+ * GET /api/admin/admins/:id/login-history
+ */
+router.get("/admins/:id/login-history", canManageAdmins, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid admin id" });
+    }
+
+    await sendLoginHistory(id, req, res);
+  } catch (error) {
+    console.error("Admin login history error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 module.exports = router;
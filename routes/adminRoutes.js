@@ -2,10 +2,20 @@ const express = require("express");
 const router = express.Router();
 const User = require("../models/User");
 const mongoose = require("mongoose");
-const adminAuth = require("../middleware/adminMiddleware");
-const { getFirebaseMessaging } = require("../config/firebaseAdmin");
+const { requirePermission } = require("../middleware/permissionMiddleware");
+const { PERMISSIONS } = require("../config/adminRoles");
+const { broadcast, isExpoToken } = require("../utils/pushNotifications");
+const { revokeAllUserSessions } = require("../utils/userTokens");
 const Banner = require("../models/Banner");
 const Notification = require("../models/Notification");
+const PushDevice = require("../models/PushDevice");
+
+const canReadUsers = requirePermission(PERMISSIONS.USERS_READ);
+const canManageUsers = requirePermission(PERMISSIONS.USERS_MANAGE);
+const canReadStats = requirePermission(PERMISSIONS.STATS_READ);
+const canReadNotifications = requirePermission(PERMISSIONS.NOTIFICATIONS_READ);
+const canSendNotifications = requirePermission(PERMISSIONS.NOTIFICATIONS_SEND);
+const canManageBanners = requirePermission(PERMISSIONS.BANNERS_MANAGE);
 
 /* ================= GET ALL USERS (ADMIN ONLY) ================= */
 
@@ -14,10 +24,11 @@ const Notification = require("../models/Notification");
  * @desc    Get all users (admin only)
  * @access  Admin
  */
-router.get("/users", async (req, res) => {
+router.get("/users", canReadUsers, async (req, res) => {
   try {
     const {
       search = "",
+      status,
       page = 1,
       limit = 10,
       sortBy = "createdAt",
@@ -34,6 +45,10 @@ router.get("/users", async (req, res) => {
       ];
     }
 
+    if (status) {
+      searchFilter.status = status;
+    }
+
     // Sorting
     const sort = { [sortBy]: sortOrder === "asc" ? 1 : -1 };
 
@@ -76,7 +91,7 @@ router.get("/users", async (req, res) => {
  * @desc    Get user details by ID (admin only)
  * @access  Admin
  */
-router.get("/users/:id", async (req, res) => {
+router.get("/users/:id", canReadUsers, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -110,6 +125,133 @@ router.get("/users/:id", async (req, res) => {
   }
 });
 
+/* ================= BLOCK / UNBLOCK USER ================= */
+
+/**
+ * @route   PATCH /api/admin/users/:id/block
+ * @desc    Block a customer — OTP login, cart and checkout are refused and
+ *          every existing session is revoked
+ * @body    { reason }
+ * @access  Admin
+ */
+router.patch("/users/:id/block", canManageUsers, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reason = String(req.body.reason || "").trim();
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID format",
+      });
+    }
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: "reason is required",
+      });
+    }
+
+    const user = await User.findById(id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (user.status !== "active") {
+      return res.status(400).json({
+        success: false,
+        message: `User is already ${user.status}`,
+      });
+    }
+
+    user.status = "blocked";
+    user.otp = null;
+    user.otpSessionId = null;
+    user.otpExpiresAt = null;
+    user.blockHistory.push({ action: "blocked", reason, admin: req.admin.id });
+    await user.save();
+
+    await revokeAllUserSessions(user._id);
+
+    res.json({
+      success: true,
+      message: "User blocked",
+      data: { _id: user._id, status: user.status, blockHistory: user.blockHistory },
+    });
+  } catch (error) {
+    console.error("Block user error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to block user",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/admin/users/:id/unblock
+ * @body    { reason }
+ * @access  Admin
+ */
+router.patch("/users/:id/unblock", canManageUsers, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reason = String(req.body.reason || "").trim();
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user ID format",
+      });
+    }
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: "reason is required",
+      });
+    }
+
+    const user = await User.findById(id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (user.status !== "blocked") {
+      return res.status(400).json({
+        success: false,
+        message: "User is not blocked",
+      });
+    }
+
+    user.status = "active";
+    user.blockHistory.push({ action: "unblocked", reason, admin: req.admin.id });
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "User unblocked",
+      data: { _id: user._id, status: user.status, blockHistory: user.blockHistory },
+    });
+  } catch (error) {
+    console.error("Unblock user error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to unblock user",
+      error: error.message,
+    });
+  }
+});
+
 /* ================= GET DASHBOARD STATS ================= */
 
 /**
@@ -117,7 +259,7 @@ router.get("/users/:id", async (req, res) => {
  * @desc    Get dashboard statistics (admin only)
  * @access  Admin
  */
-router.get("/stats", async (req, res) => {
+router.get("/stats", canReadStats, async (req, res) => {
   try {
     const Order = require("../models/Orders");
     const Product = require("../models/Product");
@@ -199,10 +341,10 @@ router.get("/stats", async (req, res) => {
 
 /**
  * @route   POST /api/admin/notifications/broadcast
- * @desc    Send push notification to all users with push tokens
+ * @desc    Send push notification to every active registered device
  * @access  Admin
  */
-router.post("/notifications/broadcast", adminAuth, async (req, res) => {
+router.post("/notifications/broadcast", canSendNotifications, async (req, res) => {
   try {
     const { title, body, imageUrl } = req.body;
 
@@ -213,116 +355,38 @@ router.post("/notifications/broadcast", adminAuth, async (req, res) => {
       });
     }
 
-    const users = await User.find({
-      pushToken: { $exists: true, $ne: null, $ne: "" },
-    }).select("pushToken");
-
-    const tokens = [...new Set(users.map((user) => user.pushToken).filter(Boolean))];
-
-    if (!tokens.length) {
-      return res.json({
-        success: true,
-        message: "No user push tokens found",
-        stats: { totalTokens: 0, successCount: 0, failureCount: 0 },
-      });
-    }
+    // Id reserved up front so Expo receipts processed later can find this record
+    const notificationId = new mongoose.Types.ObjectId();
 
-    const validFcmTokens = [];
-    const invalidTokens = new Set();
-    const failureReasons = {};
-
-    tokens.forEach((token) => {
-      if (typeof token === "string" && !token.startsWith("ExponentPushToken[")) {
-        validFcmTokens.push(token);
-      } else {
-        invalidTokens.add(token);
-        failureReasons["invalid-fcm-token"] =
-          (failureReasons["invalid-fcm-token"] || 0) + 1;
-      }
-    });
+    const stats = await broadcast(
+      {
+        title,
+        body,
+        imageUrl,
+        data: { clickAction: "open_notifications" },
+      },
+      { notificationId },
+    );
 
-    if (!validFcmTokens.length) {
-      if (invalidTokens.size > 0) {
-        await User.updateMany(
-          { pushToken: { $in: Array.from(invalidTokens) } },
-          {
-            $set: {
-              pushToken: null,
-              pushTokenUpdatedAt: new Date(),
-            },
-          },
-        );
-      }
+    if (!stats.totalTokens) {
       return res.json({
         success: true,
-        message: "No valid Firebase push tokens found",
-        stats: {
-          totalTokens: tokens.length,
-          successCount: 0,
-          failureCount: tokens.length,
-          invalidTokensRemoved: invalidTokens.size,
-          failureReasons,
-        },
+        message: "No active push devices found",
+        stats,
       });
     }
 
-    const messaging = getFirebaseMessaging();
-    const chunkSize = 500;
-    let successCount = 0;
-    let failureCount = 0;
-
-    for (let i = 0; i < validFcmTokens.length; i += chunkSize) {
-      const tokenChunk = validFcmTokens.slice(i, i + chunkSize);
-      const response = await messaging.sendEachForMulticast({
-        tokens: tokenChunk,
-        notification: {
-          title: String(title),
-          body: String(body),
-          ...(imageUrl ? { imageUrl: String(imageUrl) } : {}),
-        },
-        data: {
-          clickAction: "open_notifications",
-          ...(imageUrl ? { imageUrl: String(imageUrl) } : {}),
-        },
-      });
-
-      successCount += response.successCount;
-      failureCount += response.failureCount;
-
-      response.responses.forEach((item, idx) => {
-        if (item.success) return;
-        const code = item.error?.code || "unknown-error";
-        failureReasons[code] = (failureReasons[code] || 0) + 1;
-        if (
-          code.includes("registration-token-not-registered") ||
-          code.includes("invalid-registration-token")
-        ) {
-          invalidTokens.add(tokenChunk[idx]);
-        }
-      });
-    }
-
-    if (invalidTokens.size > 0) {
-      await User.updateMany(
-        { pushToken: { $in: Array.from(invalidTokens) } },
-        {
-          $set: {
-            pushToken: null,
-            pushTokenUpdatedAt: new Date(),
-          },
-        },
-      );
-    }
-
     const notificationDoc = await Notification.create({
+      _id: notificationId,
       title: String(title),
       body: String(body),
       imageUrl: imageUrl ? String(imageUrl) : "",
       stats: {
-        totalTokens: tokens.length,
-        successCount,
-        failureCount: failureCount + (tokens.length - validFcmTokens.length),
-        invalidTokensRemoved: invalidTokens.size,
+        totalTokens: stats.totalTokens,
+        successCount: stats.successCount,
+        failureCount: stats.failureCount,
+        invalidTokensRemoved: stats.invalidTokensRemoved,
+        byProvider: stats.byProvider,
       },
       sentBy: req.admin?.id || null,
     });
@@ -331,13 +395,7 @@ router.post("/notifications/broadcast", adminAuth, async (req, res) => {
       success: true,
       message: "Notification broadcast completed",
       data: notificationDoc,
-      stats: {
-        totalTokens: tokens.length,
-        successCount,
-        failureCount: failureCount + (tokens.length - validFcmTokens.length),
-        invalidTokensRemoved: invalidTokens.size,
-        failureReasons,
-      },
+      stats,
     });
   } catch (error) {
     console.error("Broadcast notification error:", error);
@@ -354,7 +412,7 @@ router.post("/notifications/broadcast", adminAuth, async (req, res) => {
  * @desc    Notification history (stored table)
  * @access  Admin
  */
-router.get("/notifications", adminAuth, async (req, res) => {
+router.get("/notifications", canReadNotifications, async (req, res) => {
   try {
     const notifications = await Notification.find()
       .sort({ createdAt: -1 })
@@ -380,13 +438,11 @@ router.get("/notifications", adminAuth, async (req, res) => {
  * @desc    Debug token health for notification delivery
  * @access  Admin
  */
-router.get("/notifications/tokens", adminAuth, async (req, res) => {
+router.get("/notifications/tokens", canReadNotifications, async (req, res) => {
   try {
-    const users = await User.find(
-      {},
-      { name: 1, phone: 1, pushToken: 1, pushPlatform: 1, pushTokenUpdatedAt: 1 },
-    )
-      .sort({ updatedAt: -1 })
+    const devices = await PushDevice.find()
+      .populate("user", "name phone")
+      .sort({ lastSeenAt: -1 })
       .lean();
 
     const maskToken = (token) => {
@@ -395,29 +451,30 @@ router.get("/notifications/tokens", adminAuth, async (req, res) => {
       return `${token.slice(0, 12)}...${token.slice(-6)}`;
     };
 
-    const tokenRows = users.map((user) => {
-      const token = user.pushToken || null;
-      const isFcmToken =
-        Boolean(token) && typeof token === "string" && !token.startsWith("ExponentPushToken[");
-      return {
-        userId: user._id,
-        name: user.name || null,
-        phone: user.phone || null,
-        pushPlatform: user.pushPlatform || "unknown",
-        pushTokenUpdatedAt: user.pushTokenUpdatedAt || null,
-        hasToken: Boolean(token),
-        isValidFcmToken: isFcmToken,
-        tokenPreview: maskToken(token),
-      };
-    });
+    const tokenRows = devices.map((device) => ({
+      deviceId: device._id,
+      userId: device.user?._id || null,
+      adminId: device.admin || null,
+      name: device.user?.name || null,
+      phone: device.user?.phone || null,
+      platform: device.platform,
+      appVersion: device.appVersion,
+      lastSeenAt: device.lastSeenAt,
+      disabled: device.disabled,
+      disabledReason: device.disabledReason,
+      tokenType: isExpoToken(device.token) ? "expo" : "fcm",
+      tokenPreview: maskToken(device.token),
+    }));
 
     const stats = {
-      totalUsers: tokenRows.length,
-      withToken: tokenRows.filter((row) => row.hasToken).length,
-      validFcmTokens: tokenRows.filter((row) => row.isValidFcmToken).length,
-      invalidTokens: tokenRows.filter((row) => row.hasToken && !row.isValidFcmToken)
-        .length,
-      withoutToken: tokenRows.filter((row) => !row.hasToken).length,
+      totalDevices: tokenRows.length,
+      activeDevices: tokenRows.filter((row) => !row.disabled).length,
+      disabledDevices: tokenRows.filter((row) => row.disabled).length,
+      usersWithActiveDevice: new Set(
+        tokenRows.filter((row) => !row.disabled && row.userId).map((row) => String(row.userId)),
+      ).size,
+      fcmTokens: tokenRows.filter((row) => row.tokenType === "fcm").length,
+      expoTokens: tokenRows.filter((row) => row.tokenType === "expo").length,
     };
 
     return res.json({
@@ -435,7 +492,7 @@ router.get("/notifications/tokens", adminAuth, async (req, res) => {
   }
 });
 
-router.get("/banners", adminAuth, async (req, res) => {
+router.get("/banners", canManageBanners, async (req, res) => {
   try {
     const banners = await Banner.find().sort({ sortOrder: 1, createdAt: -1 }).lean();
     return res.json({
@@ -452,7 +509,7 @@ router.get("/banners", adminAuth, async (req, res) => {
   }
 });
 
-router.post("/banners", adminAuth, async (req, res) => {
+router.post("/banners", canManageBanners, async (req, res) => {
   try {
     const { title = "", image, sortOrder = 0, isActive = true } = req.body;
     if (!image) {
@@ -484,7 +541,7 @@ router.post("/banners", adminAuth, async (req, res) => {
   }
 });
 
-router.put("/banners/:id", adminAuth, async (req, res) => {
+router.put("/banners/:id", canManageBanners, async (req, res) => {
   try {
     const { id } = req.params;
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -520,7 +577,7 @@ router.put("/banners/:id", adminAuth, async (req, res) => {
   }
 });
 
-router.delete("/banners/:id", adminAuth, async (req, res) => {
+router.delete("/banners/:id", canManageBanners, async (req, res) => {
   try {
     const { id } = req.params;
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -0,0 +1,288 @@
+const express = require("express");
+const bcrypt = require("bcryptjs");
+const Admin = require("../models/Admin");
+const SecuritySettings = require("../models/SecuritySettings");
+const adminAuth = require("../middleware/adminMiddleware");
+const { requirePermission } = require("../middleware/permissionMiddleware");
+const { PERMISSIONS } = require("../config/adminRoles");
+const { generateSecret, verifyCode, buildOtpauthUrl } = require("../utils/totp");
+const {
+  signAdminToken,
+  hashToken,
+  generateRecoveryCodes,
+} = require("../utils/adminTokens");
+const {
+  TWO_FACTOR_SECRET_FIELDS,
+  attemptSecondFactor,
+  clearTwoFactorLockout,
+} = require("../utils/adminTwoFactor");
+
+const router = express.Router();
+
+const canManageAdmins = requirePermission(PERMISSIONS.ADMINS_MANAGE);
+// Enrollment must work for admins holding only a "2fa_setup" token
+const enrollmentAuth = adminAuth.allowTwoFactorSetup;
+
+const TOTP_ISSUER = process.env.ADMIN_TOTP_ISSUER || "VADI Admin";
+
+const getOrCreateSettings = async () => {
+  let settings = await SecuritySettings.findOne({ key: "global" });
+  if (!settings) {
+    settings = await SecuritySettings.create({ key: "global" });
+  }
+  return settings;
+};
+
+/** 429 with both a Retry-After header and a retryAfter (seconds) body field */
+const twoFactorLocked = (res, retryAfter) => {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    message: "Too many incorrect authentication codes. Try again later.",
+    retryAfter,
+  });
+};
+
+const issueRecoveryCodes = (admin) => {
+  const codes = generateRecoveryCodes();
+  admin.twoFactor.recoveryCodeHashes = codes.map((c) => hashToken(c));
+  return codes;
+};
+
+/**
+ * GET /api/admin/2fa/status
+ */
+router.get("/status", enrollmentAuth, async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.admin.id).select(TWO_FACTOR_SECRET_FIELDS);
+    const settings = await getOrCreateSettings();
+
+    res.json({
+      success: true,
+      data: {
+        enabled: Boolean(admin.twoFactor?.enabled),
+        enabledAt: admin.twoFactor?.enabledAt || null,
+        recoveryCodesRemaining: admin.twoFactor?.recoveryCodeHashes?.length || 0,
+        requiredByPolicy: settings.requireAdminTwoFactor,
+      },
+    });
+  } catch (error) {
+    console.error("2FA status error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * START ENROLLMENT
+ * POST /api/admin/2fa/enroll
+ *
+ * Returns the secret and an otpauth:// URI for the client to render as a QR code.
+ * Nothing is enabled until /2fa/confirm succeeds.
+ */
+router.post("/enroll", enrollmentAuth, async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.admin.id);
+
+    if (admin.twoFactor?.enabled) {
+      return res.status(400).json({
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    const secret = generateSecret();
+    admin.twoFactor.pendingSecret = secret;
+    await admin.save();
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl: buildOtpauthUrl({
+          secret,
+          accountName: admin.email,
+          issuer: TOTP_ISSUER,
+        }),
+      },
+    });
+  } catch (error) {
+    console.error("2FA enroll error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * CONFIRM ENROLLMENT
+ * POST /api/admin/2fa/confirm
+ * Body: { code }
+ *
+ * Enables 2FA and returns recovery codes — shown once, only hashes are stored.
+ * Also returns a full session token (replaces a "2fa_setup" token).
+ */
+router.post("/confirm", enrollmentAuth, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const admin = await Admin.findById(req.admin.id).select(
+      `${TWO_FACTOR_SECRET_FIELDS} +twoFactor.pendingSecret`,
+    );
+
+    if (admin.twoFactor.enabled) {
+      return res.status(400).json({
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    if (!admin.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: "Start enrollment first" });
+    }
+
+    const step = verifyCode(admin.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ message: "Invalid authentication code" });
+    }
+
+    admin.twoFactor.secret = admin.twoFactor.pendingSecret;
+    admin.twoFactor.pendingSecret = null;
+    admin.twoFactor.enabled = true;
+    admin.twoFactor.enabledAt = new Date();
+    admin.twoFactor.lastUsedStep = step;
+    clearTwoFactorLockout(admin);
+    const recoveryCodes = issueRecoveryCodes(admin);
+    await admin.save();
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication enabled",
+      data: {
+        recoveryCodes,
+        token: signAdminToken(admin),
+      },
+    });
+  } catch (error) {
+    console.error("2FA confirm error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * REGENERATE RECOVERY CODES
+ * POST /api/admin/2fa/recovery-codes
+ * Body: { code }
+ */
+router.post("/recovery-codes", adminAuth, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const admin = await Admin.findById(req.admin.id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!admin.twoFactor?.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    const { method, retryAfter } = await attemptSecondFactor(admin, { code });
+    if (retryAfter) return twoFactorLocked(res, retryAfter);
+    if (!method) {
+      return res.status(401).json({ message: "Invalid authentication code" });
+    }
+
+    const recoveryCodes = issueRecoveryCodes(admin);
+    await admin.save();
+
+    res.json({ success: true, data: { recoveryCodes } });
+  } catch (error) {
+    console.error("2FA recovery codes error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * DISABLE 2FA
+ * POST /api/admin/2fa/disable
+ * Body: { password, code } or { password, recoveryCode }
+ */
+router.post("/disable", adminAuth, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const settings = await getOrCreateSettings();
+    if (settings.requireAdminTwoFactor) {
+      return res.status(403).json({
+        message: "Two-factor authentication is required for all admins",
+      });
+    }
+
+    const admin = await Admin.findById(req.admin.id).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!admin.twoFactor?.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    const isMatch = await bcrypt.compare(String(password || ""), admin.password);
+    if (!isMatch) {
+      return res.status(401).json({ message: "Invalid password or authentication code" });
+    }
+
+    const { method, retryAfter } = await attemptSecondFactor(admin, { code, recoveryCode });
+    if (retryAfter) return twoFactorLocked(res, retryAfter);
+    if (!method) {
+      return res.status(401).json({ message: "Invalid password or authentication code" });
+    }
+
+    admin.twoFactor.enabled = false;
+    admin.twoFactor.secret = null;
+    admin.twoFactor.recoveryCodeHashes = [];
+    admin.twoFactor.enabledAt = null;
+    admin.twoFactor.lastUsedStep = 0;
+    await admin.save();
+
+    res.json({ success: true, message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.error("2FA disable error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+/**
+ * ORGANISATION POLICY (super-admin only)
+ * GET /api/admin/2fa/policy
+ * PUT /api/admin/2fa/policy   Body: { requireAdminTwoFactor }
+ *
+ * Once required, admins without 2FA can only reach the enrollment routes.
+ */
+router.get("/policy", canManageAdmins, async (req, res) => {
+  try {
+    const settings = await getOrCreateSettings();
+    res.json({ success: true, data: settings });
+  } catch (error) {
+    console.error("Get 2FA policy error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+router.put("/policy", canManageAdmins, async (req, res) => {
+  try {
+    const { requireAdminTwoFactor } = req.body;
+
+    if (typeof requireAdminTwoFactor !== "boolean") {
+      return res.status(400).json({ message: "requireAdminTwoFactor must be a boolean" });
+    }
+
+    // Avoid locking the acting super-admin out of the policy screen
+    if (requireAdminTwoFactor && !req.admin.twoFactorEnabled) {
+      return res.status(400).json({
+        message: "Enable two-factor authentication on your own account first",
+      });
+    }
+
+    const settings = await getOrCreateSettings();
+    settings.requireAdminTwoFactor = requireAdminTwoFactor;
+    settings.updatedBy = req.admin.id;
+    await settings.save();
+
+    res.json({ success: true, message: "Security policy updated", data: settings });
+  } catch (error) {
+    console.error("Update 2FA policy error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,29 @@
 const express = require("express");
-const axios = require("axios");
 const User = require("../models/User");
+const PushDevice = require("../models/PushDevice");
+const requireUser = require("../middleware/userMiddleware");
+const {
+  issueUserSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+} = require("../utils/userTokens");
+const {
+  checkSendAllowed,
+  checkVerifyAllowed,
+  recordOtpEvent,
+  claimVerifyAttempt,
+  registerFailedVerify,
+  clearOtpLockout,
+} = require("../utils/otpThrottle");
+const { sendOtp, verifyOtp } = require("../utils/otpProviders");
+const {
+  DELETION_GRACE_DAYS,
+  buildUserDataExport,
+  hasOpenOrders,
+} = require("../utils/accountData");
+const { registerPushDevice } = require("../utils/pushNotifications");
+const { receiveImage } = require("../middleware/upload");
+const { validateImage, storeImage, formatImage } = require("../utils/imageUpload");
 
 const router = express.Router();
 
@@ -9,7 +32,6 @@ const router = express.Router();
 ──────────────────────────────────────────── */
 
 const ADMIN_PHONE = "+919909049699";
-const TWO_FACTOR_API_KEY = process.env.TWO_FACTOR_API_KEY;
 
 // Dummy / test account — bypasses real OTP
 // Set DUMMY_PHONE and DUMMY_OTP in your .env to override defaults
@@ -53,85 +75,12 @@ function isDemoPhone(phone) {
   return normalizePhone(phone) === normalizePhone(DEMO_PHONE);
 }
 
-/**
- * 2factor.in — try AUTOGEN first (recommended for OTP SMS), then manual OTP URL.
- * @returns {{ kind: 'session', sessionId: string } | { kind: 'otp', otp: string }}
- */
-async function dispatch2FactorOtpSms(normalizedPhoneWith91) {
-  const key = TWO_FACTOR_API_KEY;
-  if (!key || typeof key !== "string" || !key.trim()) {
-    throw new Error("TWO_FACTOR_API_KEY missing in backend .env — SMS OTP cannot send");
-  }
-
-  const tenDigit = normalizedPhoneWith91.replace(/^\+91/, "");
-
-  /**
-   * AUTOGEN: 2Factor generates OTP and sends SMS.
-   * @see https://2factor.in – SMS OTP / AUTOGEN
-   */
-  try {
-    const autogenUrl = `https://2factor.in/API/V1/${key}/SMS/${tenDigit}/AUTOGEN`;
-    const autogenRes = await axios.get(autogenUrl);
-    const sessionId =
-      typeof autogenRes.data?.Details === "string"
-        ? autogenRes.data.Details
-        : "";
-
-    if (autogenRes.data?.Status === "Success" && sessionId) {
-      return { kind: "session", sessionId };
-    }
-    console.warn(
-      "2Factor AUTOGEN non-success:",
-      autogenRes.data || autogenRes.status
-    );
-  } catch (e) {
-    console.warn(
-      "2Factor AUTOGEN failed, trying manual OTP URL:",
-      e.response?.data || e.message || e
-    );
-  }
-
-  /** Manual: we generate OTP — some accounts only support transactional SMS this way */
-  const otp = Math.floor(100000 + Math.random() * 900000).toString();
-  const manualUrl = `https://2factor.in/API/V1/${key}/SMS/${tenDigit}/${otp}`;
-  const response = await axios.get(manualUrl);
-
-  if (response.data?.Status !== "Success") {
-    const detail =
-      response.data?.Details ||
-      JSON.stringify(response.data || {}) ||
-      "2Factor manual OTP send failed";
-    throw new Error(detail);
-  }
-
-  return { kind: "otp", otp };
-}
-
-/** Verify OTP typed by user against an AUTOGEN session */
-async function verify2factorSession(sessionId, enteredOtp) {
-  const key = process.env.TWO_FACTOR_API_KEY || TWO_FACTOR_API_KEY;
-  const code = String(enteredOtp ?? "").replace(/\D/g, "").slice(0, 6);
-  if (!key || !sessionId || code.length !== 6) return false;
+const BLOCKED_ERROR = "This account has been blocked. Please contact support.";
 
-  try {
-    const url = `https://2factor.in/API/V1/${key}/SMS/VERIFY/${sessionId}/${code}`;
-    const r = await axios.get(url);
-    return r.data?.Status === "Success";
-  } catch (e) {
-    console.warn("2Factor VERIFY error:", e.response?.data || e.message);
-    return false;
-  }
-}
-
-/**
- * Compare OTP the user typed with what we saved when triggering SMS via 2Factor.
- * The SMS body contains the same OTP as `user.otp` (stored in send-otp).
- * (Separate 2factor "VERIFY" session endpoints are unused here because we persist the code.)
- */
-function enteredOtpMatchesStored(storedOtp, enteredRaw) {
-  const entered = String(enteredRaw ?? "").replace(/\D/g, "").slice(0, 6);
-  if (!entered || entered.length !== 6) return false;
-  return String(storedOtp ?? "") === entered;
+/** 429 with both a Retry-After header and a retryAfter (seconds) body field */
+function tooManyRequests(res, { error, retryAfter }) {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ error, retryAfter });
 }
 
 /* ────────────────────────────────────────────
@@ -168,6 +117,10 @@ router.post("/send-otp", async (req, res) => {
       return res.status(404).json({ error: "Account not found. Please sign up." });
     }
 
+    if (user?.status === "blocked") {
+      return res.status(403).json({ error: BLOCKED_ERROR, blocked: true });
+    }
+
     // Block re-signup for already-registered numbers
     if (mode === "signup" && user && user.name && user.isPhoneVerified) {
       return res.status(409).json({
@@ -175,16 +128,43 @@ router.post("/send-otp", async (req, res) => {
       });
     }
 
+    const isDummy = isDummyPhone(normalizedPhone);
+
+    const bypassCooldown =
+      forceResend === true ||
+      forceResend === "true";
+
+    /**
+     * Without forceResend, avoid spamming SMS. With forceResend (app "Resend OTP"),
+     * send a fresh code even if the previous one hasn't expired yet — still
+     * subject to the cooldown and send caps below.
+     */
+    const stillValidExpiry =
+      user?.otpExpiresAt && new Date(user.otpExpiresAt) > new Date();
+
+    const alreadySent =
+      !bypassCooldown &&
+      (user?.otp || user?.otpSessionId) &&
+      stillValidExpiry;
+
+    // Throttle before touching the DB so a blocked request creates nothing
+    if (!isDummy && !alreadySent) {
+      const limited = await checkSendAllowed({ phone: normalizedPhone, ip: req.ip, user });
+      if (limited) return tooManyRequests(res, limited);
+    }
+
     // Create a placeholder user so we can attach OTP before verification
     if (mode === "signup" && !user) {
       user = await User.create({ phone: normalizedPhone });
     }
 
     // ── Dummy account: skip real OTP ──────────────────────────────────
-    if (isDummyPhone(normalizedPhone)) {
+    if (isDummy) {
       user.otp            = DUMMY_OTP;
       user.otpSessionId   = null;
+      user.otpProvider    = null;
       user.otpExpiresAt   = new Date(Date.now() + 10 * 60 * 1000); // 10 min
+      user.otpAttempts    = 0;
       await user.save();
 
       console.log(`[DEV] Dummy OTP for ${normalizedPhone}: ${DUMMY_OTP}`);
@@ -197,36 +177,22 @@ router.post("/send-otp", async (req, res) => {
       });
     }
 
-    const bypassCooldown =
-      forceResend === true ||
-      forceResend === "true";
-
-    /**
-     * Without forceResend, avoid spamming SMS. With forceResend (app "Resend OTP"),
-     * send a fresh code even if the previous one hasn't expired yet.
-     */
-    const stillValidExpiry =
-      user.otpExpiresAt && new Date(user.otpExpiresAt) > new Date();
-
-    if (
-      !bypassCooldown &&
-      (user.otp || user.otpSessionId) &&
-      stillValidExpiry
-    ) {
+    if (alreadySent) {
       return res.json({ success: true, message: "OTP already sent" });
     }
 
-    const dispatched = await dispatch2FactorOtpSms(normalizedPhone);
-
-    if (dispatched.kind === "session") {
-      user.otp          = null;
-      user.otpSessionId = dispatched.sessionId;
-    } else {
-      user.otp          = dispatched.otp;
-      user.otpSessionId = null;
-    }
+    const delivery = await sendOtp(normalizedPhone);
+    await recordOtpEvent("send", {
+      phone: normalizedPhone,
+      ip: req.ip,
+      provider: delivery.provider,
+    });
 
+    user.otp          = delivery.otp;
+    user.otpSessionId = delivery.reference;
+    user.otpProvider  = delivery.provider;
     user.otpExpiresAt = new Date(Date.now() + 5 * 60 * 1000); // 5 min
+    user.otpAttempts  = 0;
     await user.save();
 
     return res.json({ success: true });
@@ -259,6 +225,13 @@ router.post("/verify-otp", async (req, res) => {
     const normalizedPhone = normalizePhone(phone);
     const user = await User.findOne({ phone: normalizedPhone });
 
+    if (user?.status === "blocked") {
+      return res.status(403).json({ error: BLOCKED_ERROR, blocked: true });
+    }
+
+    const limited = await checkVerifyAllowed({ phone: normalizedPhone, ip: req.ip, user });
+    if (limited) return tooManyRequests(res, limited);
+
     const hasChallenge =
       user &&
       user.otpExpiresAt &&
@@ -272,23 +245,22 @@ router.post("/verify-otp", async (req, res) => {
       return res.status(400).json({ error: "OTP expired" });
     }
 
-    let isValid = false;
-    if (user.otpSessionId) {
-      isValid = await verify2factorSession(user.otpSessionId, otp);
-    }
-    if (!isValid) {
-      isValid = enteredOtpMatchesStored(user.otp, otp);
-    }
+    const claim = await claimVerifyAttempt(user);
+    if (claim.error) return tooManyRequests(res, claim);
+
+    const isValid = await verifyOtp(user, otp);
 
     if (!isValid) {
-      user.otpAttempts = (user.otpAttempts || 0) + 1;
-      await user.save();
+      const locked = await registerFailedVerify(user, claim.attempt);
+      if (locked) return tooManyRequests(res, locked);
       return res.status(400).json({ error: "Invalid OTP" });
     }
 
     // Clear OTP fields
+    clearOtpLockout(user);
     user.otp            = null;
     user.otpSessionId   = null;
+    user.otpProvider    = null;
     user.otpExpiresAt   = null;
     user.isPhoneVerified = true;
     user.otpVerifiedAt  = new Date();
@@ -304,12 +276,14 @@ router.post("/verify-otp", async (req, res) => {
     await user.save();
 
     const isNewUser = !user.name;
+    const session = await issueUserSession(user, req);
 
     return res.json({
       success: true,
       phone: normalizedPhone,
       user,
       isNewUser,
+      ...session,
     });
   } catch (err) {
     console.error("verify-otp error:", err);
@@ -334,6 +308,10 @@ router.post("/demo-login", async (req, res) => {
     }
 
     let user = await User.findOne({ phone: normalizedPhone });
+    if (user?.status === "blocked") {
+      return res.status(403).json({ error: BLOCKED_ERROR, blocked: true });
+    }
+
     if (!user) {
       user = await User.create({
         phone: normalizedPhone,
@@ -355,7 +333,9 @@ router.post("/demo-login", async (req, res) => {
       await user.save();
     }
 
-    return res.json({ success: true, user });
+    const session = await issueUserSession(user, req);
+
+    return res.json({ success: true, user, ...session });
   } catch (err) {
     console.error("demo-login error:", err);
     return res.status(500).json({ error: "Demo login failed" });
@@ -363,24 +343,65 @@ router.post("/demo-login", async (req, res) => {
 });
 
 /**
- * POST /api/auth/signup
- * Body: { name, phone, profileImage?, role? }
+ * POST /api/auth/refresh
+ * Body: { refreshToken }
+ *
+ * Rotates the refresh token — the one presented is revoked and must be discarded.
  */
-router.post("/signup", async (req, res) => {
+router.post("/refresh", async (req, res) => {
   try {
-    const { name, phone, profileImage, role, privacyPolicyAccepted } = req.body;
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: "refreshToken is required" });
+    }
 
-    if (!name || !phone) {
-      return res.status(400).json({ error: "Name and phone are required" });
+    const rotated = await rotateRefreshToken(refreshToken, req);
+    if (!rotated) {
+      return res.status(401).json({ error: "Session expired. Please login again." });
     }
 
-    const normalizedPhone = normalizePhone(phone);
-    const user = await User.findOne({ phone: normalizedPhone });
+    return res.json({ success: true, ...rotated.session });
+  } catch (err) {
+    console.error("refresh error:", err);
+    return res.status(500).json({ error: "Failed to refresh session" });
+  }
+});
 
-    if (!user) {
-      return res.status(400).json({ error: "OTP not verified" });
+/**
+ * POST /api/auth/logout
+ * Body: { refreshToken }
+ */
+router.post("/logout", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ error: "refreshToken is required" });
+    }
+
+    await revokeRefreshToken(refreshToken);
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("logout error:", err);
+    return res.status(500).json({ error: "Logout failed" });
+  }
+});
+
+/**
+ * POST /api/auth/signup
+ * Headers: Authorization: Bearer <accessToken from verify-otp>
+ * Body: { name, profileImage?, role? }
+ */
+router.post("/signup", requireUser, async (req, res) => {
+  try {
+    const { name, profileImage, role, privacyPolicyAccepted } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: "Name is required" });
     }
 
+    const user = req.user;
+
     if (!user.isPhoneVerified) {
       return res.status(400).json({ error: "Phone not verified" });
     }
@@ -393,7 +414,7 @@ router.post("/signup", async (req, res) => {
 
     // Only allow admin role for the designated admin number
     let finalRole = "user";
-    if (normalizedPhone === ADMIN_PHONE && role === "admin") {
+    if (user.phone === ADMIN_PHONE && role === "admin") {
       finalRole = "admin";
     }
 
@@ -419,31 +440,354 @@ router.post("/signup", async (req, res) => {
 });
 
 /**
- * POST /api/auth/push-token
- * Body: { userId, pushToken, platform? }
+ * GET /api/auth/me
  */
-router.post("/push-token", async (req, res) => {
+router.get("/me", requireUser, async (req, res) => {
+  return res.json({ success: true, user: req.user });
+});
+
+/**
+ * PUT /api/auth/me
+ * Body: { name?, dob?, profileImage? }
+ *
+ * Phone number changes go through /me/phone/send-otp + /me/phone/verify.
+ */
+router.put("/me", requireUser, async (req, res) => {
   try {
-    const { userId, pushToken, platform = "unknown" } = req.body;
+    const { name, dob, profileImage } = req.body;
+    const user = req.user;
+
+    if (name !== undefined) {
+      if (!String(name || "").trim()) {
+        return res.status(400).json({ error: "Name cannot be empty" });
+      }
+      user.name = String(name).trim();
+    }
 
-    if (!userId || !pushToken) {
-      return res.status(400).json({ error: "userId and pushToken are required" });
+    if (dob !== undefined) {
+      if (dob) {
+        const parsed = new Date(dob);
+        if (Number.isNaN(parsed.getTime()) || parsed > new Date()) {
+          return res.status(400).json({ error: "Invalid date of birth" });
+        }
+      }
+      user.dob = dob || undefined;
     }
 
-    const user = await User.findById(userId);
+    if (profileImage !== undefined) {
+      user.profileImage = profileImage || undefined;
+    }
 
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
+    await user.save();
+
+    return res.json({ success: true, user });
+  } catch (err) {
+    console.error("update profile error:", err);
+    return res.status(500).json({ error: "Failed to update profile" });
+  }
+});
+
+/**
+ * POST /api/auth/me/profile-image
+ * Multipart field "image". Stores resized renditions and sets profileImage
+ * to the medium one; the previous photo is removed by the image cleanup job.
+ */
+router.post("/me/profile-image", requireUser, receiveImage("image"), async (req, res) => {
+  try {
+    if (req.uploadError) {
+      return res.status(400).json({ error: req.uploadError });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: "Image file is required" });
+    }
+
+    const { error } = await validateImage(req.file.buffer);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const image = await storeImage(req.file.buffer, {
+      folder: "profiles",
+      userId: req.user._id,
+    });
+
+    req.user.profileImage = image.urls.medium;
+    await req.user.save();
+
+    return res.json({ success: true, user: req.user, image: formatImage(image) });
+  } catch (err) {
+    console.error("profile image upload error:", err);
+    return res.status(500).json({ error: "Failed to upload profile image" });
+  }
+});
+
+/**
+ * GET /api/auth/me/export
+ *
+ * Personal data export — downloads everything tied to the account as JSON.
+ */
+router.get("/me/export", requireUser, async (req, res) => {
+  try {
+    const bundle = await buildUserDataExport(req.user._id);
+    const filename = `vadi-data-${req.user._id}-${Date.now()}.json`;
+
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+    return res.json(bundle);
+  } catch (err) {
+    console.error("data export error:", err);
+    return res.status(500).json({ error: "Failed to export data" });
+  }
+});
+
+/**
+ * GET /api/auth/me/deletion
+ */
+router.get("/me/deletion", requireUser, async (req, res) => {
+  const { requestedAt, scheduledFor } = req.user.deletion || {};
+  return res.json({
+    success: true,
+    pending: Boolean(scheduledFor),
+    requestedAt: requestedAt || null,
+    scheduledFor: scheduledFor || null,
+  });
+});
+
+/**
+ * POST /api/auth/me/deletion
+ * Body: { reason? }
+ *
+ * Schedules account deletion after a grace period (ACCOUNT_DELETION_GRACE_DAYS).
+ * Until then the customer can keep using the app and cancel the request.
+ */
+router.post("/me/deletion", requireUser, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.deletion?.scheduledFor) {
+      return res.status(409).json({
+        error: "Account deletion is already scheduled",
+        scheduledFor: user.deletion.scheduledFor,
+      });
+    }
+
+    if (await hasOpenOrders(user._id)) {
+      return res.status(409).json({
+        error: "You have orders in progress. Please try again once they are delivered or cancelled.",
+      });
+    }
+
+    const now = new Date();
+    user.deletion = {
+      requestedAt: now,
+      scheduledFor: new Date(now.getTime() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000),
+      reason: req.body.reason ? String(req.body.reason).slice(0, 500) : null,
+      anonymizedAt: null,
+    };
+    await user.save();
+
+    return res.json({
+      success: true,
+      message: `Your account will be deleted on ${user.deletion.scheduledFor.toDateString()}`,
+      scheduledFor: user.deletion.scheduledFor,
+    });
+  } catch (err) {
+    console.error("deletion request error:", err);
+    return res.status(500).json({ error: "Failed to request account deletion" });
+  }
+});
+
+/**
+ * DELETE /api/auth/me/deletion — cancel a pending deletion request
+ */
+router.delete("/me/deletion", requireUser, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (!user.deletion?.scheduledFor) {
+      return res.status(400).json({ error: "No account deletion is pending" });
+    }
+
+    user.deletion = {
+      requestedAt: null,
+      scheduledFor: null,
+      reason: null,
+      anonymizedAt: null,
+    };
+    await user.save();
+
+    return res.json({ success: true, message: "Account deletion cancelled" });
+  } catch (err) {
+    console.error("cancel deletion error:", err);
+    return res.status(500).json({ error: "Failed to cancel account deletion" });
+  }
+});
+
+/**
+ * A number is taken if another verified/registered account uses it. Abandoned
+ * signup placeholders (no name, never verified) don't count.
+ */
+async function findPhoneOwner(phone, userId) {
+  return User.findOne({
+    phone,
+    _id: { $ne: userId },
+    $or: [{ isPhoneVerified: true }, { name: { $exists: true, $nin: [null, ""] } }],
+  }).select("_id");
+}
+
+/**
+ * POST /api/auth/me/phone/send-otp
+ * Body: { phone }   — the new number
+ */
+router.post("/me/phone/send-otp", requireUser, async (req, res) => {
+  try {
+    const { phone } = req.body;
+    if (!phone) {
+      return res.status(400).json({ error: "Phone is required" });
+    }
+
+    const user = req.user;
+    const newPhone = normalizePhone(String(phone));
+
+    if (newPhone === user.phone) {
+      return res.status(400).json({ error: "This is already your phone number" });
+    }
+
+    if (await findPhoneOwner(newPhone, user._id)) {
+      return res.status(409).json({
+        error: "This phone number is already linked to another account",
+      });
     }
 
-    user.pushToken = String(pushToken).trim();
-    user.pushPlatform = ["ios", "android", "web"].includes(platform)
-      ? platform
-      : "unknown";
-    user.pushTokenUpdatedAt = new Date();
+    const limited = await checkSendAllowed({ phone: newPhone, ip: req.ip, user });
+    if (limited) return tooManyRequests(res, limited);
+
+    const delivery = await sendOtp(newPhone);
+    await recordOtpEvent("send", {
+      phone: newPhone,
+      ip: req.ip,
+      provider: delivery.provider,
+    });
 
+    user.phoneChange = {
+      phone: newPhone,
+      otp: delivery.otp,
+      reference: delivery.reference,
+      provider: delivery.provider,
+      expiresAt: new Date(Date.now() + 5 * 60 * 1000), // 5 min
+    };
+    user.otpAttempts = 0;
     await user.save();
 
+    return res.json({ success: true, phone: newPhone });
+  } catch (err) {
+    console.error("phone change send-otp error:", err.response?.data || err.message);
+    return res.status(500).json({ error: "Failed to send OTP" });
+  }
+});
+
+/**
+ * POST /api/auth/me/phone/verify
+ * Body: { otp }
+ */
+router.post("/me/phone/verify", requireUser, async (req, res) => {
+  try {
+    const { otp } = req.body;
+    if (!otp) {
+      return res.status(400).json({ error: "OTP is required" });
+    }
+
+    const user = await User.findById(req.user._id).select(
+      "+phoneChange.otp +phoneChange.reference",
+    );
+
+    const pending = user.phoneChange;
+    if (!pending?.phone || !(pending.otp || pending.reference)) {
+      return res.status(400).json({ error: "No phone change in progress. Request an OTP first." });
+    }
+
+    const limited = await checkVerifyAllowed({ phone: pending.phone, ip: req.ip, user });
+    if (limited) return tooManyRequests(res, limited);
+
+    if (!pending.expiresAt || new Date(pending.expiresAt) < new Date()) {
+      return res.status(400).json({ error: "OTP expired" });
+    }
+
+    const claim = await claimVerifyAttempt(user);
+    if (claim.error) return tooManyRequests(res, claim);
+
+    const isValid = await verifyOtp(
+      {
+        phone: pending.phone,
+        otp: pending.otp,
+        otpSessionId: pending.reference,
+        otpProvider: pending.provider,
+      },
+      otp,
+    );
+
+    if (!isValid) {
+      const locked = await registerFailedVerify(user, claim.attempt);
+      if (locked) {
+        user.phoneChange = undefined;
+        await user.save();
+        return tooManyRequests(res, locked);
+      }
+      return res.status(400).json({ error: "Invalid OTP" });
+    }
+
+    // The number may have been registered while the OTP was in flight
+    if (await findPhoneOwner(pending.phone, user._id)) {
+      user.phoneChange = undefined;
+      await user.save();
+      return res.status(409).json({
+        error: "This phone number is already linked to another account",
+      });
+    }
+
+    await User.deleteMany({ phone: pending.phone, _id: { $ne: user._id } });
+
+    user.phone = pending.phone;
+    user.isPhoneVerified = true;
+    user.otpVerifiedAt = new Date();
+    user.phoneChange = undefined;
+    clearOtpLockout(user);
+    await user.save();
+
+    const updated = await User.findById(user._id).select("-otp -otpSessionId");
+
+    return res.json({ success: true, user: updated });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({
+        error: "This phone number is already linked to another account",
+      });
+    }
+    console.error("phone change verify error:", err);
+    return res.status(500).json({ error: "Phone verification failed" });
+  }
+});
+
+/**
+ * POST /api/auth/push-token
+ * Body: { pushToken, platform?, appVersion? }
+ *
+ * Registers this device; a customer can have any number of devices.
+ * Call again on every app start to refresh lastSeenAt.
+ */
+router.post("/push-token", requireUser, async (req, res) => {
+  try {
+    const { pushToken, platform = "unknown", appVersion } = req.body;
+
+    if (!pushToken) {
+      return res.status(400).json({ error: "pushToken is required" });
+    }
+
+    await registerPushDevice(req.user._id, {
+      token: String(pushToken).trim(),
+      platform: ["ios", "android", "web"].includes(platform) ? platform : "unknown",
+      appVersion: appVersion ? String(appVersion) : null,
+    });
+
     return res.json({ success: true });
   } catch (err) {
     console.error("push-token error:", err);
@@ -451,4 +795,25 @@ router.post("/push-token", async (req, res) => {
   }
 });
 
+/**
+ * DELETE /api/auth/push-token
+ * Body: { pushToken }   — call on logout so this device stops receiving pushes
+ */
+router.delete("/push-token", requireUser, async (req, res) => {
+  try {
+    const { pushToken } = req.body;
+
+    if (!pushToken) {
+      return res.status(400).json({ error: "pushToken is required" });
+    }
+
+    await PushDevice.deleteOne({ token: String(pushToken).trim(), user: req.user._id });
+
+    return res.json({ success: true });
+  } catch (err) {
+    console.error("remove push-token error:", err);
+    return res.status(500).json({ error: "Failed to remove push token" });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -3,6 +3,8 @@ const router = express.Router();
 const Cart = require("../models/Cart");
 const Product = require("../models/Product");
 const mongoose = require("mongoose");
+const requireUser = require("../middleware/userMiddleware");
+const { pricePerUnit } = require("../utils/unitPricing");
 
 /* ================= HELPER FUNCTIONS ================= */
 
@@ -94,10 +96,65 @@ const createCartItem = (product, variant, quantity) => {
       sellerId: product.seller.sellerId,
       sellerName: product.seller.sellerName,
     },
+    variableWeight: variant.variableWeight || false,
+    components: (variant.components || []).map((component) => component.toObject()),
     isActive: true,
   };
 };
 
+/**
+ * /cart/validate issue for an item whose variant price has moved, or null
+ */
+const priceChangeIssue = (item, variant) => {
+  if (variant.price === item.unitPrice) return null;
+  return {
+    productId: item.product?._id || item.product,
+    productName: item.productName,
+    issue: `Price changed from ₹${item.unitPrice} to ₹${variant.price}`,
+    oldPrice: item.unitPrice,
+    newPrice: variant.price,
+  };
+};
+
+/**
+ * Price issues for a cart flagged after a price change, so the app can prompt
+ * a /cart/validate before checkout
+ */
+const pendingPriceIssues = async (cart) => {
+  const products = await Product.find({
+    _id: { $in: cart.items.map((item) => item.product?._id || item.product) },
+  })
+    .select("variants._id variants.price")
+    .lean();
+  const byId = new Map(products.map((p) => [String(p._id), p]));
+
+  return cart.items
+    .map((item) => {
+      const product = byId.get(String(item.product?._id || item.product));
+      const variant = product && findVariant(product, item.variantId);
+      return variant ? priceChangeIssue(item, variant) : null;
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Cart as returned to the app — each item gains its ₹ per kg / litre / pc
+ */
+const formatCart = (cart) => {
+  const data = typeof cart.toObject === "function" ? cart.toObject() : cart;
+  return {
+    ...data,
+    items: (data.items || []).map((item) => ({
+      ...item,
+      pricePerUnit: pricePerUnit({
+        price: item.unitPrice,
+        packSize: item.packSize,
+        packUnit: item.packUnit,
+      }),
+    })),
+  };
+};
+
 /* ================= GET CART ================= */
 
 /**
@@ -105,23 +162,9 @@ const createCartItem = (product, variant, quantity) => {
  * @desc    Get user's cart
  * @access  Private
  */
-router.get("/", async (req, res) => {
+router.get("/", requireUser, async (req, res) => {
   try {
-    const { userId } = req.query;
-
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        message: "User ID is required",
-      });
-    }
-
-    if (!mongoose.Types.ObjectId.isValid(userId)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid user ID format",
-      });
-    }
+    const userId = req.user._id;
 
     let cart = await Cart.findOne({ user: userId, status: "active" })
       .populate("items.product", "name image isActive")
@@ -145,9 +188,14 @@ router.get("/", async (req, res) => {
       });
     }
 
+    const data = formatCart(cart);
+    if (cart.needsValidation) {
+      data.priceIssues = await pendingPriceIssues(cart);
+    }
+
     res.json({
       success: true,
-      data: cart,
+      data,
     });
   } catch (error) {
     console.error("Get cart error:", error);
@@ -166,9 +214,10 @@ router.get("/", async (req, res) => {
  * @desc    Add item to cart or update quantity if exists
  * @access  Private
  */
-router.post("/add", async (req, res) => {
+router.post("/add", requireUser, async (req, res) => {
   try {
-    const { userId, productId, variantId, quantity = 1 } = req.body;
+    const userId = req.user._id;
+    const { productId, variantId, quantity = 1 } = req.body;
 
     console.log("Add to cart request:", {
       userId,
@@ -178,10 +227,10 @@ router.post("/add", async (req, res) => {
     });
 
     // Validation
-    if (!userId || !productId || !variantId) {
+    if (!productId || !variantId) {
       return res.status(400).json({
         success: false,
-        message: "User ID, Product ID, and Variant ID are required",
+        message: "Product ID and Variant ID are required",
       });
     }
 
@@ -289,7 +338,7 @@ router.post("/add", async (req, res) => {
     res.json({
       success: true,
       message: "Item added to cart successfully",
-      data: cart,
+      data: formatCart(cart),
     });
   } catch (error) {
     console.error("Add to cart error:", error);
@@ -308,15 +357,16 @@ router.post("/add", async (req, res) => {
  * @desc    Update item quantity in cart
  * @access  Private
  */
-router.put("/update", async (req, res) => {
+router.put("/update", requireUser, async (req, res) => {
   try {
-    const { userId, productId, variantId, quantity } = req.body;
+    const userId = req.user._id;
+    const { productId, variantId, quantity } = req.body;
 
     // Validation
-    if (!userId || !productId || !variantId || quantity === undefined) {
+    if (!productId || !variantId || quantity === undefined) {
       return res.status(400).json({
         success: false,
-        message: "User ID, Product ID, Variant ID, and Quantity are required",
+        message: "Product ID, Variant ID, and Quantity are required",
       });
     }
 
@@ -413,7 +463,7 @@ router.put("/update", async (req, res) => {
     res.json({
       success: true,
       message: "Cart updated successfully",
-      data: cart,
+      data: formatCart(cart),
     });
   } catch (error) {
     console.error("Update cart error:", error);
@@ -432,15 +482,16 @@ router.put("/update", async (req, res) => {
  * @desc    Remove item from cart
  * @access  Private
  */
-router.delete("/remove", async (req, res) => {
+router.delete("/remove", requireUser, async (req, res) => {
   try {
-    const { userId, productId, variantId } = req.body;
+    const userId = req.user._id;
+    const { productId, variantId } = req.body;
 
     // Basic validation
-    if (!userId || !productId || !variantId) {
+    if (!productId || !variantId) {
       return res.status(400).json({
         success: false,
-        message: "User ID, Product ID, and Variant ID are required",
+        message: "Product ID and Variant ID are required",
       });
     }
 
@@ -513,7 +564,7 @@ router.delete("/remove", async (req, res) => {
     res.json({
       success: true,
       message: "Item removed from cart",
-      data: cart,
+      data: formatCart(cart),
     });
   } catch (error) {
     console.error("Remove from cart error:", error);
@@ -532,24 +583,9 @@ router.delete("/remove", async (req, res) => {
  * @desc    Clear all items from cart
  * @access  Private
  */
-router.delete("/clear", async (req, res) => {
+router.delete("/clear", requireUser, async (req, res) => {
   try {
-    const { userId } = req.body;
-
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        message: "User ID is required",
-      });
-    }
-
-    // ✅ ObjectId validation
-    if (!mongoose.Types.ObjectId.isValid(userId)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid userId",
-      });
-    }
+    const userId = req.user._id;
 
     const cart = await Cart.findOne({ user: userId, status: "active" });
 
@@ -604,16 +640,9 @@ router.delete("/clear", async (req, res) => {
  * @desc    Validate cart items against current product data
  * @access  Private
  */
-router.post("/validate", async (req, res) => {
+router.post("/validate", requireUser, async (req, res) => {
   try {
-    const { userId } = req.body;
-
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        message: "User ID is required",
-      });
-    }
+    const userId = req.user._id;
 
     const cart = await Cart.findOne({ user: userId, status: "active" });
 
@@ -663,14 +692,9 @@ router.post("/validate", async (req, res) => {
       }
 
       // Check price changes
-      if (variant.price !== item.unitPrice) {
-        issues.push({
-          productId: item.product,
-          productName: item.productName,
-          issue: `Price changed from ₹${item.unitPrice} to ₹${variant.price}`,
-          oldPrice: item.unitPrice,
-          newPrice: variant.price,
-        });
+      const priceIssue = priceChangeIssue(item, variant);
+      if (priceIssue) {
+        issues.push(priceIssue);
 
         // Update price in cart
         item.unitPrice = variant.price;
@@ -678,6 +702,9 @@ router.post("/validate", async (req, res) => {
         item.subtotal = Math.round(variant.price * item.quantity * 100) / 100;
       }
 
+      // A bundle's contents may have been edited since it was added
+      item.components = (variant.components || []).map((component) => component.toObject());
+
       validItems.push(item);
     }
 
@@ -701,6 +728,8 @@ router.post("/validate", async (req, res) => {
     Object.assign(cart, totals);
 
     cart.lastValidatedAt = new Date();
+    // Every remaining item now carries its current price
+    cart.needsValidation = false;
 
     await cart.save();
     await cart.populate("items.product", "name image isActive");
@@ -712,7 +741,7 @@ router.post("/validate", async (req, res) => {
       data: {
         isValid: issues.length === 0,
         issues,
-        cart,
+        cart: formatCart(cart),
       },
     });
   } catch (error) {
@@ -732,16 +761,9 @@ router.post("/validate", async (req, res) => {
  * @desc    Get cart summary (totals only, no item details)
  * @access  Private
  */
-router.get("/summary", async (req, res) => {
+router.get("/summary", requireUser, async (req, res) => {
   try {
-    const { userId } = req.query;
-
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        message: "User ID is required",
-      });
-    }
+    const userId = req.user._id;
 
     const cart = await Cart.findOne({ user: userId, status: "active" }).select(
       "totalItems totalQuantity subtotal totalDiscount taxAmount grandTotal",
@@ -3,6 +3,18 @@ const router = express.Router();
 const Category = require("../models/Category"); // Adjust path as needed
 const Product = require("../models/Product"); // Adjust path as needed
 const mongoose = require("mongoose");
+const { requirePermission } = require("../middleware/permissionMiddleware");
+const { PERMISSIONS } = require("../config/adminRoles");
+const {
+  getSubtreeIds,
+  resolvePlacement,
+  updateDescendantPaths,
+  buildTree,
+  getBreadcrumbs,
+} = require("../utils/categoryTree");
+const { lowStockExpression } = require("../utils/stockAlerts");
+
+const canWriteCatalog = requirePermission(PERMISSIONS.CATALOG_WRITE);
 
 /* ================= HELPER FUNCTIONS ================= */
 
@@ -81,6 +93,54 @@ router.get("/", async (req, res) => {
   }
 });
 
+/* ================= CATEGORY TREE ================= */
+
+/**
+ * @route   GET /api/categories/tree
+ * @desc    Categories nested under their parents (each node has `children`)
+ * @query   includeInactive=true (admin screens), withCounts=true adds
+ *          productCount (own products) and totalProductCount (whole subtree)
+ * @access  Public
+ */
+router.get("/tree", async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === "true";
+    const filter = includeInactive ? {} : { isActive: true };
+
+    const categories = await Category.find(filter).sort({ sortOrder: 1 }).lean();
+
+    if (req.query.withCounts === "true") {
+      const counts = await Product.aggregate([
+        { $match: { isActive: true } },
+        { $group: { _id: "$category", count: { $sum: 1 } } },
+      ]);
+      const own = new Map(counts.map((c) => [String(c._id), c.count]));
+      const total = new Map();
+
+      for (const category of categories) {
+        const count = own.get(String(category._id)) || 0;
+        category.productCount = count;
+        for (const id of [category._id, ...(category.ancestors || [])]) {
+          total.set(String(id), (total.get(String(id)) || 0) + count);
+        }
+      }
+      categories.forEach((c) => (c.totalProductCount = total.get(String(c._id)) || 0));
+    }
+
+    res.json({
+      success: true,
+      data: buildTree(categories),
+    });
+  } catch (error) {
+    console.error("Get category tree error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch category tree",
+      error: error.message,
+    });
+  }
+});
+
 /* ================= GET CATEGORY BY ID ================= */
 
 /**
@@ -114,11 +174,20 @@ router.get("/:id", async (req, res) => {
       isActive: true,
     });
 
+    const [breadcrumbs, children] = await Promise.all([
+      getBreadcrumbs([category._id]),
+      Category.find({ parent: category._id, isActive: true })
+        .sort({ sortOrder: 1 })
+        .lean(),
+    ]);
+
     res.json({
       success: true,
       data: {
         ...category,
         productCount,
+        breadcrumbs: breadcrumbs.get(String(category._id)) || [],
+        children,
       },
     });
   } catch (error) {
@@ -157,11 +226,20 @@ router.get("/slug/:slug", async (req, res) => {
       isActive: true,
     });
 
+    const [breadcrumbs, children] = await Promise.all([
+      getBreadcrumbs([category._id]),
+      Category.find({ parent: category._id, isActive: true })
+        .sort({ sortOrder: 1 })
+        .lean(),
+    ]);
+
     res.json({
       success: true,
       data: {
         ...category,
         productCount,
+        breadcrumbs: breadcrumbs.get(String(category._id)) || [],
+        children,
       },
     });
   } catch (error) {
@@ -178,12 +256,12 @@ router.get("/slug/:slug", async (req, res) => {
 
 /**
  * @route   POST /api/categories
- * @desc    Create new category
+ * @desc    Create new category (pass `parent` to create a subcategory)
  * @access  Private (Admin)
  */
-router.post("/", async (req, res) => {
+router.post("/", canWriteCatalog, async (req, res) => {
   try {
-    const { name, image, sortOrder, showOnHome, isActive } = req.body;
+    const { name, image, sortOrder, showOnHome, isActive, parent } = req.body;
 
     // Validation
     if (!name) {
@@ -193,6 +271,14 @@ router.post("/", async (req, res) => {
       });
     }
 
+    const { placement, error: placementError } = await resolvePlacement(parent);
+    if (placementError) {
+      return res.status(400).json({
+        success: false,
+        message: placementError,
+      });
+    }
+
     // Generate slug
     let slug = generateSlug(name);
 
@@ -211,6 +297,7 @@ router.post("/", async (req, res) => {
       sortOrder,
       showOnHome,
       isActive,
+      ...placement,
     });
 
     await category.save();
@@ -239,14 +326,99 @@ router.post("/", async (req, res) => {
   }
 });
 
+/* ================= REORDER CATEGORIES ================= */
+
+/**
+ * @route   PUT /api/categories/reorder
+ * @desc    Update sort order for sibling categories (children of one parent)
+ * @body    { parent?: id | null, categories: [{ id, sortOrder }] }
+ * @access  Private (Admin)
+ */
+// Registered before PUT /:id, which would otherwise treat "reorder" as an id
+router.put("/reorder", canWriteCatalog, async (req, res) => {
+  try {
+    const { categories, parent } = req.body;
+
+    if (!Array.isArray(categories) || categories.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Categories array is required",
+      });
+    }
+
+    // Validate format: [{ id, sortOrder }, ...]
+    for (const cat of categories) {
+      if (!cat.id || cat.sortOrder === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: "Each category must have id and sortOrder",
+        });
+      }
+      if (!mongoose.Types.ObjectId.isValid(cat.id)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid category ID format: ${cat.id}`,
+        });
+      }
+    }
+
+    const existing = await Category.find({
+      _id: { $in: categories.map((cat) => cat.id) },
+    })
+      .select("parent")
+      .lean();
+
+    if (existing.length !== new Set(categories.map((cat) => String(cat.id))).size) {
+      return res.status(404).json({
+        success: false,
+        message: "One or more categories not found",
+      });
+    }
+
+    // Sort order is relative to siblings, so all entries must share one parent
+    const parents = new Set(existing.map((cat) => String(cat.parent || null)));
+    const expectedParent = parent === undefined ? null : String(parent || null);
+    if (parents.size > 1 || (expectedParent !== null && !parents.has(expectedParent))) {
+      return res.status(400).json({
+        success: false,
+        message: "Only categories with the same parent can be reordered together",
+      });
+    }
+
+    // Update each category
+    const updatePromises = categories.map((cat) =>
+      Category.findByIdAndUpdate(
+        cat.id,
+        { sortOrder: cat.sortOrder },
+        { new: true },
+      ),
+    );
+
+    const updatedCategories = await Promise.all(updatePromises);
+
+    res.json({
+      success: true,
+      message: "Categories reordered successfully",
+      data: updatedCategories,
+    });
+  } catch (error) {
+    console.error("Reorder categories error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reorder categories",
+      error: error.message,
+    });
+  }
+});
+
 /* ================= UPDATE CATEGORY ================= */
 
 /**
  * @route   PUT /api/categories/:id
- * @desc    Update category by ID
+ * @desc    Update category by ID (`parent` moves it along with its subcategories)
  * @access  Private (Admin)
  */
-router.put("/:id", async (req, res) => {
+router.put("/:id", canWriteCatalog, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -267,6 +439,25 @@ router.put("/:id", async (req, res) => {
     }
 
     const updateData = { ...req.body };
+    delete updateData.ancestors;
+    delete updateData.depth;
+
+    // Moving to another parent (null = top level)
+    const moving =
+      updateData.parent !== undefined &&
+      String(updateData.parent || null) !== String(existingCategory.parent || null);
+    if (moving) {
+      const { placement, error } = await resolvePlacement(updateData.parent, existingCategory);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+      Object.assign(updateData, placement);
+    } else {
+      delete updateData.parent;
+    }
 
     // If name is being updated, regenerate slug
     if (updateData.name && updateData.name !== existingCategory.name) {
@@ -291,6 +482,10 @@ router.put("/:id", async (req, res) => {
       runValidators: true,
     });
 
+    if (moving) {
+      await updateDescendantPaths(updatedCategory);
+    }
+
     res.json({
       success: true,
       message: "Category updated successfully",
@@ -319,10 +514,10 @@ router.put("/:id", async (req, res) => {
 
 /**
  * @route   DELETE /api/categories/:id
- * @desc    Soft delete category (set isActive to false)
+ * @desc    Soft delete category and its subcategories (set isActive to false)
  * @access  Private (Admin)
  */
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", canWriteCatalog, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -333,36 +528,40 @@ router.delete("/:id", async (req, res) => {
       });
     }
 
-    // Check if category has products
+    const category = await Category.findById(id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: "Category not found",
+      });
+    }
+
+    const subtreeIds = await getSubtreeIds(id);
+
+    // Check if category or its subcategories have products
     const productCount = await Product.countDocuments({
-      category: id,
+      category: { $in: subtreeIds },
       isActive: true,
     });
 
     if (productCount > 0) {
       return res.status(400).json({
         success: false,
-        message: `Cannot delete category with ${productCount} active products. Please move or delete products first.`,
+        message: `Cannot delete category with ${productCount} active products (including subcategories). Please move or delete products first.`,
         productCount,
       });
     }
 
-    const category = await Category.findByIdAndUpdate(
-      id,
-      { isActive: false },
-      { new: true },
-    );
-
-    if (!category) {
-      return res.status(404).json({
-        success: false,
-        message: "Category not found",
-      });
-    }
+    await Category.updateMany({ _id: { $in: subtreeIds } }, { isActive: false });
+    category.isActive = false;
 
     res.json({
       success: true,
-      message: "Category deactivated successfully",
+      message:
+        subtreeIds.length > 1
+          ? `Category and ${subtreeIds.length - 1} subcategories deactivated`
+          : "Category deactivated successfully",
       data: category,
     });
   } catch (error) {
@@ -379,13 +578,14 @@ router.delete("/:id", async (req, res) => {
 
 /**
  * @route   DELETE /api/categories/:id/permanent
- * @desc    Permanently delete category
+ * @desc    Permanently delete category. Subcategories block the delete unless
+ *          cascade=true, which removes the whole subtree.
  * @access  Private (Admin)
  */
-router.delete("/:id/permanent", async (req, res) => {
+router.delete("/:id/permanent", canWriteCatalog, async (req, res) => {
   try {
     const { id } = req.params;
-    const { force } = req.query; // force=true to delete even with products
+    const { force, cascade } = req.query; // force=true to delete even with products
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({
@@ -394,90 +594,54 @@ router.delete("/:id/permanent", async (req, res) => {
       });
     }
 
-    // Check if category has products
-    const productCount = await Product.countDocuments({ category: id });
+    const category = await Category.findById(id);
 
-    if (productCount > 0 && force !== "true") {
-      return res.status(400).json({
+    if (!category) {
+      return res.status(404).json({
         success: false,
-        message: `Category has ${productCount} products. Use force=true to delete anyway.`,
-        productCount,
+        message: "Category not found",
       });
     }
 
-    const category = await Category.findByIdAndDelete(id);
+    const subtreeIds = await getSubtreeIds(id);
+    const subcategoryCount = subtreeIds.length - 1;
 
-    if (!category) {
-      return res.status(404).json({
+    if (subcategoryCount > 0 && cascade !== "true") {
+      return res.status(400).json({
         success: false,
-        message: "Category not found",
+        message: `Category has ${subcategoryCount} subcategories. Move them or use cascade=true to delete them too.`,
+        subcategoryCount,
       });
     }
 
-    res.json({
-      success: true,
-      message: "Category permanently deleted",
-      data: category,
-    });
-  } catch (error) {
-    console.error("Permanent delete category error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to delete category",
-      error: error.message,
+    // Check if category (or the subtree being removed) has products
+    const productCount = await Product.countDocuments({
+      category: { $in: subtreeIds },
     });
-  }
-});
-
-/* ================= REORDER CATEGORIES ================= */
-
-/**
- * @route   PUT /api/categories/reorder
- * @desc    Update sort order for multiple categories
- * @access  Private (Admin)
- */
-router.put("/reorder", async (req, res) => {
-  try {
-    const { categories } = req.body;
 
-    if (!Array.isArray(categories) || categories.length === 0) {
+    if (productCount > 0 && force !== "true") {
       return res.status(400).json({
         success: false,
-        message: "Categories array is required",
+        message: `Category has ${productCount} products. Use force=true to delete anyway.`,
+        productCount,
       });
     }
 
-    // Validate format: [{ id, sortOrder }, ...]
-    for (const cat of categories) {
-      if (!cat.id || cat.sortOrder === undefined) {
-        return res.status(400).json({
-          success: false,
-          message: "Each category must have id and sortOrder",
-        });
-      }
-    }
-
-    // Update each category
-    const updatePromises = categories.map((cat) =>
-      Category.findByIdAndUpdate(
-        cat.id,
-        { sortOrder: cat.sortOrder },
-        { new: true },
-      ),
-    );
-
-    const updatedCategories = await Promise.all(updatePromises);
+    await Category.deleteMany({ _id: { $in: subtreeIds } });
 
     res.json({
       success: true,
-      message: "Categories reordered successfully",
-      data: updatedCategories,
+      message:
+        subcategoryCount > 0
+          ? `Category and ${subcategoryCount} subcategories permanently deleted`
+          : "Category permanently deleted",
+      data: category,
     });
   } catch (error) {
-    console.error("Reorder categories error:", error);
+    console.error("Permanent delete category error:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to reorder categories",
+      message: "Failed to delete category",
       error: error.message,
     });
   }
@@ -490,7 +654,7 @@ router.put("/reorder", async (req, res) => {
  * @desc    Toggle showOnHome status
  * @access  Private (Admin)
  */
-router.patch("/:id/toggle-home", async (req, res) => {
+router.patch("/:id/toggle-home", canWriteCatalog, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -535,7 +699,7 @@ router.patch("/:id/toggle-home", async (req, res) => {
  * @desc    Toggle isActive status
  * @access  Private (Admin)
  */
-router.patch("/:id/toggle-active", async (req, res) => {
+router.patch("/:id/toggle-active", canWriteCatalog, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -621,7 +785,8 @@ router.get("/home/featured", async (req, res) => {
 
 /**
  * @route   GET /api/categories/:id/stats
- * @desc    Get statistics for a category
+ * @desc    Get statistics for a category, including its subcategories
+ *          (includeDescendants=false for the category alone)
  * @access  Public
  */
 router.get("/:id/stats", async (req, res) => {
@@ -644,26 +809,43 @@ router.get("/:id/stats", async (req, res) => {
       });
     }
 
+    const categoryIds =
+      req.query.includeDescendants === "false"
+        ? [category._id]
+        : await getSubtreeIds(category._id);
+    const inSubtree = { category: { $in: categoryIds } };
+
     // Get product statistics
-    const totalProducts = await Product.countDocuments({ category: id });
+    const totalProducts = await Product.countDocuments(inSubtree);
     const activeProducts = await Product.countDocuments({
-      category: id,
+      ...inSubtree,
       isActive: true,
     });
     const inactiveProducts = totalProducts - activeProducts;
 
     // Get featured products count
     const featuredProducts = await Product.countDocuments({
-      category: id,
+      ...inSubtree,
       featured: true,
       isActive: true,
     });
 
-    // Get products with low stock
+    // Products with an active variant at or below its own lowStockThreshold
     const lowStockProducts = await Product.countDocuments({
-      category: id,
+      ...inSubtree,
       isActive: true,
-      "variants.stock": { $lt: 5 },
+      $expr: {
+        $anyElementTrue: [
+          {
+            $map: {
+              input: { $ifNull: ["$variants", []] },
+              in: {
+                $and: [{ $ne: ["$$this.isActive", false] }, lowStockExpression()],
+              },
+            },
+          },
+        ],
+      },
     });
 
     res.json({
@@ -671,6 +853,7 @@ router.get("/:id/stats", async (req, res) => {
       data: {
         category,
         statistics: {
+          subcategories: categoryIds.length - 1,
           totalProducts,
           activeProducts,
           inactiveProducts,
@@ -696,7 +879,7 @@ router.get("/:id/stats", async (req, res) => {
  * @desc    Bulk activate categories
  * @access  Private (Admin)
  */
-router.post("/bulk/activate", async (req, res) => {
+router.post("/bulk/activate", canWriteCatalog, async (req, res) => {
   try {
     const { categoryIds } = req.body;
 
@@ -732,7 +915,7 @@ router.post("/bulk/activate", async (req, res) => {
  * @desc    Bulk deactivate categories
  * @access  Private (Admin)
  */
-router.post("/bulk/deactivate", async (req, res) => {
+router.post("/bulk/deactivate", canWriteCatalog, async (req, res) => {
   try {
     const { categoryIds } = req.body;
 
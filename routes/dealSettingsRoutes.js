@@ -1,5 +1,7 @@
 const express = require("express");
 const DealSettings = require("../models/DealSettings");
+const { requirePermission } = require("../middleware/permissionMiddleware");
+const { PERMISSIONS } = require("../config/adminRoles");
 
 const router = express.Router();
 
@@ -28,7 +30,7 @@ router.get("/", async (_req, res) => {
   }
 });
 
-router.put("/", async (req, res) => {
+router.put("/", requirePermission(PERMISSIONS.DEALS_WRITE), async (req, res) => {
   try {
     const { dealEndsAt, isActive } = req.body;
     const settings = await getOrCreateSettings();
@@ -0,0 +1,101 @@
+const express = require("express");
+const router = express.Router();
+const adminAuth = require("../middleware/adminMiddleware");
+const { checkPermission, requirePermission } = require("../middleware/permissionMiddleware");
+const { PERMISSIONS } = require("../config/adminRoles");
+const { receiveImage } = require("../middleware/upload");
+const {
+  validateImage,
+  storeImage,
+  formatImage,
+  cleanupUnreferencedImages,
+} = require("../utils/imageUpload");
+
+/** Admin upload folders and who may write to them (profiles go through /api/auth/me) */
+const FOLDER_PERMISSIONS = {
+  products: PERMISSIONS.CATALOG_WRITE,
+  categories: PERMISSIONS.CATALOG_WRITE,
+  banners: PERMISSIONS.BANNERS_MANAGE,
+};
+
+const canManageFolder = (req, res, next) => {
+  const permission = FOLDER_PERMISSIONS[req.params.folder];
+  if (!permission) {
+    return res.status(404).json({ success: false, message: "Unknown upload folder" });
+  }
+  checkPermission(permission)(req, res, next);
+};
+
+/**
+ * @route   POST /images/cleanup?dryRun=true
+ * @desc    Remove uploaded images nothing references (also runs on a schedule)
+ * @access  Private (Admin)
+ */
+// Before /:folder, which would otherwise take "cleanup" as a folder name
+router.post(
+  "/cleanup",
+  requirePermission(PERMISSIONS.CATALOG_WRITE),
+  async (req, res) => {
+    try {
+      const dryRun = req.query.dryRun === "true";
+      const result = await cleanupUnreferencedImages({ dryRun });
+
+      res.json({
+        success: true,
+        message: dryRun
+          ? `${result.removed} unreferenced images would be removed`
+          : `Removed ${result.removed} unreferenced images`,
+        data: { dryRun, ...result },
+      });
+    } catch (error) {
+      console.error("Image cleanup error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to clean up images",
+        error: error.message,
+      });
+    }
+  },
+);
+
+/**
+ * @route   POST /images/:folder   (products | categories | banners)
+ * @desc    Upload an image (multipart field "image"). Returns the original,
+ *          medium and thumbnail URLs — save `url` on the product/category/banner.
+ * @access  Private (Admin)
+ */
+router.post("/:folder", adminAuth, canManageFolder, receiveImage("image"), async (req, res) => {
+  try {
+    if (req.uploadError) {
+      return res.status(400).json({ success: false, message: req.uploadError });
+    }
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: "Image file is required" });
+    }
+
+    const { error } = await validateImage(req.file.buffer);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const image = await storeImage(req.file.buffer, {
+      folder: req.params.folder,
+      adminId: req.admin.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Image uploaded",
+      data: formatImage(image),
+    });
+  } catch (error) {
+    console.error("Upload image error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to upload image",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
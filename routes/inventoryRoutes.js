@@ -0,0 +1,403 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const InventoryMovement = require("../models/InventoryMovement");
+const StockAlert = require("../models/StockAlert");
+const StockBatch = require("../models/StockBatch");
+const Product = require("../models/Product");
+const { requirePermission } = require("../middleware/permissionMiddleware");
+const { PERMISSIONS } = require("../config/adminRoles");
+const { reconcileInventory } = require("../utils/inventoryLedger");
+const { getSubtreeIds } = require("../utils/categoryTree");
+const {
+  receiveBatch,
+  withdrawBatch,
+  nearExpiryReport,
+} = require("../utils/stockBatches");
+
+const canWriteCatalog = requirePermission(PERMISSIONS.CATALOG_WRITE);
+
+/**
+ * @route   GET /inventory/movements?productId=&variantId=&orderId=&reason=&from=&to=&page=&limit=
+ * @desc    Stock ledger, newest first
+ * @access  Private (Admin)
+ */
+router.get("/movements", canWriteCatalog, async (req, res) => {
+  try {
+    const { productId, variantId, orderId, reason, from, to } = req.query;
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+
+    const ids = { product: productId, variantId, order: orderId };
+    const filter = {};
+    for (const [field, value] of Object.entries(ids)) {
+      if (value === undefined) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${field} ID format`,
+        });
+      }
+      filter[field] = value;
+    }
+
+    if (reason) filter.reason = { $in: String(reason).split(",") };
+
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+      if (Object.values(filter.createdAt).some((d) => Number.isNaN(d.getTime()))) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid date range",
+        });
+      }
+    }
+
+    const [movements, total] = await Promise.all([
+      InventoryMovement.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("product", "name slug")
+        .populate("order", "orderNumber status")
+        .populate("admin", "name email")
+        .populate("user", "name phone")
+        .lean(),
+      InventoryMovement.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: movements,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get inventory movements error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch inventory movements",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /inventory/reconcile?productId=
+ * @desc    Replay the ledger and list variants whose stock doesn't match it
+ *          (`drifted`) or that have no movements at all (`untracked`)
+ * @access  Private (Admin)
+ */
+router.get("/reconcile", canWriteCatalog, async (req, res) => {
+  try {
+    const { productId } = req.query;
+
+    if (productId && !mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid product ID format",
+      });
+    }
+
+    const report = await reconcileInventory({ productId });
+
+    res.json({
+      success: true,
+      message:
+        report.drifted.length > 0
+          ? `${report.drifted.length} variants have drifted from the ledger`
+          : "Stock matches the ledger",
+      data: report,
+    });
+  } catch (error) {
+    console.error("Reconcile inventory error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reconcile inventory",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /inventory/alerts?status=open|resolved|all&page=&limit=
+ * @desc    Low-stock alerts, newest first (open ones by default)
+ * @access  Private (Admin)
+ */
+router.get("/alerts", canWriteCatalog, async (req, res) => {
+  try {
+    const status = req.query.status || "open";
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const filter = status === "all" ? {} : { status };
+
+    const [alerts, total] = await Promise.all([
+      StockAlert.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("seller", "name code")
+        .lean(),
+      StockAlert.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: alerts,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get stock alerts error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch stock alerts",
+      error: error.message,
+    });
+  }
+});
+
+/* ================= BATCHES ================= */
+
+/** Days ahead that count as "near expiry" unless the report asks otherwise */
+const NEAR_EXPIRY_DAYS = 7;
+
+/**
+ * @route   GET /inventory/batches?productId=&variantId=&status=&page=&limit=
+ * @desc    Batches, soonest expiry first
+ * @access  Private (Admin)
+ */
+router.get("/batches", canWriteCatalog, async (req, res) => {
+  try {
+    const { productId, variantId, status } = req.query;
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+
+    const filter = {};
+    for (const [field, value] of Object.entries({ product: productId, variantId })) {
+      if (value === undefined) continue;
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${field} ID format`,
+        });
+      }
+      filter[field] = value;
+    }
+    if (status) filter.status = { $in: String(status).split(",") };
+
+    const [batches, total] = await Promise.all([
+      StockBatch.find(filter)
+        .sort({ expiresAt: 1, receivedAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("product", "name slug")
+        .lean(),
+      StockBatch.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: batches,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get batches error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch batches",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /inventory/batches/near-expiry?days=7&sellerId=&categoryId=&page=&limit=
+ * @desc    Sellable batches expiring within `days`, soonest first
+ * @access  Private (Admin)
+ */
+router.get("/batches/near-expiry", canWriteCatalog, async (req, res) => {
+  try {
+    const { sellerId, categoryId } = req.query;
+    const days = req.query.days === undefined ? NEAR_EXPIRY_DAYS : Number(req.query.days);
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+
+    if (!(days > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "days must be a positive number",
+      });
+    }
+
+    for (const [name, value] of Object.entries({ sellerId, categoryId })) {
+      if (value !== undefined && !mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${name} format`,
+        });
+      }
+    }
+
+    // Aggregates don't cast, so ids are cast here
+    const productMatch = {};
+    if (sellerId) {
+      productMatch["seller.sellerId"] = new mongoose.Types.ObjectId(String(sellerId));
+    }
+    if (categoryId) productMatch.category = { $in: await getSubtreeIds(categoryId) };
+
+    const { batches, total } = await nearExpiryReport({
+      days,
+      productMatch,
+      skip: (page - 1) * limit,
+      limit,
+    });
+
+    res.json({
+      success: true,
+      data: batches,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Near expiry report error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch near-expiry batches",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /inventory/batches
+ * @body    { productId, variantId, batchNumber, quantity, receivedAt?, expiresAt?, note? }
+ *          expiresAt defaults to receivedAt + the product's shelf life
+ * @desc    Receive a batch; the first one switches the variant to batch-derived stock
+ * @access  Private (Admin)
+ */
+router.post("/batches", canWriteCatalog, async (req, res) => {
+  try {
+    const { productId, variantId, batchNumber, receivedAt, expiresAt, note } = req.body;
+    const quantity = Number(req.body.quantity);
+
+    if (
+      !mongoose.Types.ObjectId.isValid(productId) ||
+      !mongoose.Types.ObjectId.isValid(variantId)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Valid productId and variantId are required",
+      });
+    }
+
+    const product = await Product.findById(productId);
+    const variant = product?.variants.id(variantId);
+
+    if (!variant) {
+      return res.status(404).json({
+        success: false,
+        message: product ? "Variant not found" : "Product not found",
+      });
+    }
+
+    const { batch, error } = await receiveBatch(product, variant, {
+      batchNumber,
+      quantity,
+      receivedAt,
+      expiresAt,
+      note,
+      adminId: req.admin.id,
+    });
+
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Batch received",
+      data: batch,
+    });
+  } catch (error) {
+    console.error("Receive batch error:", error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "This variant already has a batch with that number",
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Failed to receive batch",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /inventory/batches/:id/withdraw
+ * @body    { note? }  e.g. "Recalled by supplier"
+ * @desc    Pull a batch from sale and its remaining units out of stock
+ * @access  Private (Admin)
+ */
+router.post("/batches/:id/withdraw", canWriteCatalog, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid batch ID format",
+      });
+    }
+
+    const batch = await withdrawBatch(id, {
+      adminId: req.admin.id,
+      note: req.body.note,
+    });
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: "No active batch found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Batch withdrawn",
+      data: batch,
+    });
+  } catch (error) {
+    console.error("Withdraw batch error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to withdraw batch",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
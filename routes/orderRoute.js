@@ -4,8 +4,36 @@ const Order = require("../models/Orders"); // Adjust path as needed
 const Payment = require("../models/Payment"); // Adjust path as needed
 const Cart = require("../models/Cart"); // Adjust path as needed
 const Product = require("../models/Product"); // Adjust path as needed
+const Address = require("../models/Address");
 const mongoose = require("mongoose");
 const crypto = require("crypto");
+const requireUser = require("../middleware/userMiddleware");
+const userOrAdmin = require("../middleware/userOrAdminMiddleware");
+const { requirePermission } = require("../middleware/permissionMiddleware");
+const { PERMISSIONS } = require("../config/adminRoles");
+const { moveStock, afterStockChange } = require("../utils/inventoryLedger");
+const { isBundleVariant, stockLines } = require("../utils/bundles");
+const {
+  WEIGHABLE_STATUSES,
+  awaitingWeights,
+  recordPackedWeights,
+} = require("../utils/variableWeight");
+const {
+  sellableQuantity,
+  allocateBatches,
+  releaseBatches,
+} = require("../utils/stockBatches");
+
+// Customers reach their own orders; admins need the matching permission
+const canReadOrders = userOrAdmin(PERMISSIONS.ORDERS_READ);
+const canCancelOrder = userOrAdmin(PERMISSIONS.ORDERS_UPDATE);
+const canUpdateOrders = requirePermission(PERMISSIONS.ORDERS_UPDATE);
+
+// Orders in these statuses are settled; nothing may change them
+const FINAL_STATUSES = ["delivered", "cancelled", "returned"];
+
+// The order's own payment, not an extra collected for weighed items
+const orderPayment = (orderId) => ({ order: orderId, purpose: { $ne: "weight_adjustment" } });
 
 /* ================= HELPER FUNCTIONS ================= */
 
@@ -31,13 +59,34 @@ const generateOrderNumber = async () => {
 };
 
 /**
- * Validate stock availability for order items
+ * Validate stock availability for order items. Bundles are checked against
+ * their components' stock, pooled with any of the same variants bought on
+ * their own; each bundle item gets the current component list to snapshot.
  */
 const validateOrderStock = async (items) => {
   const stockIssues = [];
 
+  const products = new Map();
+  const loadProduct = async (id) => {
+    const key = String(id);
+    if (!products.has(key)) products.set(key, await Product.findById(id));
+    return products.get(key);
+  };
+
+  // variant id → { item, variant, component?, quantity } units wanted across the order
+  const demand = new Map();
+  const addDemand = (entry) => {
+    const key = String(entry.variant._id);
+    const existing = demand.get(key);
+    if (existing) {
+      existing.quantity += entry.quantity;
+    } else {
+      demand.set(key, entry);
+    }
+  };
+
   for (const item of items) {
-    const product = await Product.findById(item.product);
+    const product = await loadProduct(item.product);
 
     if (!product || !product.isActive) {
       stockIssues.push({
@@ -61,11 +110,46 @@ const validateOrderStock = async (items) => {
       continue;
     }
 
-    if (variant.stock < item.quantity) {
+    if (!isBundleVariant(variant)) {
+      addDemand({ item, variant, quantity: item.quantity });
+      continue;
+    }
+
+    item.components = variant.components.map((component) => component.toObject());
+    for (const component of variant.components) {
+      const componentProduct = await loadProduct(component.product);
+      const componentVariant = componentProduct?.isActive
+        ? componentProduct.variants.id(component.variantId)
+        : null;
+
+      if (!componentVariant || !componentVariant.isActive) {
+        stockIssues.push({
+          productId: item.product,
+          productName: item.productName,
+          issue: `${component.productName} in this bundle is not available`,
+        });
+        continue;
+      }
+      addDemand({
+        item,
+        variant: componentVariant,
+        component,
+        quantity: component.quantity * item.quantity,
+      });
+    }
+  }
+
+  for (const { item, variant, component, quantity } of demand.values()) {
+    // Batches that expired since the last expiry run are already off sale
+    const available = variant.batchTracked
+      ? Math.min(variant.stock, await sellableQuantity(variant._id))
+      : variant.stock;
+
+    if (available < quantity) {
       stockIssues.push({
         productId: item.product,
         productName: item.productName,
-        issue: `Insufficient stock. Required: ${item.quantity}, Available: ${variant.stock}`,
+        issue: `Insufficient stock${component ? ` of ${component.productName}` : ""}. Required: ${quantity}, Available: ${available}`,
       });
     }
   }
@@ -74,36 +158,47 @@ const validateOrderStock = async (items) => {
 };
 
 /**
- * Reduce stock for order items
+ * Reduce stock for order items, recording a "sale" movement per item (per
+ * component for bundles). Batch-tracked variants are drawn first-expiry-first-
+ * out; the batches used are stored on the item or bundle component.
  */
-const reduceStock = async (items) => {
+const reduceStock = async (items, { order, userId, session }) => {
   for (const item of items) {
-    await Product.updateOne(
-      {
-        _id: item.product,
-        "variants._id": item.variantId,
-      },
-      {
-        $inc: { "variants.$.stock": -item.quantity },
-      },
-    );
+    for (const { line, snapshot } of stockLines(item)) {
+      snapshot.batches = await allocateBatches(line, session);
+      await moveStock(line, {
+        delta: -line.quantity,
+        reason: "sale",
+        order,
+        userId,
+        session,
+      });
+    }
   }
 };
 
 /**
  * Restore stock (for cancellations/failures)
+ * @param {Object} ledger reason ("cancel" / "return") plus order, actor and session
  */
-const restoreStock = async (items) => {
+const restoreStock = async (items, { reason = "cancel", order, adminId, userId, session }) => {
   for (const item of items) {
-    await Product.updateOne(
-      {
-        _id: item.product,
-        "variants._id": item.variantId,
-      },
-      {
-        $inc: { "variants.$.stock": item.quantity },
-      },
-    );
+    for (const { line, snapshot } of stockLines(item)) {
+      // Units returned to a batch that has since expired don't become sellable
+      const delta = snapshot.batches?.length
+        ? await releaseBatches(snapshot.batches, session)
+        : line.quantity;
+      if (!delta) continue;
+
+      await moveStock(line, {
+        delta,
+        reason,
+        order,
+        adminId,
+        userId,
+        session,
+      });
+    }
   }
 };
 
@@ -124,13 +219,13 @@ const verifyRazorpaySignature = ({ orderId, paymentId, signature }) => {
  * @desc    Create new order from cart
  * @access  Private
  */
-router.post("/", async (req, res) => {
+router.post("/", requireUser, async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
+    const userId = req.user._id;
     const {
-      userId,
       addressId,
       addressSnapshot,
       paymentMethod,
@@ -141,11 +236,22 @@ router.post("/", async (req, res) => {
     } = req.body;
 
     // Validation
-    if (!userId || !addressId || !paymentMethod) {
+    if (!addressId || !paymentMethod) {
       await session.abortTransaction();
       return res.status(400).json({
         success: false,
-        message: "User ID, Address ID, and Payment Method are required",
+        message: "Address ID and Payment Method are required",
+      });
+    }
+
+    if (
+      !mongoose.Types.ObjectId.isValid(addressId) ||
+      !(await Address.exists({ _id: addressId, user: userId }))
+    ) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: "Address not found",
       });
     }
 
@@ -288,7 +394,8 @@ router.post("/", async (req, res) => {
     await payment.save({ session });
 
     // Reduce stock
-    await reduceStock(cart.items);
+    await reduceStock(order.items, { order: order._id, userId, session });
+    await order.save({ session });
 
     // Mark cart as converted
     cart.status = "converted";
@@ -296,6 +403,9 @@ router.post("/", async (req, res) => {
 
     await session.commitTransaction();
 
+    // Low-stock alerts and bundle stock only once the sale is committed
+    afterStockChange(order.items);
+
     // Populate order details
     await order.populate("items.product", "name image");
 
@@ -336,10 +446,11 @@ router.post("/", async (req, res) => {
 
 /**
  * @route   GET /api/orders
- * @desc    Get all orders for a user or all orders for admin
+ * @desc    Get all orders for the signed-in user, or all orders for admin
+ *          (admin may narrow with ?userId=)
  * @access  Private
  */
-router.get("/", async (req, res) => {
+router.get("/", canReadOrders, async (req, res) => {
   try {
     const {
       userId,
@@ -348,20 +459,16 @@ router.get("/", async (req, res) => {
       limit = 10,
       sortBy = "createdAt",
       sortOrder = "desc",
-      isAdmin,
     } = req.query;
 
     // Build filter
     const filter = {};
 
-    // If not admin, filter by userId
-    if (!isAdmin && userId) {
+    // Customers only ever see their own orders
+    if (!req.admin) {
+      filter.user = req.user._id;
+    } else if (userId) {
       filter.user = userId;
-    } else if (!isAdmin && !userId) {
-      return res.status(400).json({
-        success: false,
-        message: "User ID is required for non-admin access",
-      });
     }
 
     if (status) {
@@ -411,10 +518,9 @@ router.get("/", async (req, res) => {
  * @desc    Get single order by ID
  * @access  Private
  */
-router.get("/:id", async (req, res) => {
+router.get("/:id", canReadOrders, async (req, res) => {
   try {
     const { id } = req.params;
-    const { userId } = req.query; // For authorization
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({
@@ -435,8 +541,8 @@ router.get("/:id", async (req, res) => {
       });
     }
 
-    // Optional: Verify user owns this order
-    if (userId && order.user.toString() !== userId) {
+    // Verify user owns this order
+    if (!req.admin && !order.user.equals(req.user._id)) {
       return res.status(403).json({
         success: false,
         message: "Unauthorized access to order",
@@ -444,7 +550,7 @@ router.get("/:id", async (req, res) => {
     }
 
     // Get payment details
-    const payment = await Payment.findOne({ order: order._id }).lean();
+    const payment = await Payment.findOne(orderPayment(order._id)).lean();
 
     res.json({
       success: true,
@@ -470,10 +576,9 @@ router.get("/:id", async (req, res) => {
  * @desc    Get order by order number
  * @access  Private
  */
-router.get("/number/:orderNumber", async (req, res) => {
+router.get("/number/:orderNumber", canReadOrders, async (req, res) => {
   try {
     const { orderNumber } = req.params;
-    const { userId } = req.query;
 
     const order = await Order.findOne({ orderNumber }).populate(
       "items.product",
@@ -488,14 +593,14 @@ router.get("/number/:orderNumber", async (req, res) => {
     }
 
     // Verify user owns this order
-    if (userId && order.user.toString() !== userId) {
+    if (!req.admin && !order.user.equals(req.user._id)) {
       return res.status(403).json({
         success: false,
         message: "Unauthorized access to order",
       });
     }
 
-    const payment = await Payment.findOne({ order: order._id }).lean();
+    const payment = await Payment.findOne(orderPayment(order._id)).lean();
 
     res.json({
       success: true,
@@ -521,12 +626,16 @@ router.get("/number/:orderNumber", async (req, res) => {
  * @desc    Update order status (Admin/Seller)
  * @access  Private (Admin/Seller)
  */
-router.put("/:id/status", async (req, res) => {
+router.put("/:id/status", canUpdateOrders, async (req, res) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
   try {
     const { id } = req.params;
     const { status, notes } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
+      await session.abortTransaction();
       return res.status(400).json({
         success: false,
         message: "Invalid order ID format",
@@ -544,15 +653,17 @@ router.put("/:id/status", async (req, res) => {
     ];
 
     if (!validStatuses.includes(status)) {
+      await session.abortTransaction();
       return res.status(400).json({
         success: false,
         message: "Invalid status",
       });
     }
 
-    const order = await Order.findById(id);
+    const order = await Order.findById(id).session(session);
 
     if (!order) {
+      await session.abortTransaction();
       return res.status(404).json({
         success: false,
         message: "Order not found",
@@ -560,46 +671,97 @@ router.put("/:id/status", async (req, res) => {
     }
 
     // Prevent status change if already delivered/cancelled
-    if (["delivered", "cancelled", "returned"].includes(order.status)) {
+    if (FINAL_STATUSES.includes(order.status)) {
+      await session.abortTransaction();
       return res.status(400).json({
         success: false,
         message: `Cannot change status of ${order.status} order`,
       });
     }
 
+    if (
+      ["packed", "out_for_delivery", "delivered"].includes(status) &&
+      awaitingWeights(order)
+    ) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: "Record the packed weight of variable-weight items first",
+      });
+    }
+
     const updateData = { status };
 
-    // Handle delivery
     if (status === "delivered") {
       updateData.deliveredAt = new Date();
 
-      // For COD, mark payment as success when delivered
+      // For COD, mark payment as paid when delivered
       if (order.payment.isCod) {
         updateData["payment.status"] = "paid";
         updateData["payment.codCollected"] = true;
         updateData["payment.paidAt"] = new Date();
+      }
+    }
 
-        // Update payment record
+    // Add notes if provided
+    if (notes) {
+      updateData.notes = notes;
+    }
+
+    // Only one request gets to move an order out of an open status — a
+    // concurrent status change or cancel that got there first wins, and this
+    // one must not restock or settle payments a second time
+    const updatedOrder = await Order.findOneAndUpdate(
+      { _id: id, status: { $nin: FINAL_STATUSES } },
+      updateData,
+      { new: true, runValidators: true, session },
+    );
+
+    if (!updatedOrder) {
+      await session.abortTransaction();
+      return res.status(409).json({
+        success: false,
+        message: "The order was updated by another request; reload it and try again",
+      });
+    }
+
+    if (status === "delivered") {
+      // Extra for weighed items is collected at the door
+      await Payment.updateMany(
+        { order: order._id, purpose: "weight_adjustment", status: "pending" },
+        { status: "success", codCollected: true, collectedAt: new Date() },
+        { session },
+      );
+
+      if (order.payment.isCod) {
         await Payment.findOneAndUpdate(
-          { order: order._id },
+          orderPayment(order._id),
           {
             status: "success",
             codCollected: true,
             collectedAt: new Date(),
           },
+          { session },
         );
       }
     }
 
-    // Add notes if provided
-    if (notes) {
-      updateData.notes = notes;
+    // Goods come back on the shelf, same as POST /:id/cancel
+    if (status === "cancelled" || status === "returned") {
+      await restoreStock(order.items, {
+        reason: status === "returned" ? "return" : "cancel",
+        order: order._id,
+        adminId: req.admin.id,
+        session,
+      });
     }
 
-    const updatedOrder = await Order.findByIdAndUpdate(id, updateData, {
-      new: true,
-      runValidators: true,
-    }).populate("items.product", "name image");
+    await updatedOrder.populate("items.product", "name image");
+    await session.commitTransaction();
+
+    if (status === "cancelled" || status === "returned") {
+      afterStockChange(order.items);
+    }
 
     res.json({
       success: true,
@@ -607,12 +769,88 @@ router.put("/:id/status", async (req, res) => {
       data: updatedOrder,
     });
   } catch (error) {
+    await session.abortTransaction();
     console.error("Update order status error:", error);
     res.status(500).json({
       success: false,
       message: "Failed to update order status",
       error: error.message,
     });
+  } finally {
+    session.endSession();
+  }
+});
+
+/* ================= VARIABLE-WEIGHT PACKING ================= */
+
+/**
+ * @route   POST /api/orders/:id/weights
+ * @desc    Record the packed weight of variable-weight items. The order is
+ *          re-priced and the difference refunded (prepaid), added to the
+ *          collection at the door, or folded into the COD amount.
+ * @body    { items: [{ variantId, packedWeight }] } weight in the item's pack unit
+ * @access  Private (Admin)
+ */
+router.post("/:id/weights", canUpdateOrders, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid order ID format",
+      });
+    }
+
+    const order = await Order.findById(id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    if (!WEIGHABLE_STATUSES.includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot record weights for ${order.status} order`,
+      });
+    }
+
+    const {
+      order: updatedOrder,
+      difference,
+      adjustments,
+      error,
+      conflict,
+    } = await recordPackedWeights(order, req.body.items, { adminId: req.admin.id });
+
+    if (error) {
+      return res.status(conflict ? 409 : 400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: difference
+        ? `Order total adjusted by ₹${difference}`
+        : "Packed weights recorded",
+      data: {
+        order: updatedOrder,
+        difference,
+        adjustments,
+      },
+    });
+  } catch (error) {
+    console.error("Record packed weights error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to record packed weights",
+      error: error.message,
+    });
   }
 });
 
@@ -623,13 +861,13 @@ router.put("/:id/status", async (req, res) => {
  * @desc    Cancel order (User/Admin)
  * @access  Private
  */
-router.post("/:id/cancel", async (req, res) => {
+router.post("/:id/cancel", canCancelOrder, async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
 
   try {
     const { id } = req.params;
-    const { userId, reason } = req.body;
+    const { reason } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       await session.abortTransaction();
@@ -650,7 +888,7 @@ router.post("/:id/cancel", async (req, res) => {
     }
 
     // Verify user owns this order
-    if (userId && order.user.toString() !== userId) {
+    if (!req.admin && !order.user.equals(req.user._id)) {
       await session.abortTransaction();
       return res.status(403).json({
         success: false,
@@ -659,7 +897,7 @@ router.post("/:id/cancel", async (req, res) => {
     }
 
     // Check if order can be cancelled
-    if (["delivered", "cancelled", "returned"].includes(order.status)) {
+    if (FINAL_STATUSES.includes(order.status)) {
       await session.abortTransaction();
       return res.status(400).json({
         success: false,
@@ -676,30 +914,49 @@ router.post("/:id/cancel", async (req, res) => {
       });
     }
 
-    // Update order status
-    order.status = "cancelled";
-    order.cancelledAt = new Date();
-    order.cancelReason = reason;
-    order.payment.status = "cancelled";
+    // Update order status, unless a concurrent status change got there first
+    const cancelledOrder = await Order.findOneAndUpdate(
+      { _id: order._id, status: { $nin: [...FINAL_STATUSES, "out_for_delivery"] } },
+      {
+        status: "cancelled",
+        cancelledAt: new Date(),
+        cancelReason: reason,
+        "payment.status": "cancelled",
+      },
+      { new: true, session },
+    );
 
-    await order.save({ session });
+    if (!cancelledOrder) {
+      await session.abortTransaction();
+      return res.status(409).json({
+        success: false,
+        message: "The order was updated by another request; reload it and try again",
+      });
+    }
 
-    // Update payment status
-    await Payment.findOneAndUpdate(
+    // Update payment status, along with any extra still to collect for weighed items
+    await Payment.updateMany(
       { order: order._id },
       { status: "cancelled" },
       { session },
     );
 
     // Restore stock
-    await restoreStock(order.items);
+    await restoreStock(order.items, {
+      order: order._id,
+      adminId: req.admin?.id,
+      userId: req.admin ? null : req.user._id,
+      session,
+    });
 
     await session.commitTransaction();
 
+    afterStockChange(order.items);
+
     res.json({
       success: true,
       message: "Order cancelled successfully",
-      data: order,
+      data: cancelledOrder,
     });
   } catch (error) {
     await session.abortTransaction();
@@ -721,7 +978,7 @@ router.post("/:id/cancel", async (req, res) => {
  * @desc    Verify payment (for online payments)
  * @access  Private
  */
-router.post("/:id/verify-payment", async (req, res) => {
+router.post("/:id/verify-payment", requireUser, async (req, res) => {
   try {
     const { id } = req.params;
     const { paymentId, signature, gatewayResponse } = req.body;
@@ -742,6 +999,13 @@ router.post("/:id/verify-payment", async (req, res) => {
       });
     }
 
+    if (!order.user.equals(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: "Unauthorized access to order",
+      });
+    }
+
     // Skip for COD
     if (order.payment.isCod) {
       return res.status(400).json({
@@ -764,7 +1028,7 @@ router.post("/:id/verify-payment", async (req, res) => {
 
     // Update payment record
     await Payment.findOneAndUpdate(
-      { order: order._id },
+      orderPayment(order._id),
       {
         status: "success",
         "gateway.paymentId": paymentId,
@@ -791,23 +1055,16 @@ router.post("/:id/verify-payment", async (req, res) => {
 /* ================= GET ORDER STATISTICS ================= */
 
 /**
- * @route   GET /api/orders/stats/:userId
- * @desc    Get order statistics for user
+ * @route   GET /api/orders/stats/me
+ * @desc    Get order statistics for the signed-in user
  * @access  Private
  */
-router.get("/stats/:userId", async (req, res) => {
+router.get("/stats/me", requireUser, async (req, res) => {
   try {
-    const { userId } = req.params;
-
-    if (!mongoose.Types.ObjectId.isValid(userId)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid user ID format",
-      });
-    }
+    const userId = req.user._id;
 
     const stats = await Order.aggregate([
-      { $match: { user: new mongoose.Types.ObjectId(userId) } },
+      { $match: { user: userId } },
       {
         $group: {
           _id: "$status",
@@ -821,7 +1078,7 @@ router.get("/stats/:userId", async (req, res) => {
     const totalSpent = await Order.aggregate([
       {
         $match: {
-          user: new mongoose.Types.ObjectId(userId),
+          user: userId,
           status: { $in: ["delivered"] },
         },
       },
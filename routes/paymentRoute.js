@@ -4,20 +4,22 @@ const Payment = require("../models/Payment"); // Adjust path as needed
 const Order = require("../models/Orders"); // Adjust path as needed
 const Cart = require("../models/Cart");
 const mongoose = require("mongoose");
-const Razorpay = require("razorpay");
 const crypto = require("crypto");
+const requireUser = require("../middleware/userMiddleware");
+const userOrAdmin = require("../middleware/userOrAdminMiddleware");
+const { requirePermission } = require("../middleware/permissionMiddleware");
+const { PERMISSIONS } = require("../config/adminRoles");
+const { getRazorpay } = require("../config/razorpay");
+
+// Customers reach their own payments; admins need the matching permission
+const canReadPayments = userOrAdmin(PERMISSIONS.PAYMENTS_READ);
+const canManagePayments = requirePermission(PERMISSIONS.PAYMENTS_MANAGE);
 
 const razorpayKeyId = process.env.RAZORPAY_KEY_ID;
 const razorpayKeySecret = process.env.RAZORPAY_KEY_SECRET;
 const razorpayWebhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
 
-const razorpay =
-  razorpayKeyId && razorpayKeySecret
-    ? new Razorpay({
-        key_id: razorpayKeyId,
-        key_secret: razorpayKeySecret,
-      })
-    : null;
+const razorpay = getRazorpay();
 
 const verifyRazorpaySignature = ({
   orderId,
@@ -40,10 +42,9 @@ const verifyRazorpaySignature = ({
  * @desc    Get payment details by ID
  * @access  Private
  */
-router.get("/:id", async (req, res) => {
+router.get("/:id", canReadPayments, async (req, res) => {
   try {
     const { id } = req.params;
-    const { userId } = req.query;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({
@@ -65,7 +66,7 @@ router.get("/:id", async (req, res) => {
     }
 
     // Verify user owns this payment
-    if (userId && payment.user._id.toString() !== userId) {
+    if (!req.admin && !req.user._id.equals(payment.user._id)) {
       return res.status(403).json({
         success: false,
         message: "Unauthorized access to payment",
@@ -93,10 +94,9 @@ router.get("/:id", async (req, res) => {
  * @desc    Get payment details by order ID
  * @access  Private
  */
-router.get("/order/:orderId", async (req, res) => {
+router.get("/order/:orderId", canReadPayments, async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { userId } = req.query;
 
     if (!mongoose.Types.ObjectId.isValid(orderId)) {
       return res.status(400).json({
@@ -117,7 +117,7 @@ router.get("/order/:orderId", async (req, res) => {
     }
 
     // Verify user owns this payment
-    if (userId && payment.user.toString() !== userId) {
+    if (!req.admin && !req.user._id.equals(payment.user)) {
       return res.status(403).json({
         success: false,
         message: "Unauthorized access to payment",
@@ -142,10 +142,11 @@ router.get("/order/:orderId", async (req, res) => {
 
 /**
  * @route   GET /api/payments
- * @desc    Get all payments for a user or all payments for admin
+ * @desc    Get all payments for the signed-in user, or all payments for admin
+ *          (admin may narrow with ?userId=)
  * @access  Private
  */
-router.get("/", async (req, res) => {
+router.get("/", canReadPayments, async (req, res) => {
   try {
     const {
       userId,
@@ -155,20 +156,16 @@ router.get("/", async (req, res) => {
       limit = 10,
       sortBy = "createdAt",
       sortOrder = "desc",
-      isAdmin,
     } = req.query;
 
     // Build filter
     const filter = {};
 
-    // If not admin, filter by userId
-    if (!isAdmin && userId) {
+    // Customers only ever see their own payments
+    if (!req.admin) {
+      filter.user = req.user._id;
+    } else if (userId) {
       filter.user = userId;
-    } else if (!isAdmin && !userId) {
-      return res.status(400).json({
-        success: false,
-        message: "User ID is required for non-admin access",
-      });
     }
 
     if (status) filter.status = status;
@@ -217,9 +214,10 @@ router.get("/", async (req, res) => {
  * @desc    Create Razorpay order from active cart total
  * @access  Private
  */
-router.post("/create-order", async (req, res) => {
+router.post("/create-order", requireUser, async (req, res) => {
   try {
-    const { userId, deliveryFee = 0, paymentMethod = "upi" } = req.body;
+    const userId = req.user._id;
+    const { deliveryFee = 0, paymentMethod = "upi" } = req.body;
 
     if (!razorpay) {
       return res.status(500).json({
@@ -229,13 +227,6 @@ router.post("/create-order", async (req, res) => {
       });
     }
 
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        message: "User ID is required",
-      });
-    }
-
     if (!["upi", "card", "wallet"].includes(paymentMethod)) {
       return res.status(400).json({
         success: false,
@@ -457,7 +448,7 @@ router.post("/webhook/razorpay", async (req, res) => {
  * @desc    Initiate payment for an order (for gateway integration)
  * @access  Private
  */
-router.post("/initiate", async (req, res) => {
+router.post("/initiate", canManagePayments, async (req, res) => {
   try {
     const { orderId, gatewayName } = req.body;
 
@@ -550,7 +541,7 @@ router.post("/initiate", async (req, res) => {
  * @desc    Verify payment after gateway callback
  * @access  Private
  */
-router.post("/verify", async (req, res) => {
+router.post("/verify", canManagePayments, async (req, res) => {
   try {
     const {
       paymentId,
@@ -632,7 +623,7 @@ router.post("/verify", async (req, res) => {
  * @desc    Mark payment as failed
  * @access  Private
  */
-router.post("/:id/failed", async (req, res) => {
+router.post("/:id/failed", canManagePayments, async (req, res) => {
   try {
     const { id } = req.params;
     const { reason, gatewayResponse } = req.body;
@@ -688,7 +679,7 @@ router.post("/:id/failed", async (req, res) => {
  * @desc    Process payment refund
  * @access  Private (Admin)
  */
-router.post("/:id/refund", async (req, res) => {
+router.post("/:id/refund", canManagePayments, async (req, res) => {
   try {
     const { id } = req.params;
     const { amount, reason, isPartial = false } = req.body;
@@ -766,7 +757,7 @@ router.post("/:id/refund", async (req, res) => {
  * @desc    Mark COD payment as collected
  * @access  Private (Delivery Agent/Admin)
  */
-router.post("/:id/collect-cod", async (req, res) => {
+router.post("/:id/collect-cod", canManagePayments, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -831,23 +822,16 @@ router.post("/:id/collect-cod", async (req, res) => {
 /* ================= PAYMENT STATISTICS ================= */
 
 /**
- * @route   GET /api/payments/stats/:userId
- * @desc    Get payment statistics for user
+ * @route   GET /api/payments/stats/me
+ * @desc    Get payment statistics for the signed-in user
  * @access  Private
  */
-router.get("/stats/:userId", async (req, res) => {
+router.get("/stats/me", requireUser, async (req, res) => {
   try {
-    const { userId } = req.params;
-
-    if (!mongoose.Types.ObjectId.isValid(userId)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid user ID format",
-      });
-    }
+    const userId = req.user._id;
 
     const stats = await Payment.aggregate([
-      { $match: { user: new mongoose.Types.ObjectId(userId) } },
+      { $match: { user: userId } },
       {
         $group: {
           _id: {
@@ -863,7 +847,7 @@ router.get("/stats/:userId", async (req, res) => {
     const totalPaid = await Payment.aggregate([
       {
         $match: {
-          user: new mongoose.Types.ObjectId(userId),
+          user: userId,
           status: "success",
         },
       },
@@ -873,7 +857,7 @@ router.get("/stats/:userId", async (req, res) => {
     const totalRefunded = await Payment.aggregate([
       {
         $match: {
-          user: new mongoose.Types.ObjectId(userId),
+          user: userId,
           status: { $in: ["refunded", "partial_refund"] },
         },
       },
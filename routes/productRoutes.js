@@ -3,91 +3,290 @@ const router = express.Router();
 const Product = require("../models/Product"); // Adjust path as needed
 const Seller = require("../models/Seller");
 const mongoose = require("mongoose");
+const { once } = require("events");
+const { requirePermission } = require("../middleware/permissionMiddleware");
+const optionalAdmin = require("../middleware/optionalAdminMiddleware");
+const { PERMISSIONS, roleHasPermission } = require("../config/adminRoles");
+const { recordSearchQuery, suggest } = require("../utils/productSearch");
+const {
+  parseFacetFilters,
+  listProducts,
+  exportCursor,
+} = require("../utils/productListing");
+const { escapeRegex } = require("../utils/searchText");
+const {
+  WEIGHT_UNITS,
+  generateSlug,
+  validateVariants,
+  sellerSnapshot,
+} = require("../utils/productHelpers");
+const { parseCsvObjects, csvHeader, csvRow } = require("../utils/csv");
+const {
+  COLUMNS: IMPORT_COLUMNS,
+  MAX_IMPORT_ROWS,
+  importProducts,
+  productsToRecords,
+} = require("../utils/productImport");
+const csvUpload = require("../middleware/csvUpload");
+const { getSubtreeIds, attachBreadcrumbs } = require("../utils/categoryTree");
+const { withUnitPricing } = require("../utils/unitPricing");
+const {
+  snapshotPrices,
+  recordPriceChanges,
+  priceAt,
+} = require("../utils/priceHistory");
+const {
+  ADJUSTMENT_REASONS,
+  snapshotStock,
+  recordStockChanges,
+} = require("../utils/inventoryLedger");
+const { lowStockReport } = require("../utils/stockAlerts");
+const { attachBestBefore, preserveBatchStock } = require("../utils/stockBatches");
+const { isBundleVariant, prepareBundleVariants, bundleUsing } = require("../utils/bundles");
+const {
+  TRANSITIONS,
+  LIFECYCLE_FIELDS,
+  statusOf,
+  parseSchedule,
+  transition,
+  createRevision,
+} = require("../utils/productLifecycle");
+const PriceHistory = require("../models/PriceHistory");
+const ProductRevision = require("../models/ProductRevision");
+const ScheduledPriceChange = require("../models/ScheduledPriceChange");
+
+const canWriteCatalog = requirePermission(PERMISSIONS.CATALOG_WRITE);
+const canPublishCatalog = requirePermission(PERMISSIONS.CATALOG_PUBLISH);
+// Public reads; catalog admins also see products that aren't live
+const catalogReader = optionalAdmin(PERMISSIONS.CATALOG_WRITE);
+
+const BATCH_STOCK_MESSAGE =
+  "Stock for this variant comes from its batches — receive or withdraw a batch instead";
+const BUNDLE_STOCK_MESSAGE =
+  "Stock for this bundle comes from its components — adjust their stock instead";
+const bundleComponentMessage = (bundle) =>
+  `This variant is a component of the bundle "${bundle.name}" — remove it from the bundle first`;
+const LIVE_VARIANT_MESSAGE =
+  "Variants of a published product change through review — submit them with PUT /api/products/:id";
 
 /* ================= HELPER FUNCTIONS ================= */
 
-// Generate unique slug from name
-const generateSlug = (name) => {
-  return name
-    .toLowerCase()
-    .trim()
-    .replace(/[^\w\s-]/g, "")
-    .replace(/[\s_-]+/g, "-")
-    .replace(/^-+|-+$/g, "");
+/**
+ * Listing filters shared by GET / and GET /export. Values are cast here —
+ * listing runs an aggregate, which doesn't cast. includeDescendants=true
+ * widens `category` to its subcategories. `isActive` and `status` are only
+ * honoured for catalog admins; everyone else sees live products.
+ *
+ * @param {{ admin?: boolean }} options
+ * @returns {{ filter?: Object, filters?: Object, error?: string }}
+ */
+const buildListingFilter = async (query, { admin = false } = {}) => {
+  const {
+    category,
+    includeDescendants,
+    seller,
+    featured,
+    trending,
+    bestDeal,
+    status,
+    isActive = true,
+  } = admin ? query : { ...query, status: undefined, isActive: true };
+
+  // isActive=all (admin export) includes inactive products
+  const filter =
+    isActive === "all" ? {} : { isActive: isActive === true || isActive === "true" };
+
+  if (category) {
+    if (!mongoose.Types.ObjectId.isValid(category)) {
+      return { error: "Invalid category ID format" };
+    }
+    filter.category =
+      includeDescendants === "true"
+        ? { $in: await getSubtreeIds(category) }
+        : new mongoose.Types.ObjectId(String(category));
+  }
+  if (seller && mongoose.Types.ObjectId.isValid(seller)) {
+    filter["seller.sellerId"] = new mongoose.Types.ObjectId(String(seller));
+  }
+  if (featured !== undefined) filter.featured = featured === "true";
+  if (trending !== undefined) filter.trending = trending === "true";
+  if (bestDeal !== undefined) filter.bestDeal = bestDeal === "true";
+  // Lifecycle status, e.g. the review queue (admins): ?isActive=all&status=in_review
+  if (status) filter.status = { $in: String(status).split(",") };
+
+  // Brand, price, pack, rating, discount and stock filters
+  const { filters, error } = parseFacetFilters(query);
+  if (error) return { error };
+
+  return { filter, filters };
+};
+
+/**
+ * The variant routes edit a product in place, so on a published product only
+ * an approver may use them; everyone else goes through a revision (PUT /:id).
+ */
+const liveVariantEditBlocked = (req, product) =>
+  statusOf(product) === "published" &&
+  !roleHasPermission(req.admin?.role, PERMISSIONS.CATALOG_PUBLISH);
+
+/**
+ * Bundle products get their variants' component snapshots, MRP, stock and (if
+ * discounted) price filled in; other products can't have components.
+ * @returns {Promise<string|null>} error message
+ */
+const prepareVariantsForType = async (type, variants, productId = null) => {
+  if (type === "bundle") return prepareBundleVariants(variants, productId);
+  if (variants.some(isBundleVariant)) return "Only bundle products can have components";
+  return null;
 };
 
-// Validate variant data
-const validateVariants = (variants) => {
-  if (!variants || variants.length === 0) {
-    throw new Error("At least one variant is required");
+/**
+ * Turns a PUT /:id body into an update for `existingProduct`: lifecycle fields
+ * are dropped, the seller snapshot resolved, the slug regenerated on rename
+ * and variants validated. Used for direct edits and when a revision is published.
+ *
+ * @returns {Promise<{ updateData?: Object, error?: string }>}
+ */
+const prepareProductUpdate = async (existingProduct, body) => {
+  const updateData = { ...body };
+  for (const field of LIFECYCLE_FIELDS) delete updateData[field];
+
+  if (updateData.seller) {
+    const sellerId = updateData.seller?.sellerId || updateData.seller;
+    if (!sellerId || !mongoose.Types.ObjectId.isValid(sellerId)) {
+      return { error: "Valid seller is required" };
+    }
+
+    const sellerDoc = await Seller.findById(sellerId);
+    if (!sellerDoc || !sellerDoc.isActive) {
+      return { error: "Seller not found or inactive" };
+    }
+
+    updateData.seller = sellerSnapshot(sellerDoc);
+  }
+
+  if (updateData.type && updateData.type !== (existingProduct.type || "single")) {
+    return { error: "A product's type can't be changed" };
+  }
+
+  // If name is being updated, regenerate slug
+  if (updateData.name && updateData.name !== existingProduct.name) {
+    let newSlug = generateSlug(updateData.name);
+
+    // Check if new slug conflicts with another product
+    const slugConflict = await Product.findOne({
+      slug: newSlug,
+      _id: { $ne: existingProduct._id },
+    });
+
+    if (slugConflict) {
+      newSlug = `${newSlug}-${Date.now()}`;
+    }
+
+    updateData.slug = newSlug;
   }
 
-  const defaultVariants = variants.filter((v) => v.isDefault);
-  if (defaultVariants.length > 1) {
-    throw new Error("Only one variant can be set as default");
+  // Validate variants if provided
+  if (updateData.variants) {
+    try {
+      updateData.variants = preserveBatchStock(
+        validateVariants(updateData.variants),
+        existingProduct,
+      );
+    } catch (error) {
+      return { error: error.message };
+    }
+
+    const error = await prepareVariantsForType(
+      existingProduct.type,
+      updateData.variants,
+      existingProduct._id,
+    );
+    if (error) return { error };
+
+    const kept = new Set(updateData.variants.map((variant) => String(variant._id)));
+    const removed = existingProduct.variants
+      .map((variant) => variant._id)
+      .filter((variantId) => !kept.has(String(variantId)));
+    const bundle = await bundleUsing(removed);
+    if (bundle) return { error: bundleComponentMessage(bundle) };
   }
 
-  // Set first variant as default if none specified
-  if (defaultVariants.length === 0) {
-    variants[0].isDefault = true;
+  return { updateData };
+};
+
+/**
+ * Writes a prepared update and records the price / stock changes it made.
+ * @returns {Promise<Object>} the updated product, category and seller populated
+ */
+const applyProductUpdate = async (existingProduct, updateData, adminId) => {
+  const updatedProduct = await Product.findByIdAndUpdate(existingProduct._id, updateData, {
+    new: true,
+    runValidators: true,
+  })
+    .populate("category", "name slug")
+    .populate("seller.sellerId", "name code");
+
+  if (updateData.variants) {
+    await recordPriceChanges(updatedProduct, snapshotPrices(existingProduct), {
+      source: "product_update",
+      adminId,
+    });
+    await recordStockChanges(updatedProduct, snapshotStock(existingProduct), {
+      reason: "variant_update",
+      adminId,
+    });
   }
 
-  return variants;
+  return updatedProduct;
 };
 
+/** Products populated and written per chunk of the streamed export */
+const EXPORT_CHUNK = 200;
+
+// Multer errors (wrong type, too large) as JSON 400s
+const receiveCsv = (req, res, next) =>
+  csvUpload.single("file")(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    next();
+  });
+
 /* ================= GET ALL PRODUCTS ================= */
 
 /**
  * @route   GET /api/products
  * @desc    Get all products with filtering, sorting, and pagination
+ * @query   brand, packUnit, packSize (e.g. 500g), minPrice, maxPrice, minRating,
+ *          minDiscount, inStock — facet filters; facets=false skips the counts.
+ *          minPricePerUnit, maxPricePerUnit, baseUnit (kg | litre | pcs) filter
+ *          on ₹ per unit; sortBy=pricePerUnit sorts by the cheapest one.
+ *          Catalog admins may also pass isActive (true | false | all) and status.
  * @access  Public
  */
-router.get("/", async (req, res) => {
+router.get("/", catalogReader, async (req, res) => {
   try {
     const {
       page = 1,
       limit = 20,
-      category,
-      seller,
-      featured,
-      trending,
-      bestDeal,
-      isActive = true,
-      minPrice,
-      maxPrice,
       search,
       sortBy = "createdAt",
       sortOrder = "desc",
     } = req.query;
 
-    // Build filter object
-    const filter = { isActive };
-
-    if (category) filter.category = category;
-    if (seller && mongoose.Types.ObjectId.isValid(seller)) {
-      filter["seller.sellerId"] = seller;
-    }
-    if (featured !== undefined) filter.featured = featured === "true";
-    if (trending !== undefined) filter.trending = trending === "true";
-    if (bestDeal !== undefined) filter.bestDeal = bestDeal === "true";
-
-    // Search functionality
-    if (search) {
-      filter.$or = [
-        { name: { $regex: search, $options: "i" } },
-        { description: { $regex: search, $options: "i" } },
-        { brand: { $regex: search, $options: "i" } },
-        { tags: { $in: [new RegExp(search, "i")] } },
-        { searchKeywords: { $in: [new RegExp(search, "i")] } },
-      ];
+    const { filter, filters, error } = await buildListingFilter(req.query, {
+      admin: Boolean(req.admin),
+    });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
     }
 
-    // Price range filter (checks all variants)
-    if (minPrice || maxPrice) {
-      const priceFilter = {};
-      if (minPrice) priceFilter.$gte = Number(minPrice);
-      if (maxPrice) priceFilter.$lte = Number(maxPrice);
-      filter["variants.price"] = priceFilter;
+    if (!/^[\w.]+$/.test(String(sortBy))) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid sortBy",
+      });
     }
 
     // Sorting
@@ -97,21 +296,30 @@ router.get("/", async (req, res) => {
     // Pagination
     const skip = (Number(page) - 1) * Number(limit);
 
-    // Execute query
-    const products = await Product.find(filter)
-      .populate("category", "name slug")
-      .populate("seller.sellerId", "name code")
-      .sort(sort)
-      .limit(Number(limit))
-      .skip(skip)
-      .lean();
+    const searchText = search && String(search).trim() ? String(search) : null;
+
+    // Search: ordered by relevance unless the client asked for a specific sort
+    const { products, total, facets } = await listProducts({
+      match: filter,
+      search: searchText,
+      filters,
+      sort: searchText && !req.query.sortBy ? null : sort,
+      skip,
+      limit: Number(limit),
+      withFacets: req.query.facets !== "false",
+    });
 
-    // Get total count
-    const total = await Product.countDocuments(filter);
+    // Only first pages count — paging through results is not a new search
+    if (searchText && Number(page) === 1) {
+      recordSearchQuery(searchText, total).catch((error) =>
+        console.error("Record search query error:", error),
+      );
+    }
 
     res.json({
       success: true,
       data: products,
+      facets,
       pagination: {
         page: Number(page),
         limit: Number(limit),
@@ -129,11 +337,46 @@ router.get("/", async (req, res) => {
   }
 });
 
+/* ================= SEARCH SUGGESTIONS ================= */
+
+/**
+ * @route   GET /api/products/suggest?q=&limit=
+ * @desc    Lightweight typeahead — popular queries, product names, categories and brands
+ * @access  Public
+ */
+router.get("/suggest", async (req, res) => {
+  try {
+    const q = String(req.query.q || "").trim();
+    const limit = Math.min(Math.max(Number(req.query.limit) || 8, 1), 20);
+
+    if (q.length < 2) {
+      return res.json({
+        success: true,
+        data: { queries: [], products: [], categories: [], brands: [] },
+      });
+    }
+
+    const data = await suggest(q.slice(0, 100), limit);
+
+    res.set("Cache-Control", "public, max-age=60");
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error("Search suggest error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch suggestions",
+      error: error.message,
+    });
+  }
+});
+
 /* ================= GET PRODUCTS BY CATEGORY ================= */
 
 /**
  * @route   GET /api/products/category/:categoryId
  * @desc    Get all products in a specific category
+ * @query   same facet filters as GET /api/products; includeDescendants=true
+ *          also lists products of its subcategories
  * @access  Public
  */
 router.get("/category/:categoryId", async (req, res) => {
@@ -153,23 +396,41 @@ router.get("/category/:categoryId", async (req, res) => {
       });
     }
 
-    const filter = { category: categoryId, isActive: true };
+    const { filters, error } = parseFacetFilters(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    if (!/^[\w.]+$/.test(String(sortBy))) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid sortBy",
+      });
+    }
+
+    const filter = {
+      category:
+        req.query.includeDescendants === "true"
+          ? { $in: await getSubtreeIds(categoryId) }
+          : new mongoose.Types.ObjectId(String(categoryId)),
+      isActive: true,
+    };
     const sort = { [sortBy]: sortOrder === "asc" ? 1 : -1 };
     const skip = (Number(page) - 1) * Number(limit);
 
-    const products = await Product.find(filter)
-      .populate("category", "name slug")
-      .populate("seller.sellerId", "name code")
-      .sort(sort)
-      .limit(Number(limit))
-      .skip(skip)
-      .lean();
-
-    const total = await Product.countDocuments(filter);
+    const { products, total, facets } = await listProducts({
+      match: filter,
+      filters,
+      sort,
+      skip,
+      limit: Number(limit),
+      withFacets: req.query.facets !== "false",
+    });
 
     res.json({
       success: true,
       data: products,
+      facets,
       pagination: {
         page: Number(page),
         limit: Number(limit),
@@ -187,6 +448,299 @@ router.get("/category/:categoryId", async (req, res) => {
   }
 });
 
+/* ================= BULK IMPORT / EXPORT ================= */
+
+/**
+ * @route   GET /api/products/export
+ * @desc    Download the filtered catalog as CSV (one row per variant), in the
+ *          layout POST /import accepts
+ * @query   same filters as GET /api/products, plus isActive=all
+ * @access  Private (Admin)
+ */
+router.get("/export", canWriteCatalog, async (req, res) => {
+  try {
+    const { filter, filters, error } = await buildListingFilter(req.query, { admin: true });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    const searchText = req.query.search && String(req.query.search).trim();
+
+    const cursor = await exportCursor({
+      match: filter,
+      search: searchText || null,
+      filters,
+      sort: { name: 1 },
+    });
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="products-${date}.csv"`);
+
+    // Written as it is read, so the catalogue never has to fit in memory at once
+    const write = async (text) => {
+      if (!res.write(text)) await once(res, "drain");
+    };
+    const writeChunk = async (products) => {
+      await Product.populate(products, [
+        { path: "category", select: "slug" },
+        { path: "seller.sellerId", select: "code" },
+      ]);
+      await write(
+        productsToRecords(products)
+          .map((record) => csvRow(IMPORT_COLUMNS, record))
+          .join(""),
+      );
+    };
+
+    await write(csvHeader(IMPORT_COLUMNS));
+    let chunk = [];
+    for await (const product of cursor || []) {
+      chunk.push(product);
+      if (chunk.length === EXPORT_CHUNK) {
+        await writeChunk(chunk);
+        chunk = [];
+      }
+    }
+    if (chunk.length) await writeChunk(chunk);
+    res.end();
+  } catch (error) {
+    console.error("Export products error:", error);
+    // Part of the file has gone out already; cut it off rather than end it cleanly
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to export products",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/products/import?dryRun=true
+ * @desc    Create or update products and variants from a CSV upload (field
+ *          "file"). With dryRun nothing is saved — the per-row report shows
+ *          what would happen. Products with an invalid row are skipped.
+ * @access  Private (Admin)
+ */
+router.post("/import", canWriteCatalog, receiveCsv, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "CSV file is required",
+      });
+    }
+
+    let records;
+    try {
+      records = parseCsvObjects(req.file.buffer.toString("utf8"));
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not read CSV: ${error.message}`,
+      });
+    }
+
+    if (!records.length) {
+      return res.status(400).json({
+        success: false,
+        message: "CSV has no data rows",
+      });
+    }
+
+    if (records.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `Too many rows (max ${MAX_IMPORT_ROWS})`,
+      });
+    }
+
+    const dryRun = req.query.dryRun === "true" || req.body?.dryRun === "true";
+    const report = await importProducts(records, { dryRun, adminId: req.admin.id });
+    const { summary } = report;
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? `Dry run: ${summary.rows - summary.invalidRows} of ${summary.rows} rows valid`
+        : `Imported ${summary.productsCreated + summary.productsUpdated} products, skipped ${summary.productsSkipped}`,
+      data: report,
+    });
+  } catch (error) {
+    console.error("Import products error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to import products",
+      error: error.message,
+    });
+  }
+});
+
+/* ================= LOW STOCK ================= */
+
+/**
+ * @route   GET /api/products/low-stock?sellerId=&categoryId=&includeDescendants=&threshold=&includeInactive=&page=&limit=
+ * @desc    Replenishment report: active variants at or below their
+ *          lowStockThreshold (or `threshold`, if given), emptiest first,
+ *          with totals per seller
+ * @access  Private (Admin)
+ */
+router.get("/low-stock", canWriteCatalog, async (req, res) => {
+  try {
+    const { sellerId, categoryId } = req.query;
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+
+    for (const [name, value] of Object.entries({ sellerId, categoryId })) {
+      if (value !== undefined && !mongoose.Types.ObjectId.isValid(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid ${name} format`,
+        });
+      }
+    }
+
+    let threshold;
+    if (req.query.threshold !== undefined) {
+      threshold = Number(req.query.threshold);
+      if (!Number.isFinite(threshold) || threshold < 0) {
+        return res.status(400).json({
+          success: false,
+          message: "threshold must be a non-negative number",
+        });
+      }
+    }
+
+    // Aggregates don't cast, so ids are cast here
+    const match = {};
+    if (req.query.includeInactive !== "true") match.isActive = true;
+    if (sellerId) match["seller.sellerId"] = new mongoose.Types.ObjectId(String(sellerId));
+    if (categoryId) {
+      match.category =
+        req.query.includeDescendants === "false"
+          ? new mongoose.Types.ObjectId(String(categoryId))
+          : { $in: await getSubtreeIds(categoryId) };
+    }
+
+    const { variants, total, summary } = await lowStockReport({
+      match,
+      threshold,
+      skip: (page - 1) * limit,
+      limit,
+    });
+
+    res.json({
+      success: true,
+      data: variants,
+      summary,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Low stock report error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch low stock report",
+      error: error.message,
+    });
+  }
+});
+
+/* ================= PENDING REVISIONS (ALL PRODUCTS) ================= */
+
+/**
+ * @route   GET /api/products/revisions?status=pending&page=&limit=
+ * @desc    Revision review queue, oldest first
+ * @access  Private (Admin)
+ */
+router.get("/revisions", canWriteCatalog, async (req, res) => {
+  try {
+    const status = req.query.status || "pending";
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const filter = status === "all" ? {} : { status };
+
+    const [revisions, total] = await Promise.all([
+      ProductRevision.find(filter)
+        .sort({ createdAt: status === "pending" ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("product", "name slug status")
+        .populate("submittedBy", "name email")
+        .lean(),
+      ProductRevision.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: revisions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get revisions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch revisions",
+      error: error.message,
+    });
+  }
+});
+
+/* ================= SCHEDULED PRICES (ALL PRODUCTS) ================= */
+
+/**
+ * @route   GET /api/products/scheduled-prices?status=pending&page=&limit=
+ * @desc    Upcoming (or past) scheduled price changes across the catalog
+ * @access  Private (Admin)
+ */
+router.get("/scheduled-prices", canWriteCatalog, async (req, res) => {
+  try {
+    const status = req.query.status || "pending";
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const filter = status === "all" ? {} : { status };
+
+    const [changes, total] = await Promise.all([
+      ScheduledPriceChange.find(filter)
+        .sort({ effectiveAt: status === "pending" ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("product", "name slug")
+        .populate("createdBy", "name email")
+        .lean(),
+      ScheduledPriceChange.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: changes,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get all scheduled prices error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch scheduled prices",
+      error: error.message,
+    });
+  }
+});
+
 router.get("/:id/similar", async (req, res) => {
   try {
     const { id } = req.params;
@@ -214,7 +768,7 @@ router.get("/:id/similar", async (req, res) => {
       category: product.category, // ✅ ObjectId
       isActive: true,
       $or: [
-        { name: { $regex: keywords.join("|"), $options: "i" } },
+        { name: { $regex: keywords.map(escapeRegex).join("|"), $options: "i" } },
         { brand: product.brand },
       ],
     })
@@ -224,7 +778,7 @@ router.get("/:id/similar", async (req, res) => {
 
     res.json({
       success: true,
-      data: similarProducts,
+      data: similarProducts.map(withUnitPricing),
     });
   } catch (error) {
     console.error("Similar products error:", error);
@@ -239,10 +793,11 @@ router.get("/:id/similar", async (req, res) => {
 
 /**
  * @route   GET /api/products/:id
- * @desc    Get single product by ID
+ * @desc    Get single product by ID. Products that aren't live are only
+ *          returned to catalog admins.
  * @access  Public
  */
-router.get("/:id", async (req, res) => {
+router.get("/:id", catalogReader, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -260,16 +815,19 @@ router.get("/:id", async (req, res) => {
     );
     await product?.populate("seller.sellerId", "name code");
 
-    if (!product) {
+    if (!product || (!product.isActive && !req.admin)) {
       return res.status(404).json({
         success: false,
         message: "Product not found",
       });
     }
 
+    const [data] = await attachBreadcrumbs([withUnitPricing(product)]);
+    await attachBestBefore(data);
+
     res.json({
       success: true,
-      data: product,
+      data,
     });
   } catch (error) {
     console.error("Get product by ID error:", error);
@@ -285,10 +843,10 @@ router.get("/:id", async (req, res) => {
 
 /**
  * @route   POST /api/products
- * @desc    Create a new product
- * @access  Private (Add auth middleware as needed)
+ * @desc    Create a new product as a draft (see LIFECYCLE below)
+ * @access  Private (Admin)
  */
-router.post("/", async (req, res) => {
+router.post("/", canWriteCatalog, async (req, res) => {
   try {
     const {
       name,
@@ -305,12 +863,12 @@ router.post("/", async (req, res) => {
       tags,
       searchKeywords,
       variants,
+      type = "single",
       image,
       images,
       featured,
       trending,
       bestDeal,
-      isActive,
     } = req.body;
 
     // Validate required fields
@@ -354,7 +912,7 @@ router.post("/", async (req, res) => {
     // Validate and process variants
     let validatedVariants;
     try {
-      validatedVariants = validateVariants(variants);
+      validatedVariants = preserveBatchStock(validateVariants(variants), { variants: [] });
     } catch (error) {
       return res.status(400).json({
         success: false,
@@ -362,6 +920,21 @@ router.post("/", async (req, res) => {
       });
     }
 
+    if (!["single", "bundle"].includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: "Type must be single or bundle",
+      });
+    }
+
+    const variantError = await prepareVariantsForType(type, validatedVariants);
+    if (variantError) {
+      return res.status(400).json({
+        success: false,
+        message: variantError,
+      });
+    }
+
     // Generate slug
     let slug = generateSlug(name);
 
@@ -379,18 +952,7 @@ router.post("/", async (req, res) => {
       brand,
       category,
       unit,
-      seller: {
-        sellerId: sellerDoc._id,
-        sellerName: sellerDoc.name,
-        contact: {
-          phone: sellerDoc.phone || "",
-          email: sellerDoc.email || "",
-        },
-        location: {
-          city: sellerDoc.location?.city || "",
-          area: sellerDoc.location?.area || "",
-        },
-      },
+      seller: sellerSnapshot(sellerDoc),
       shelfLife,
       expiryRequired,
       storageInstructions,
@@ -399,15 +961,25 @@ router.post("/", async (req, res) => {
       tags,
       searchKeywords,
       variants: validatedVariants,
+      type,
       image,
       images,
       featured,
       trending,
       bestDeal,
-      isActive,
+      // Customers see it only once it has been reviewed and published
+      status: "draft",
     });
 
     await product.save();
+    await recordPriceChanges(product, new Map(), {
+      source: "create",
+      adminId: req.admin.id,
+    });
+    await recordStockChanges(product, new Map(), {
+      reason: "initial",
+      adminId: req.admin.id,
+    });
 
     // Populate category before sending response
     await product.populate("category", "name slug");
@@ -415,8 +987,8 @@ router.post("/", async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: "Product created successfully",
-      data: product,
+      message: "Product created as a draft",
+      data: withUnitPricing(product),
     });
   } catch (error) {
     console.error("Create product error:", error);
@@ -441,10 +1013,12 @@ router.post("/", async (req, res) => {
 
 /**
  * @route   PUT /api/products/:id
- * @desc    Update product by ID (including all variants)
- * @access  Private (Add auth middleware as needed)
+ * @desc    Update product by ID (including all variants). Drafts and archived
+ *          products change directly; a published product gets a pending
+ *          revision instead (202). Status and schedule have their own routes.
+ * @access  Private (Admin)
  */
-router.put("/:id", async (req, res) => {
+router.put("/:id", canWriteCatalog, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -465,80 +1039,30 @@ router.put("/:id", async (req, res) => {
       });
     }
 
-    const updateData = { ...req.body };
-
-    if (updateData.seller) {
-      const sellerId = updateData.seller?.sellerId || updateData.seller;
-      if (!sellerId || !mongoose.Types.ObjectId.isValid(sellerId)) {
-        return res.status(400).json({
-          success: false,
-          message: "Valid seller is required",
-        });
-      }
-
-      const sellerDoc = await Seller.findById(sellerId);
-      if (!sellerDoc || !sellerDoc.isActive) {
-        return res.status(400).json({
-          success: false,
-          message: "Seller not found or inactive",
-        });
-      }
-
-      updateData.seller = {
-        sellerId: sellerDoc._id,
-        sellerName: sellerDoc.name,
-        contact: {
-          phone: sellerDoc.phone || "",
-          email: sellerDoc.email || "",
-        },
-        location: {
-          city: sellerDoc.location?.city || "",
-          area: sellerDoc.location?.area || "",
-        },
-      };
+    const { updateData, error } = await prepareProductUpdate(existingProduct, req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
     }
 
-    // If name is being updated, regenerate slug
-    if (updateData.name && updateData.name !== existingProduct.name) {
-      let newSlug = generateSlug(updateData.name);
-
-      // Check if new slug conflicts with another product
-      const slugConflict = await Product.findOne({
-        slug: newSlug,
-        _id: { $ne: id },
+    // Live products change only once an approver publishes the revision
+    if (statusOf(existingProduct) === "published") {
+      const revision = await createRevision(existingProduct, req.body, req.admin.id);
+      return res.status(202).json({
+        success: true,
+        message: "Changes submitted for review",
+        data: revision,
       });
+    }
 
-      if (slugConflict) {
-        newSlug = `${newSlug}-${Date.now()}`;
-      }
-
-      updateData.slug = newSlug;
-    }
-
-    // Validate variants if provided
-    if (updateData.variants) {
-      try {
-        updateData.variants = validateVariants(updateData.variants);
-      } catch (error) {
-        return res.status(400).json({
-          success: false,
-          message: error.message,
-        });
-      }
-    }
-
-    // Update product
-    const updatedProduct = await Product.findByIdAndUpdate(id, updateData, {
-      new: true,
-      runValidators: true,
-    })
-      .populate("category", "name slug")
-      .populate("seller.sellerId", "name code");
+    const updatedProduct = await applyProductUpdate(existingProduct, updateData, req.admin.id);
 
     res.json({
       success: true,
       message: "Product updated successfully",
-      data: updatedProduct,
+      data: withUnitPricing(updatedProduct),
     });
   } catch (error) {
     console.error("Update product error:", error);
@@ -563,10 +1087,10 @@ router.put("/:id", async (req, res) => {
 
 /**
  * @route   DELETE /api/products/:id
- * @desc    Soft delete product (set isActive to false)
- * @access  Private (Add auth middleware as needed)
+ * @desc    Soft delete product — archives it, which also hides it from customers
+ * @access  Private (Admin)
  */
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", canWriteCatalog, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -577,11 +1101,7 @@ router.delete("/:id", async (req, res) => {
       });
     }
 
-    const product = await Product.findByIdAndUpdate(
-      id,
-      { isActive: false },
-      { new: true },
-    );
+    const product = await Product.findById(id);
 
     if (!product) {
       return res.status(404).json({
@@ -590,6 +1110,10 @@ router.delete("/:id", async (req, res) => {
       });
     }
 
+    if (statusOf(product) !== "archived") {
+      await transition(product, "archive", { adminId: req.admin.id });
+    }
+
     res.json({
       success: true,
       message: "Product deactivated successfully",
@@ -609,10 +1133,11 @@ router.delete("/:id", async (req, res) => {
 
 /**
  * @route   POST /api/products/:id/variants
- * @desc    Add a new variant to existing product
- * @access  Private
+ * @desc    Add a new variant to existing product. Bundle variants take
+ *          components and a price or bundleDiscount; MRP and stock are derived.
+ * @access  Private (Admin; approvers only on published products)
  */
-router.post("/:id/variants", async (req, res) => {
+router.post("/:id/variants", canWriteCatalog, async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -625,6 +1150,9 @@ router.post("/:id/variants", async (req, res) => {
       sku,
       isDefault,
       isActive,
+      variableWeight,
+      components,
+      bundleDiscount,
     } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -634,14 +1162,6 @@ router.post("/:id/variants", async (req, res) => {
       });
     }
 
-    // Validation
-    if (!packSize || !packUnit || !mrp || !price || stock === undefined) {
-      return res.status(400).json({
-        success: false,
-        message: "Pack size, pack unit, MRP, price, and stock are required",
-      });
-    }
-
     const product = await Product.findById(id);
 
     if (!product) {
@@ -651,15 +1171,14 @@ router.post("/:id/variants", async (req, res) => {
       });
     }
 
-    // If setting as default, unset other defaults
-    if (isDefault) {
-      product.variants.forEach((v) => {
-        v.isDefault = false;
+    if (liveVariantEditBlocked(req, product)) {
+      return res.status(403).json({
+        success: false,
+        message: LIVE_VARIANT_MESSAGE,
       });
     }
 
-    // Add new variant
-    product.variants.push({
+    const newVariant = {
       packSize,
       packUnit,
       mrp,
@@ -667,16 +1186,60 @@ router.post("/:id/variants", async (req, res) => {
       stock,
       lowStockThreshold,
       sku,
+      variableWeight: variableWeight || false,
       isDefault: isDefault || false,
       isActive: isActive !== undefined ? isActive : true,
-    });
+    };
+
+    // Validation
+    if (product.type === "bundle") {
+      Object.assign(newVariant, { components, bundleDiscount });
+      const error = await prepareBundleVariants([newVariant], product._id);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+    } else if (!packSize || !packUnit || !mrp || !price || stock === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Pack size, pack unit, MRP, price, and stock are required",
+      });
+    } else if (variableWeight && !WEIGHT_UNITS.includes(packUnit)) {
+      return res.status(400).json({
+        success: false,
+        message: "Only variants packed in g or kg can be variable-weight",
+      });
+    }
+
+    const pricesBefore = snapshotPrices(product);
+    const stockBefore = snapshotStock(product);
+
+    // If setting as default, unset other defaults
+    if (isDefault) {
+      product.variants.forEach((v) => {
+        v.isDefault = false;
+      });
+    }
+
+    // Add new variant
+    product.variants.push(newVariant);
 
     await product.save();
+    await recordPriceChanges(product, pricesBefore, {
+      source: "manual",
+      adminId: req.admin.id,
+    });
+    await recordStockChanges(product, stockBefore, {
+      reason: "variant_update",
+      adminId: req.admin.id,
+    });
 
     res.status(201).json({
       success: true,
       message: "Variant added successfully",
-      data: product,
+      data: withUnitPricing(product),
     });
   } catch (error) {
     console.error("Add variant error:", error);
@@ -691,9 +1254,9 @@ router.post("/:id/variants", async (req, res) => {
 /**
  * @route   PUT /api/products/:id/variants/:variantId
  * @desc    Update a specific variant
- * @access  Private
+ * @access  Private (Admin; approvers only on published products)
  */
-router.put("/:id/variants/:variantId", async (req, res) => {
+router.put("/:id/variants/:variantId", canWriteCatalog, async (req, res) => {
   try {
     const { id, variantId } = req.params;
 
@@ -713,6 +1276,13 @@ router.put("/:id/variants/:variantId", async (req, res) => {
       });
     }
 
+    if (liveVariantEditBlocked(req, product)) {
+      return res.status(403).json({
+        success: false,
+        message: LIVE_VARIANT_MESSAGE,
+      });
+    }
+
     // Find variant
     const variant = product.variants.id(variantId);
 
@@ -723,6 +1293,9 @@ router.put("/:id/variants/:variantId", async (req, res) => {
       });
     }
 
+    const pricesBefore = snapshotPrices(product);
+    const stockBefore = snapshotStock(product);
+
     // Update variant fields
     const {
       packSize,
@@ -734,17 +1307,38 @@ router.put("/:id/variants/:variantId", async (req, res) => {
       sku,
       isDefault,
       isActive,
+      variableWeight,
+      components,
+      bundleDiscount,
     } = req.body;
 
     if (packSize !== undefined) variant.packSize = packSize;
     if (packUnit !== undefined) variant.packUnit = packUnit;
     if (mrp !== undefined) variant.mrp = mrp;
     if (price !== undefined) variant.price = price;
+    if (
+      stock !== undefined &&
+      (variant.batchTracked || isBundleVariant(variant)) &&
+      stock !== variant.stock
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: variant.batchTracked ? BATCH_STOCK_MESSAGE : BUNDLE_STOCK_MESSAGE,
+      });
+    }
     if (stock !== undefined) variant.stock = stock;
     if (lowStockThreshold !== undefined)
       variant.lowStockThreshold = lowStockThreshold;
     if (sku !== undefined) variant.sku = sku;
     if (isActive !== undefined) variant.isActive = isActive;
+    if (variableWeight !== undefined) variant.variableWeight = variableWeight;
+
+    if (variant.variableWeight && !WEIGHT_UNITS.includes(variant.packUnit)) {
+      return res.status(400).json({
+        success: false,
+        message: "Only variants packed in g or kg can be variable-weight",
+      });
+    }
 
     // Handle default variant
     if (isDefault === true) {
@@ -756,12 +1350,44 @@ router.put("/:id/variants/:variantId", async (req, res) => {
       variant.isDefault = false;
     }
 
+    // Re-derive a bundle's MRP, stock and discounted price from its (new) components
+    if (product.type === "bundle") {
+      const bundleVariant = variant.toObject();
+      if (components !== undefined) bundleVariant.components = components;
+      if (bundleDiscount !== undefined) bundleVariant.bundleDiscount = bundleDiscount;
+
+      const error = await prepareBundleVariants([bundleVariant], product._id);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+
+      const { mrp: bundleMrp, price: bundlePrice, stock: bundleStock } = bundleVariant;
+      variant.set({
+        components: bundleVariant.components,
+        bundleDiscount: bundleVariant.bundleDiscount,
+        mrp: bundleMrp,
+        price: bundlePrice,
+        stock: bundleStock,
+      });
+    }
+
     await product.save();
+    await recordPriceChanges(product, pricesBefore, {
+      source: "manual",
+      adminId: req.admin.id,
+    });
+    await recordStockChanges(product, stockBefore, {
+      reason: "variant_update",
+      adminId: req.admin.id,
+    });
 
     res.json({
       success: true,
       message: "Variant updated successfully",
-      data: product,
+      data: withUnitPricing(product),
     });
   } catch (error) {
     console.error("Update variant error:", error);
@@ -776,9 +1402,9 @@ router.put("/:id/variants/:variantId", async (req, res) => {
 /**
  * @route   DELETE /api/products/:id/variants/:variantId
  * @desc    Delete a specific variant
- * @access  Private
+ * @access  Private (Admin; approvers only on published products)
  */
-router.delete("/:id/variants/:variantId", async (req, res) => {
+router.delete("/:id/variants/:variantId", canWriteCatalog, async (req, res) => {
   try {
     const { id, variantId } = req.params;
 
@@ -798,6 +1424,13 @@ router.delete("/:id/variants/:variantId", async (req, res) => {
       });
     }
 
+    if (liveVariantEditBlocked(req, product)) {
+      return res.status(403).json({
+        success: false,
+        message: LIVE_VARIANT_MESSAGE,
+      });
+    }
+
     // Check if product has only one variant
     if (product.variants.length === 1) {
       return res.status(400).json({
@@ -817,7 +1450,16 @@ router.delete("/:id/variants/:variantId", async (req, res) => {
       });
     }
 
+    const bundle = await bundleUsing([variant._id]);
+    if (bundle) {
+      return res.status(400).json({
+        success: false,
+        message: bundleComponentMessage(bundle),
+      });
+    }
+
     const wasDefault = variant.isDefault;
+    const stockBefore = snapshotStock(product);
 
     // Remove variant using pull
     product.variants.pull(variantId);
@@ -829,10 +1471,16 @@ router.delete("/:id/variants/:variantId", async (req, res) => {
 
     await product.save();
 
+    // Closes the variant's ledger history with whatever stock it still held
+    await recordStockChanges(product, stockBefore, {
+      reason: "variant_update",
+      adminId: req.admin.id,
+    });
+
     res.json({
       success: true,
       message: "Variant deleted successfully",
-      data: product,
+      data: withUnitPricing(product),
     });
   } catch (error) {
     console.error("Delete variant error:", error);
@@ -846,13 +1494,18 @@ router.delete("/:id/variants/:variantId", async (req, res) => {
 
 /**
  * @route   PATCH /api/products/:id/variants/:variantId/stock
- * @desc    Update only stock quantity for a variant
+ * @desc    Update only stock quantity for a variant — either the new count
+ *          (`stock`) or a signed change (`delta`, e.g. -3 for damaged packs).
+ *          Recorded in the inventory ledger with `reason` and `note`.
+ * @body    { stock | delta, reason?: manual_adjustment|damage|return, note? }
  * @access  Private
  */
-router.patch("/:id/variants/:variantId/stock", async (req, res) => {
+router.patch("/:id/variants/:variantId/stock", canWriteCatalog, async (req, res) => {
   try {
     const { id, variantId } = req.params;
-    const { stock } = req.body;
+    const { reason = "manual_adjustment", note } = req.body;
+    const stock = req.body.stock === undefined ? undefined : Number(req.body.stock);
+    const delta = req.body.delta === undefined ? undefined : Number(req.body.delta);
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({
@@ -861,10 +1514,21 @@ router.patch("/:id/variants/:variantId/stock", async (req, res) => {
       });
     }
 
-    if (stock === undefined || stock < 0) {
+    if (
+      (stock === undefined) === (delta === undefined) ||
+      (stock !== undefined && !(Number.isInteger(stock) && stock >= 0)) ||
+      (delta !== undefined && !(Number.isInteger(delta) && delta !== 0))
+    ) {
       return res.status(400).json({
         success: false,
-        message: "Valid stock quantity is required",
+        message: "Provide either a valid stock quantity or a non-zero whole delta",
+      });
+    }
+
+    if (!ADJUSTMENT_REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `Reason must be one of: ${ADJUSTMENT_REASONS.join(", ")}`,
       });
     }
 
@@ -886,8 +1550,30 @@ router.patch("/:id/variants/:variantId/stock", async (req, res) => {
       });
     }
 
-    variant.stock = stock;
+    if (variant.batchTracked || isBundleVariant(variant)) {
+      return res.status(400).json({
+        success: false,
+        message: variant.batchTracked ? BATCH_STOCK_MESSAGE : BUNDLE_STOCK_MESSAGE,
+      });
+    }
+
+    const newStock = stock !== undefined ? stock : variant.stock + delta;
+
+    if (newStock < 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot remove ${-delta}, only ${variant.stock} in stock`,
+      });
+    }
+
+    const stockBefore = snapshotStock(product);
+    variant.stock = newStock;
     await product.save();
+    await recordStockChanges(product, stockBefore, {
+      reason,
+      adminId: req.admin.id,
+      note,
+    });
 
     res.json({
       success: true,
@@ -908,4 +1594,515 @@ router.patch("/:id/variants/:variantId/stock", async (req, res) => {
   }
 });
 
+/* ================= LIFECYCLE ================= */
+
+/** Loads the product for a lifecycle route, or answers 400/404 itself */
+const findProductOr404 = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      message: "Invalid product ID format",
+    });
+    return null;
+  }
+
+  const product = await Product.findById(req.params.id);
+  if (!product) {
+    res.status(404).json({
+      success: false,
+      message: "Product not found",
+    });
+  }
+  return product;
+};
+
+const LIFECYCLE_MESSAGES = {
+  submit: "Product submitted for review",
+  reject: "Product sent back to draft",
+  publish: "Product published",
+  archive: "Product archived",
+  restore: "Product restored to draft",
+};
+
+/**
+ * @route   POST /api/products/:id/submit    draft → in review
+ * @route   POST /api/products/:id/reject    in review → draft, body { note? }      (approver)
+ * @route   POST /api/products/:id/publish   → published, body { publishAt?, unpublishAt? } (approver)
+ * @route   POST /api/products/:id/archive   → archived
+ * @route   POST /api/products/:id/restore   archived → draft
+ * @access  Private (Admin)
+ */
+for (const action of Object.keys(TRANSITIONS)) {
+  const guard = ["publish", "reject"].includes(action) ? canPublishCatalog : canWriteCatalog;
+
+  router.post(`/:id/${action}`, guard, async (req, res) => {
+    try {
+      const product = await findProductOr404(req, res);
+      if (!product) return;
+
+      let schedule;
+      if (action === "publish" && (req.body.publishAt || req.body.unpublishAt)) {
+        const { window, error } = parseSchedule(req.body);
+        if (error) {
+          return res.status(400).json({ success: false, message: error });
+        }
+        schedule = window;
+      }
+
+      const { error } = await transition(product, action, {
+        adminId: req.admin.id,
+        note: req.body.note,
+        schedule,
+      });
+      if (error) {
+        return res.status(400).json({ success: false, message: error });
+      }
+
+      res.json({
+        success: true,
+        message: LIFECYCLE_MESSAGES[action],
+        data: product,
+      });
+    } catch (error) {
+      console.error(`Product ${action} error:`, error);
+      res.status(500).json({
+        success: false,
+        message: `Failed to ${action} product`,
+        error: error.message,
+      });
+    }
+  });
+}
+
+/**
+ * @route   PUT /api/products/:id/schedule
+ * @body    { publishAt?, unpublishAt? } — null clears a bound
+ * @desc    Set when a product appears and disappears, e.g. Diwali sweets
+ * @access  Private (Approver)
+ */
+router.put("/:id/schedule", canPublishCatalog, async (req, res) => {
+  try {
+    const product = await findProductOr404(req, res);
+    if (!product) return;
+
+    const { window, error } = parseSchedule(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+
+    // Legacy products join the workflow here so the window applies to them
+    product.status = statusOf(product);
+    Object.assign(product, window);
+    await product.save();
+
+    res.json({
+      success: true,
+      message: "Schedule updated",
+      data: product,
+    });
+  } catch (error) {
+    console.error("Update product schedule error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update schedule",
+      error: error.message,
+    });
+  }
+});
+
+/* ================= REVISIONS ================= */
+
+/**
+ * @route   GET /api/products/:id/revisions
+ * @desc    Revisions of a product, newest first
+ * @access  Private (Admin)
+ */
+router.get("/:id/revisions", canWriteCatalog, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid product ID format",
+      });
+    }
+
+    const revisions = await ProductRevision.find({ product: req.params.id })
+      .sort({ createdAt: -1 })
+      .populate("submittedBy", "name email")
+      .populate("reviewedBy", "name email")
+      .lean();
+
+    res.json({ success: true, data: revisions });
+  } catch (error) {
+    console.error("Get product revisions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch revisions",
+      error: error.message,
+    });
+  }
+});
+
+/** Loads a pending revision of :id, or answers 400/404 itself */
+const findPendingRevisionOr404 = async (req, res) => {
+  const { id, revisionId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(revisionId)) {
+    res.status(400).json({
+      success: false,
+      message: "Invalid product or revision ID format",
+    });
+    return null;
+  }
+
+  const revision = await ProductRevision.findOne({
+    _id: revisionId,
+    product: id,
+    status: "pending",
+  });
+  if (!revision) {
+    res.status(404).json({
+      success: false,
+      message: "No pending revision found",
+    });
+  }
+  return revision;
+};
+
+/**
+ * @route   POST /api/products/:id/revisions/:revisionId/publish
+ * @desc    Apply a pending revision to the live product. Stock is not part of
+ *          a revision — existing variants keep their current stock.
+ * @access  Private (Approver)
+ */
+router.post("/:id/revisions/:revisionId/publish", canPublishCatalog, async (req, res) => {
+  try {
+    const revision = await findPendingRevisionOr404(req, res);
+    if (!revision) return;
+
+    const existingProduct = await Product.findById(revision.product);
+    if (!existingProduct) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    const changes = { ...revision.changes };
+    if (Array.isArray(changes.variants)) {
+      const currentStock = snapshotStock(existingProduct);
+      changes.variants = changes.variants.map((variant) =>
+        variant._id && currentStock.has(String(variant._id))
+          ? { ...variant, stock: currentStock.get(String(variant._id)) }
+          : variant,
+      );
+    }
+
+    const { updateData, error } = await prepareProductUpdate(existingProduct, changes);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Revision can no longer be applied: ${error}`,
+      });
+    }
+
+    const updatedProduct = await applyProductUpdate(existingProduct, updateData, req.admin.id);
+
+    revision.status = "published";
+    revision.reviewedBy = req.admin.id;
+    revision.reviewedAt = new Date();
+    await revision.save();
+
+    res.json({
+      success: true,
+      message: "Revision published",
+      data: withUnitPricing(updatedProduct),
+    });
+  } catch (error) {
+    console.error("Publish revision error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to publish revision",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/products/:id/revisions/:revisionId/reject
+ * @body    { note? }
+ * @access  Private (Approver)
+ */
+router.post("/:id/revisions/:revisionId/reject", canPublishCatalog, async (req, res) => {
+  try {
+    const revision = await findPendingRevisionOr404(req, res);
+    if (!revision) return;
+
+    revision.status = "rejected";
+    revision.reviewedBy = req.admin.id;
+    revision.reviewedAt = new Date();
+    revision.reviewNote = req.body.note || null;
+    await revision.save();
+
+    res.json({
+      success: true,
+      message: "Revision rejected",
+      data: revision,
+    });
+  } catch (error) {
+    console.error("Reject revision error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reject revision",
+      error: error.message,
+    });
+  }
+});
+
+/* ================= PRICE HISTORY & SCHEDULED PRICES ================= */
+
+/** Loads product + variant for the price routes, or answers 400/404 itself */
+const findVariantOr404 = async (req, res) => {
+  const { id, variantId } = req.params;
+
+  if (
+    !mongoose.Types.ObjectId.isValid(id) ||
+    !mongoose.Types.ObjectId.isValid(variantId)
+  ) {
+    res.status(400).json({
+      success: false,
+      message: "Invalid product or variant ID format",
+    });
+    return null;
+  }
+
+  const product = await Product.findById(id);
+  const variant = product?.variants.id(variantId);
+
+  if (!variant) {
+    res.status(404).json({
+      success: false,
+      message: product ? "Variant not found" : "Product not found",
+    });
+    return null;
+  }
+
+  return { product, variant };
+};
+
+/**
+ * @route   GET /api/products/:id/variants/:variantId/price-history?at=&page=&limit=
+ * @desc    Price/MRP changes for a variant, newest first. With `at` (a date),
+ *          returns only the entry that was in effect then.
+ * @access  Private (Admin)
+ */
+router.get("/:id/variants/:variantId/price-history", canWriteCatalog, async (req, res) => {
+  try {
+    const found = await findVariantOr404(req, res);
+    if (!found) return;
+    const { product, variant } = found;
+
+    if (req.query.at) {
+      const at = new Date(req.query.at);
+      if (Number.isNaN(at.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid date for at",
+        });
+      }
+
+      return res.json({
+        success: true,
+        data: await priceAt(product._id, variant._id, at),
+      });
+    }
+
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const filter = { product: product._id, variantId: variant._id };
+
+    const [history, total] = await Promise.all([
+      PriceHistory.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate("changedBy", "name email")
+        .lean(),
+      PriceHistory.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: history,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get price history error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch price history",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   GET /api/products/:id/variants/:variantId/scheduled-prices
+ * @desc    Scheduled price changes for a variant (all statuses), soonest first
+ * @access  Private (Admin)
+ */
+router.get("/:id/variants/:variantId/scheduled-prices", canWriteCatalog, async (req, res) => {
+  try {
+    const found = await findVariantOr404(req, res);
+    if (!found) return;
+
+    const changes = await ScheduledPriceChange.find({
+      product: found.product._id,
+      variantId: found.variant._id,
+    })
+      .sort({ effectiveAt: 1 })
+      .populate("createdBy", "name email")
+      .lean();
+
+    res.json({ success: true, data: changes });
+  } catch (error) {
+    console.error("Get scheduled prices error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch scheduled prices",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /api/products/:id/variants/:variantId/scheduled-prices
+ * @body    { price?, mrp?, effectiveAt, note? } — at least one of price / mrp
+ * @access  Private (Admin; approvers only on published products)
+ */
+router.post("/:id/variants/:variantId/scheduled-prices", canWriteCatalog, async (req, res) => {
+  try {
+    const { price, mrp, effectiveAt, note } = req.body;
+
+    const found = await findVariantOr404(req, res);
+    if (!found) return;
+    const { product, variant } = found;
+
+    // Applied straight onto the product when due, so it's a live edit too
+    if (liveVariantEditBlocked(req, product)) {
+      return res.status(403).json({
+        success: false,
+        message: LIVE_VARIANT_MESSAGE,
+      });
+    }
+
+    if (price === undefined && mrp === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Price or MRP is required",
+      });
+    }
+
+    for (const [field, value] of Object.entries({ price, mrp })) {
+      if (value !== undefined && !(typeof value === "number" && value >= 0)) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be a non-negative number`,
+        });
+      }
+    }
+
+    const when = new Date(effectiveAt);
+    if (!effectiveAt || Number.isNaN(when.getTime()) || when <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "effectiveAt must be a future date",
+      });
+    }
+
+    if ((price ?? variant.price) > (mrp ?? variant.mrp)) {
+      return res.status(400).json({
+        success: false,
+        message: "Price cannot exceed MRP",
+      });
+    }
+
+    const change = await ScheduledPriceChange.create({
+      product: product._id,
+      variantId: variant._id,
+      price,
+      mrp,
+      effectiveAt: when,
+      note,
+      createdBy: req.admin.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Price change scheduled",
+      data: change,
+    });
+  } catch (error) {
+    console.error("Schedule price error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to schedule price change",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/products/:id/variants/:variantId/scheduled-prices/:changeId
+ * @desc    Cancel a pending scheduled price change
+ * @access  Private (Admin)
+ */
+router.delete(
+  "/:id/variants/:variantId/scheduled-prices/:changeId",
+  canWriteCatalog,
+  async (req, res) => {
+    try {
+      const { id, variantId, changeId } = req.params;
+
+      if (!mongoose.Types.ObjectId.isValid(changeId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid scheduled change ID format",
+        });
+      }
+
+      const change = await ScheduledPriceChange.findOneAndUpdate(
+        { _id: changeId, product: id, variantId, status: "pending" },
+        { $set: { status: "cancelled", cancelledBy: req.admin.id } },
+        { new: true },
+      );
+
+      if (!change) {
+        return res.status(404).json({
+          success: false,
+          message: "No pending scheduled change found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Scheduled price change cancelled",
+        data: change,
+      });
+    } catch (error) {
+      console.error("Cancel scheduled price error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to cancel scheduled price change",
+        error: error.message,
+      });
+    }
+  },
+);
+
 module.exports = router;
@@ -4,6 +4,11 @@ const Review = require("../models/Review"); // Adjust path as needed
 const Product = require("../models/Product"); // Adjust path as needed
 const Order = require("../models/Orders"); // Adjust path as needed
 const mongoose = require("mongoose");
+const requireUser = require("../middleware/userMiddleware");
+const { requirePermission } = require("../middleware/permissionMiddleware");
+const { PERMISSIONS } = require("../config/adminRoles");
+
+const canModerateReviews = requirePermission(PERMISSIONS.REVIEWS_MODERATE);
 
 /* ================= HELPER FUNCTIONS ================= */
 
@@ -278,15 +283,16 @@ router.get("/:id", async (req, res) => {
  * @desc    Create a new review
  * @access  Private
  */
-router.post("/", async (req, res) => {
+router.post("/", requireUser, async (req, res) => {
   try {
-    const { userId, productId, rating, comment } = req.body;
+    const userId = req.user._id;
+    const { productId, rating, comment } = req.body;
 
     // Validation
-    if (!userId || !productId || !rating) {
+    if (!productId || !rating) {
       return res.status(400).json({
         success: false,
-        message: "User ID, Product ID, and Rating are required",
+        message: "Product ID and Rating are required",
       });
     }
 
@@ -379,10 +385,10 @@ router.post("/", async (req, res) => {
  * @desc    Update review
  * @access  Private
  */
-router.put("/:id", async (req, res) => {
+router.put("/:id", requireUser, async (req, res) => {
   try {
     const { id } = req.params;
-    const { userId, rating, comment } = req.body;
+    const { rating, comment } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({
@@ -401,7 +407,7 @@ router.put("/:id", async (req, res) => {
     }
 
     // Verify user owns this review
-    if (userId && review.user.toString() !== userId) {
+    if (!review.user.equals(req.user._id)) {
       return res.status(403).json({
         success: false,
         message: "Unauthorized to update this review",
@@ -455,10 +461,9 @@ router.put("/:id", async (req, res) => {
  * @desc    Soft delete review (set isActive to false)
  * @access  Private
  */
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requireUser, async (req, res) => {
   try {
     const { id } = req.params;
-    const { userId } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({
@@ -477,7 +482,7 @@ router.delete("/:id", async (req, res) => {
     }
 
     // Verify user owns this review
-    if (userId && review.user.toString() !== userId) {
+    if (!review.user.equals(req.user._id)) {
       return res.status(403).json({
         success: false,
         message: "Unauthorized to delete this review",
@@ -512,7 +517,7 @@ router.delete("/:id", async (req, res) => {
  * @desc    Permanently delete review
  * @access  Private (Admin)
  */
-router.delete("/:id/permanent", async (req, res) => {
+router.delete("/:id/permanent", canModerateReviews, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -557,17 +562,10 @@ router.delete("/:id/permanent", async (req, res) => {
  * @desc    Check if user can review a product
  * @access  Private
  */
-router.get("/can-review/:productId", async (req, res) => {
+router.get("/can-review/:productId", requireUser, async (req, res) => {
   try {
     const { productId } = req.params;
-    const { userId } = req.query;
-
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        message: "User ID is required",
-      });
-    }
+    const userId = req.user._id;
 
     if (!mongoose.Types.ObjectId.isValid(productId)) {
       return res.status(400).json({
@@ -676,7 +674,7 @@ router.get("/user/:userId", async (req, res) => {
  * @desc    Toggle review active status (Admin)
  * @access  Private (Admin)
  */
-router.patch("/:id/toggle-active", async (req, res) => {
+router.patch("/:id/toggle-active", canModerateReviews, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -787,7 +785,7 @@ router.get("/stats/overall", async (req, res) => {
  * @desc    Bulk activate reviews
  * @access  Private (Admin)
  */
-router.post("/bulk/activate", async (req, res) => {
+router.post("/bulk/activate", canModerateReviews, async (req, res) => {
   try {
     const { reviewIds } = req.body;
 
@@ -833,7 +831,7 @@ router.post("/bulk/activate", async (req, res) => {
  * @desc    Bulk deactivate reviews
  * @access  Private (Admin)
  */
-router.post("/bulk/deactivate", async (req, res) => {
+router.post("/bulk/deactivate", canModerateReviews, async (req, res) => {
   try {
     const { reviewIds } = req.body;
 
@@ -0,0 +1,162 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const SearchSynonym = require("../models/SearchSynonym");
+const { requirePermission } = require("../middleware/permissionMiddleware");
+const { PERMISSIONS } = require("../config/adminRoles");
+const { invalidateSynonymCache } = require("../utils/productSearch");
+
+const canWriteCatalog = requirePermission(PERMISSIONS.CATALOG_WRITE);
+
+/** Trims, lowercases and de-duplicates the submitted terms */
+const cleanTerms = (terms) =>
+  Array.isArray(terms)
+    ? [...new Set(terms.map((t) => String(t || "").trim().toLowerCase()).filter(Boolean))]
+    : [];
+
+/**
+ * @route   GET /search-synonyms
+ * @desc    List synonym groups used by product search
+ * @access  Private (Admin)
+ */
+router.get("/", canWriteCatalog, async (req, res) => {
+  try {
+    const synonyms = await SearchSynonym.find().sort({ updatedAt: -1 }).lean();
+    res.json({ success: true, data: synonyms });
+  } catch (error) {
+    console.error("Get search synonyms error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch search synonyms",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   POST /search-synonyms
+ * @body    { terms: string[], isActive? }  e.g. { terms: ["curd", "dahi", "yogurt"] }
+ * @access  Private (Admin)
+ */
+router.post("/", canWriteCatalog, async (req, res) => {
+  try {
+    const terms = cleanTerms(req.body.terms);
+
+    if (terms.length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: "At least two distinct terms are required",
+      });
+    }
+
+    const synonym = await SearchSynonym.create({
+      terms,
+      isActive: req.body.isActive !== false,
+      createdBy: req.admin.id,
+      updatedBy: req.admin.id,
+    });
+    invalidateSynonymCache();
+
+    res.status(201).json({
+      success: true,
+      message: "Synonym group created",
+      data: synonym,
+    });
+  } catch (error) {
+    console.error("Create search synonym error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create search synonym",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   PUT /search-synonyms/:id
+ * @body    { terms?, isActive? }
+ * @access  Private (Admin)
+ */
+router.put("/:id", canWriteCatalog, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid synonym ID format" });
+    }
+
+    const synonym = await SearchSynonym.findById(id);
+    if (!synonym) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Synonym group not found" });
+    }
+
+    if (req.body.terms !== undefined) {
+      const terms = cleanTerms(req.body.terms);
+      if (terms.length < 2) {
+        return res.status(400).json({
+          success: false,
+          message: "At least two distinct terms are required",
+        });
+      }
+      synonym.terms = terms;
+    }
+
+    if (req.body.isActive !== undefined) {
+      synonym.isActive = Boolean(req.body.isActive);
+    }
+
+    synonym.updatedBy = req.admin.id;
+    await synonym.save();
+    invalidateSynonymCache();
+
+    res.json({
+      success: true,
+      message: "Synonym group updated",
+      data: synonym,
+    });
+  } catch (error) {
+    console.error("Update search synonym error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update search synonym",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * @route   DELETE /search-synonyms/:id
+ * @access  Private (Admin)
+ */
+router.delete("/:id", canWriteCatalog, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid synonym ID format" });
+    }
+
+    const synonym = await SearchSynonym.findByIdAndDelete(id);
+    if (!synonym) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Synonym group not found" });
+    }
+    invalidateSynonymCache();
+
+    res.json({ success: true, message: "Synonym group deleted" });
+  } catch (error) {
+    console.error("Delete search synonym error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete search synonym",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
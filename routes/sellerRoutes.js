@@ -2,6 +2,10 @@ const express = require("express");
 const mongoose = require("mongoose");
 const router = express.Router();
 const Seller = require("../models/Seller");
+const { requirePermission } = require("../middleware/permissionMiddleware");
+const { PERMISSIONS } = require("../config/adminRoles");
+
+const canWriteCatalog = requirePermission(PERMISSIONS.CATALOG_WRITE);
 
 router.get("/", async (req, res) => {
   try {
@@ -80,7 +84,7 @@ router.get("/:id", async (req, res) => {
   }
 });
 
-router.post("/", async (req, res) => {
+router.post("/", canWriteCatalog, async (req, res) => {
   try {
     const { name, code, phone, email, location, isActive } = req.body;
 
@@ -114,7 +118,7 @@ router.post("/", async (req, res) => {
   }
 });
 
-router.put("/:id", async (req, res) => {
+router.put("/:id", canWriteCatalog, async (req, res) => {
   try {
     const { id } = req.params;
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -0,0 +1,34 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const Product = require("../models/Product");
+const { buildSearchTerms, SEARCH_SOURCE_FIELDS } = require("../utils/searchText");
+
+/**
+ * Fills Product.searchTerms for products created before relevance search
+ * existed. Safe to re-run.
+ */
+async function backfillProductSearch() {
+  await connectDB();
+  await Product.createIndexes();
+
+  const products = await Product.find({}).select(SEARCH_SOURCE_FIELDS.join(" ")).lean();
+
+  for (const product of products) {
+    await Product.updateOne(
+      { _id: product._id },
+      { $set: { searchTerms: buildSearchTerms(product) } },
+    );
+  }
+
+  console.log("Product search backfill complete");
+  console.log("Products updated:", products.length);
+
+  await mongoose.connection.close();
+}
+
+backfillProductSearch().catch(async (error) => {
+  console.error("Product search backfill failed:", error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
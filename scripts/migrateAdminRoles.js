@@ -0,0 +1,30 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const Admin = require("../models/Admin");
+const { ROLES } = require("../config/adminRoles");
+
+/**
+ * Gives admins created before roles existed an explicit role. They had full
+ * access, so they become super admins rather than falling back to the schema
+ * default (support) and losing it. Run once, before deploying the role checks.
+ */
+async function migrateAdminRoles() {
+  await connectDB();
+
+  const result = await Admin.updateMany(
+    { $or: [{ role: { $exists: false } }, { role: null }] },
+    { $set: { role: ROLES.SUPER_ADMIN } },
+  );
+
+  console.log("Admin roles migration complete");
+  console.log("Made super admin:", result.modifiedCount);
+
+  await mongoose.connection.close();
+}
+
+migrateAdminRoles().catch(async (error) => {
+  console.error("Admin roles migration failed:", error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
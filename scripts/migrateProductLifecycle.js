@@ -0,0 +1,34 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const Product = require("../models/Product");
+
+/**
+ * Gives products created before the draft/review workflow a status: live ones
+ * become "published", deactivated ones "archived". Visibility doesn't change.
+ */
+async function migrateProductLifecycle() {
+  await connectDB();
+
+  const published = await Product.updateMany(
+    { status: { $exists: false }, isActive: true },
+    { $set: { status: "published", publishedAt: new Date() } },
+  );
+
+  const archived = await Product.updateMany(
+    { status: { $exists: false }, isActive: { $ne: true } },
+    { $set: { status: "archived" } },
+  );
+
+  console.log("Product lifecycle migration complete");
+  console.log("Published:", published.modifiedCount);
+  console.log("Archived:", archived.modifiedCount);
+
+  await mongoose.connection.close();
+}
+
+migrateProductLifecycle().catch(async (error) => {
+  console.error("Product lifecycle migration failed:", error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,57 @@
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const User = require("../models/User");
+const PushDevice = require("../models/PushDevice");
+
+/**
+ * Moves the legacy single User.pushToken into the PushDevice collection.
+ * The schema no longer declares those fields, so they are read off the raw collection.
+ */
+async function migratePushDevices() {
+  await connectDB();
+
+  const cursor = User.collection.find(
+    { pushToken: { $exists: true, $nin: [null, ""] } },
+    { projection: { pushToken: 1, pushPlatform: 1, pushTokenUpdatedAt: 1 } },
+  );
+
+  let migratedCount = 0;
+
+  for await (const user of cursor) {
+    const platform = ["ios", "android", "web"].includes(user.pushPlatform)
+      ? user.pushPlatform
+      : "unknown";
+
+    await PushDevice.updateOne(
+      { token: String(user.pushToken).trim() },
+      {
+        $setOnInsert: {
+          user: user._id,
+          platform,
+          lastSeenAt: user.pushTokenUpdatedAt || new Date(),
+        },
+      },
+      { upsert: true },
+    );
+
+    migratedCount += 1;
+  }
+
+  const cleanup = await User.collection.updateMany(
+    {},
+    { $unset: { pushToken: "", pushPlatform: "", pushTokenUpdatedAt: "" } },
+  );
+
+  console.log("Push device migration complete");
+  console.log("Tokens migrated:", migratedCount);
+  console.log("Users cleaned up:", cleanup.modifiedCount);
+
+  await mongoose.connection.close();
+}
+
+migratePushDevices().catch(async (error) => {
+  console.error("Push device migration failed:", error);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,134 @@
+/**
+ * Customer data rights (DPDP) — personal data export and account anonymization.
+ *
+ * Orders and payments are retained for accounting; only the personal details
+ * on them are scrubbed.
+ */
+
+const User = require("../models/User");
+const Address = require("../models/Address");
+const Order = require("../models/Orders");
+const Payment = require("../models/Payment");
+const Review = require("../models/Review");
+const Cart = require("../models/Cart");
+const PushDevice = require("../models/PushDevice");
+const { revokeAllUserSessions } = require("./userTokens");
+
+const DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+/** Orders in these states block a deletion request until they finish */
+const OPEN_ORDER_STATUSES = ["placed", "confirmed", "packed", "out_for_delivery"];
+
+/**
+ * Everything tied to a customer, as plain JSON. Internal auth state (OTP
+ * codes, provider references, lockout counters) is left out.
+ */
+async function buildUserDataExport(userId) {
+  const [user, addresses, orders, payments, reviews, carts, pushDevices] = await Promise.all([
+    User.findById(userId)
+      .select("-otp -otpSessionId -otpProvider -otpAttempts -otpLockedUntil -otpLockoutCount")
+      .lean(),
+    Address.find({ user: userId }).lean(),
+    Order.find({ user: userId }).sort({ createdAt: -1 }).lean(),
+    Payment.find({ user: userId }).select("-gateway.signature").sort({ createdAt: -1 }).lean(),
+    Review.find({ user: userId }).populate("product", "name slug").lean(),
+    Cart.find({ user: userId }).lean(),
+    PushDevice.find({ user: userId }).select("platform appVersion lastSeenAt createdAt").lean(),
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    user,
+    addresses,
+    orders,
+    payments,
+    reviews,
+    carts,
+    pushDevices,
+  };
+}
+
+async function hasOpenOrders(userId) {
+  return Boolean(await Order.exists({ user: userId, status: { $in: OPEN_ORDER_STATUSES } }));
+}
+
+/**
+ * Scrubs PII for one user. Safe to call twice — an already anonymized user is skipped.
+ * @returns {Promise<boolean>} true if the user was anonymized by this call
+ */
+async function anonymizeUser(userId) {
+  const now = new Date();
+
+  const user = await User.findOneAndUpdate(
+    { _id: userId, "deletion.anonymizedAt": null },
+    {
+      $set: {
+        name: "Deleted User",
+        phone: `deleted:${userId}`,
+        status: "deleted",
+        isPhoneVerified: false,
+        otp: null,
+        otpSessionId: null,
+        otpProvider: null,
+        otpExpiresAt: null,
+        "deletion.anonymizedAt": now,
+      },
+      $unset: {
+        profileImage: "",
+        dob: "",
+        phoneChange: "",
+      },
+    },
+    { new: true },
+  );
+
+  if (!user) return false;
+
+  await Promise.all([
+    Order.updateMany(
+      { user: userId },
+      {
+        $unset: {
+          "address.snapshot.name": "",
+          "address.snapshot.phone": "",
+          "address.snapshot.addressLine": "",
+          "address.snapshot.landmark": "",
+          notes: "",
+        },
+      },
+    ),
+    // Gateway ids stay for reconciliation; the raw response carries contact/email
+    Payment.updateMany({ user: userId }, { $unset: { "gateway.response": "", notes: "" } }),
+    Address.deleteMany({ user: userId }),
+    Cart.deleteMany({ user: userId }),
+    PushDevice.deleteMany({ user: userId }),
+    revokeAllUserSessions(userId),
+  ]);
+
+  return true;
+}
+
+/** Scheduler job — anonymizes every account whose grace period has passed */
+async function processDueAccountDeletions() {
+  const due = await User.find({
+    "deletion.scheduledFor": { $ne: null, $lte: new Date() },
+    "deletion.anonymizedAt": null,
+  })
+    .select("_id")
+    .lean();
+
+  for (const { _id } of due) {
+    if (await hasOpenOrders(_id)) continue;
+    if (await anonymizeUser(_id)) {
+      console.log(`Account ${_id} anonymized after deletion grace period`);
+    }
+  }
+}
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  buildUserDataExport,
+  hasOpenOrders,
+  anonymizeUser,
+  processDueAccountDeletions,
+};
@@ -0,0 +1,76 @@
+/**
+ * Admin JWTs and one-time tokens (invite setup, password reset).
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+const ADMIN_TOKEN_TTL = process.env.ADMIN_TOKEN_TTL || "1d";
+
+/**
+ * The token carries tokenVersion; adminAuth rejects it once the admin's
+ * version moves on (password change, deactivation).
+ */
+function signAdminToken(admin) {
+  return jwt.sign(
+    { id: admin._id, ver: admin.tokenVersion || 0 },
+    process.env.JWT_SECRET,
+    { expiresIn: ADMIN_TOKEN_TTL },
+  );
+}
+
+/**
+ * Short-lived, restricted token used between login steps:
+ *   "2fa_challenge" — password accepted, TOTP still owed (POST /login/2fa)
+ *   "2fa_setup"     — 2FA is mandatory and the admin must enroll first
+ * adminAuth rejects scoped tokens everywhere except where explicitly allowed.
+ */
+function signScopedAdminToken(admin, scope, expiresIn) {
+  return jwt.sign(
+    { id: admin._id, ver: admin.tokenVersion || 0, scope },
+    process.env.JWT_SECRET,
+    { expiresIn },
+  );
+}
+
+function verifyScopedAdminToken(token, scope) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.scope !== scope) {
+    throw new Error("Unexpected token scope");
+  }
+  return decoded;
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/** Ten single-use recovery codes, formatted xxxxx-xxxxx */
+function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+/**
+ * @param {number} ttlMinutes
+ * @returns {{ token: string, hash: string, expiresAt: Date }} only the hash is persisted
+ */
+function createOneTimeToken(ttlMinutes) {
+  const token = crypto.randomBytes(32).toString("hex");
+  return {
+    token,
+    hash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+  };
+}
+
+module.exports = {
+  signAdminToken,
+  signScopedAdminToken,
+  verifyScopedAdminToken,
+  hashToken,
+  createOneTimeToken,
+  generateRecoveryCodes,
+};
@@ -0,0 +1,143 @@
+/**
+ * Second-factor checks shared by the login step and the 2FA management routes.
+ */
+
+const Admin = require("../models/Admin");
+const { verifyCode } = require("./totp");
+const { hashToken } = require("./adminTokens");
+
+const TWO_FACTOR_SECRET_FIELDS = "+twoFactor.secret +twoFactor.recoveryCodeHashes";
+const MAX_TWO_FACTOR_ATTEMPTS = 5;
+
+/** First lockout after MAX_TWO_FACTOR_ATTEMPTS wrong codes; each consecutive one doubles, up to the max */
+const LOCKOUT_BASE_SECONDS = 15 * 60;
+const LOCKOUT_MAX_SECONDS = 24 * 60 * 60;
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+
+/** @returns {number|null} seconds until the admin may try a second factor again */
+function twoFactorRetryAfter(admin) {
+  const lockedUntil = admin.twoFactor?.lockedUntil;
+  return lockedUntil && new Date(lockedUntil) > new Date() ? secondsUntil(lockedUntil) : null;
+}
+
+/**
+ * Takes one attempt from the admin's budget before a code is checked — an
+ * atomic increment, so parallel guesses can't share one.
+ * @returns {Promise<{ attempt: number } | { retryAfter: number }>}
+ */
+async function claimAttempt(admin) {
+  const claimed = await Admin.findOneAndUpdate(
+    {
+      _id: admin._id,
+      "twoFactor.lockedUntil": { $not: { $gt: new Date() } },
+      "twoFactor.failedAttempts": { $lt: MAX_TWO_FACTOR_ATTEMPTS },
+    },
+    { $inc: { "twoFactor.failedAttempts": 1 } },
+    { new: true, projection: "twoFactor.failedAttempts" },
+  ).lean();
+  if (claimed) return { attempt: claimed.twoFactor.failedAttempts };
+
+  // Locked, or the last attempt is still being checked by another request
+  const current = await Admin.findById(admin._id).select("twoFactor.lockedUntil").lean();
+  return { retryAfter: twoFactorRetryAfter(current) || LOCKOUT_BASE_SECONDS };
+}
+
+/**
+ * The request holding the last attempt locks the second step, for a period
+ * that doubles with each consecutive lockout, and hands out a fresh budget
+ * for when it ends.
+ * @returns {Promise<number|null>} retry-after seconds when this failure locked the account
+ */
+async function registerFailedAttempt(admin, attempt) {
+  if (attempt < MAX_TWO_FACTOR_ATTEMPTS) return null;
+
+  // Only one request ever claims the last attempt, so this write has no rival
+  const lockoutCount = (admin.twoFactor.lockoutCount || 0) + 1;
+  const seconds = Math.min(LOCKOUT_BASE_SECONDS * 2 ** (lockoutCount - 1), LOCKOUT_MAX_SECONDS);
+  await Admin.updateOne(
+    { _id: admin._id },
+    {
+      $set: {
+        "twoFactor.lockedUntil": new Date(Date.now() + seconds * 1000),
+        "twoFactor.lockoutCount": lockoutCount,
+        "twoFactor.failedAttempts": 0,
+      },
+    },
+  );
+  return seconds;
+}
+
+/** Called after a successful second factor — clears attempts and backoff */
+function clearTwoFactorLockout(admin) {
+  admin.twoFactor.failedAttempts = 0;
+  admin.twoFactor.lockedUntil = null;
+  admin.twoFactor.lockoutCount = 0;
+  // The claimed attempt was counted in the database, not on this copy
+  admin.markModified("twoFactor.failedAttempts");
+}
+
+/**
+ * Checks a code or recovery code against the admin's attempt budget. Attempts
+ * carry over between logins and across routes, so neither a correct password
+ * nor a stolen session buys fresh guesses; every MAX_TWO_FACTOR_ATTEMPTS
+ * wrong codes lock the second factor. On success `admin` is changed in
+ * memory (attempts cleared, code consumed) and the caller must save it.
+ *
+ * @returns {Promise<{ method: "totp"|"recovery"|null, retryAfter?: number }>}
+ *          retryAfter is set when the second factor is locked
+ */
+async function attemptSecondFactor(admin, credentials) {
+  const claim = await claimAttempt(admin);
+  if (claim.retryAfter) return { method: null, retryAfter: claim.retryAfter };
+
+  const method = verifyAdminSecondFactor(admin, credentials);
+  if (method) {
+    clearTwoFactorLockout(admin);
+    return { method };
+  }
+
+  const retryAfter = await registerFailedAttempt(admin, claim.attempt);
+  return retryAfter ? { method: null, retryAfter } : { method: null };
+}
+
+/**
+ * Checks a TOTP code or a recovery code against an admin loaded with
+ * TWO_FACTOR_SECRET_FIELDS. On success the admin document is updated
+ * (replay step recorded / recovery code consumed) — the caller must save it.
+ *
+ * @returns {"totp" | "recovery" | null}
+ */
+function verifyAdminSecondFactor(admin, { code, recoveryCode }) {
+  const tf = admin.twoFactor;
+  if (!tf?.enabled) return null;
+
+  if (code) {
+    const step = verifyCode(tf.secret, code, { afterStep: tf.lastUsedStep || 0 });
+    if (step !== null) {
+      tf.lastUsedStep = step;
+      return "totp";
+    }
+    return null;
+  }
+
+  if (recoveryCode) {
+    const hash = hashToken(String(recoveryCode).trim().toLowerCase());
+    const idx = (tf.recoveryCodeHashes || []).indexOf(hash);
+    if (idx !== -1) {
+      tf.recoveryCodeHashes.splice(idx, 1);
+      return "recovery";
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  TWO_FACTOR_SECRET_FIELDS,
+  MAX_TWO_FACTOR_ATTEMPTS,
+  verifyAdminSecondFactor,
+  twoFactorRetryAfter,
+  attemptSecondFactor,
+  clearTwoFactorLockout,
+};
@@ -0,0 +1,253 @@
+/**
+ * Bundle products (combo packs, kits).
+ *
+ * A bundle's variants list component variants of other products and how many
+ * of each one unit contains. A bundle holds no stock of its own: its `stock`
+ * is the number of complete kits the components make up, kept current by
+ * syncBundleStock() whenever a component's stock moves, and orders take stock
+ * from the components instead (stockLines()).
+ *
+ * MRP is always the components' total. Price is either fixed by an admin or,
+ * with `bundleDiscount`, that % off the components' current prices.
+ */
+
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const isBundleVariant = (variant) => Boolean(variant?.components?.length);
+
+/** @returns {Promise<Map<string, { product, variant }>>} component variant id → its product and variant */
+async function loadComponents(components) {
+  const variantIds = components.map((component) => component.variantId);
+  const products = await Product.find({ "variants._id": { $in: variantIds } })
+    .select("name type isActive variants")
+    .lean();
+
+  const byVariant = new Map();
+  for (const product of products) {
+    for (const variant of product.variants || []) {
+      byVariant.set(String(variant._id), { product, variant });
+    }
+  }
+  return byVariant;
+}
+
+/** Complete kits the components' stock makes up */
+function kitsInStock(components, byVariant) {
+  return Math.min(
+    ...components.map((component) => {
+      const stock = byVariant.get(String(component.variantId))?.variant.stock || 0;
+      return Math.floor(stock / component.quantity);
+    }),
+  );
+}
+
+/** MRP and price a bundle variant gets from its components */
+function bundlePrices(variant, byVariant) {
+  let mrp = 0;
+  let componentPrice = 0;
+  for (const component of variant.components) {
+    const { variant: componentVariant } = byVariant.get(String(component.variantId));
+    mrp += componentVariant.mrp * component.quantity;
+    componentPrice += componentVariant.price * component.quantity;
+  }
+
+  const price =
+    variant.bundleDiscount != null
+      ? round2(componentPrice * (1 - variant.bundleDiscount / 100))
+      : variant.price;
+
+  return { mrp: round2(mrp), price };
+}
+
+/**
+ * Validates a bundle product's variants and fills in what derives from their
+ * components: component snapshots, MRP, stock and, for discounted bundles,
+ * price. Variants are changed in place.
+ *
+ * @param {Object[]} variants variant payloads
+ * @param {string} [productId] the bundle itself, which can't be its own component
+ * @returns {Promise<string|null>} error message, or null if valid
+ */
+async function prepareBundleVariants(variants, productId = null) {
+  for (const variant of variants) {
+    const components = variant.components;
+    if (!Array.isArray(components) || !components.length) {
+      return "Every bundle variant needs at least one component";
+    }
+
+    const seen = new Set();
+    for (const component of components) {
+      if (!mongoose.isValidObjectId(component?.variantId)) {
+        return "Each component needs a valid variantId";
+      }
+      if (!Number.isInteger(component.quantity) || component.quantity < 1) {
+        return "Component quantity must be a whole number of at least 1";
+      }
+      if (seen.has(String(component.variantId))) {
+        return "A variant can only appear once in a bundle; raise its quantity instead";
+      }
+      seen.add(String(component.variantId));
+    }
+
+    const byVariant = await loadComponents(components);
+    for (const component of components) {
+      const found = byVariant.get(String(component.variantId));
+      if (!found) {
+        return `Component variant ${component.variantId} not found`;
+      }
+      if (productId && String(found.product._id) === String(productId)) {
+        return "A bundle can't contain itself";
+      }
+      if (found.product.type === "bundle") {
+        return `${found.product.name} is itself a bundle; list its components instead`;
+      }
+    }
+
+    if (variant.bundleDiscount != null) {
+      if (typeof variant.bundleDiscount !== "number" || variant.bundleDiscount < 0 || variant.bundleDiscount > 100) {
+        return "bundleDiscount must be a percentage between 0 and 100";
+      }
+    } else if (typeof variant.price !== "number" || variant.price < 0) {
+      return "Bundle variants need a price or a bundleDiscount";
+    }
+
+    variant.components = components.map((component) => {
+      const { product, variant: componentVariant } = byVariant.get(String(component.variantId));
+      return {
+        product: product._id,
+        variantId: componentVariant._id,
+        quantity: component.quantity,
+        productName: product.name,
+        sku: componentVariant.sku,
+        packSize: componentVariant.packSize,
+        packUnit: componentVariant.packUnit,
+      };
+    });
+
+    const { mrp, price } = bundlePrices(variant, byVariant);
+    if (price > mrp) {
+      return `Bundle price ₹${price} exceeds its components' total MRP ₹${mrp}`;
+    }
+
+    Object.assign(variant, {
+      mrp,
+      price,
+      stock: kitsInStock(variant.components, byVariant),
+      packSize: variant.packSize || 1,
+      packUnit: variant.packUnit || "pcs",
+      batchTracked: false,
+      variableWeight: false,
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Re-derives a bundle's MRP and discounted prices from its components' current
+ * prices. A fixed price above the new MRP is kept, with MRP raised to match.
+ *
+ * @param {Object} product bundle product document
+ * @returns {Promise<boolean>} whether any variant's prices changed
+ */
+async function repriceBundle(product) {
+  const bundleVariants = product.variants.filter(isBundleVariant);
+  const byVariant = await loadComponents(bundleVariants.flatMap((variant) => variant.components));
+
+  let changed = false;
+  for (const variant of bundleVariants) {
+    if (variant.components.some((component) => !byVariant.has(String(component.variantId)))) continue;
+
+    const { mrp, price } = bundlePrices(variant, byVariant);
+    const nextMrp = Math.max(mrp, price);
+    if (price === variant.price && nextMrp === variant.mrp) continue;
+
+    variant.price = price;
+    variant.mrp = nextMrp;
+    changed = true;
+  }
+  return changed;
+}
+
+/**
+ * Recomputes the stock of every bundle containing any of `variantIds`.
+ * @returns {Promise<number>} bundle variants updated
+ */
+async function syncBundleStock(variantIds) {
+  const ids = [...new Set(variantIds.map(String))].map((id) => new mongoose.Types.ObjectId(id));
+  if (!ids.length) return 0;
+
+  const bundles = await Product.find({ type: "bundle", "variants.components.variantId": { $in: ids } })
+    .select("variants._id variants.stock variants.components")
+    .lean();
+  if (!bundles.length) return 0;
+
+  const bundleVariants = bundles.flatMap((bundle) =>
+    bundle.variants.filter(isBundleVariant).map((variant) => ({ bundle, variant })),
+  );
+  const byVariant = await loadComponents(bundleVariants.flatMap(({ variant }) => variant.components));
+
+  const ops = [];
+  for (const { bundle, variant } of bundleVariants) {
+    const stock = kitsInStock(variant.components, byVariant);
+    if (stock === variant.stock) continue;
+
+    ops.push({
+      updateOne: {
+        filter: { _id: bundle._id, "variants._id": variant._id },
+        update: { $set: { "variants.$.stock": stock } },
+      },
+    });
+  }
+
+  if (ops.length) await Product.bulkWrite(ops);
+  return ops.length;
+}
+
+/**
+ * A bundle listing any of `variantIds` as a component. Such variants can't be
+ * removed: the bundle would be left pointing at a component that's gone.
+ * @returns {Promise<{ _id, name } | null>}
+ */
+async function bundleUsing(variantIds) {
+  if (!variantIds.length) return null;
+  return Product.findOne({
+    type: "bundle",
+    "variants.components.variantId": { $in: variantIds },
+  })
+    .select("name")
+    .lean();
+}
+
+/**
+ * The variants an order or cart item takes stock from: the item itself, or
+ * for a bundle one line per component with the quantity scaled up. `snapshot`
+ * is the subdocument the line's batch allocation belongs on.
+ *
+ * @returns {Array<{ line: { product, variantId, sku, quantity }, snapshot: Object }>}
+ */
+function stockLines(item) {
+  if (!isBundleVariant(item)) return [{ line: item, snapshot: item }];
+
+  return item.components.map((component) => ({
+    line: {
+      product: component.product,
+      variantId: component.variantId,
+      sku: component.sku,
+      quantity: component.quantity * item.quantity,
+    },
+    snapshot: component,
+  }));
+}
+
+module.exports = {
+  isBundleVariant,
+  prepareBundleVariants,
+  repriceBundle,
+  syncBundleStock,
+  bundleUsing,
+  stockLines,
+};
@@ -0,0 +1,182 @@
+/**
+ * Category hierarchy helpers.
+ *
+ * Each category stores its `parent` plus the full root → parent chain in
+ * `ancestors`, so a subtree is one indexed query ({ ancestors: id }) and
+ * breadcrumbs need no recursion. Moves rewrite the chain of every descendant.
+ */
+
+const mongoose = require("mongoose");
+const Category = require("../models/Category");
+
+/** Levels allowed, e.g. 3 → "Grains > Rice > Basmati" */
+const MAX_CATEGORY_DEPTH = 3;
+
+/** @returns {Promise<mongoose.Types.ObjectId[]>} ids of every category below `categoryId` */
+async function getDescendantIds(categoryId) {
+  return Category.find({ ancestors: categoryId }).distinct("_id");
+}
+
+/** @returns {Promise<mongoose.Types.ObjectId[]>} the category itself and everything below it */
+async function getSubtreeIds(categoryId) {
+  const id = new mongoose.Types.ObjectId(String(categoryId));
+  return [id, ...(await getDescendantIds(id))];
+}
+
+/** Levels below `category` (0 for a leaf) */
+async function subtreeHeight(category) {
+  const [deepest] = await Category.find({ ancestors: category._id })
+    .sort({ depth: -1 })
+    .limit(1)
+    .select("depth")
+    .lean();
+  return deepest ? deepest.depth - (category.depth || 0) : 0;
+}
+
+/**
+ * Works out where a category would sit under `parentId` (null = top level).
+ * Rejects unknown parents, cycles and trees deeper than MAX_CATEGORY_DEPTH.
+ *
+ * @param {string|null} parentId
+ * @param {Object} [category] existing category being moved (omit when creating)
+ * @returns {Promise<{ placement?: { parent, ancestors, depth }, error?: string }>}
+ */
+async function resolvePlacement(parentId, category = null) {
+  if (!parentId) {
+    const height = category ? await subtreeHeight(category) : 0;
+    if (height + 1 > MAX_CATEGORY_DEPTH) {
+      return { error: `Categories can be at most ${MAX_CATEGORY_DEPTH} levels deep` };
+    }
+    return { placement: { parent: null, ancestors: [], depth: 0 } };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(parentId)) {
+    return { error: "Invalid parent category ID format" };
+  }
+
+  const parent = await Category.findById(parentId).select("ancestors depth").lean();
+  if (!parent) {
+    return { error: "Parent category not found" };
+  }
+
+  if (category) {
+    const id = String(category._id);
+    if (String(parent._id) === id || (parent.ancestors || []).some((a) => String(a) === id)) {
+      return { error: "A category cannot be moved under itself or one of its subcategories" };
+    }
+  }
+
+  const depth = (parent.depth || 0) + 1;
+  const height = category ? await subtreeHeight(category) : 0;
+  if (depth + height + 1 > MAX_CATEGORY_DEPTH) {
+    return { error: `Categories can be at most ${MAX_CATEGORY_DEPTH} levels deep` };
+  }
+
+  return {
+    placement: {
+      parent: parent._id,
+      ancestors: [...(parent.ancestors || []), parent._id],
+      depth,
+    },
+  };
+}
+
+/**
+ * After `category` got a new placement, rewrites ancestors/depth of everything
+ * below it. Call once the category itself is saved.
+ */
+async function updateDescendantPaths(category) {
+  const descendants = await Category.find({ ancestors: category._id })
+    .select("ancestors")
+    .lean();
+  if (!descendants.length) return;
+
+  const prefix = [...category.ancestors, category._id];
+  await Category.bulkWrite(
+    descendants.map((d) => {
+      const below = d.ancestors.slice(d.ancestors.findIndex((a) => a.equals(category._id)) + 1);
+      const ancestors = [...prefix, ...below];
+      return {
+        updateOne: {
+          filter: { _id: d._id },
+          update: { $set: { ancestors, depth: ancestors.length } },
+        },
+      };
+    }),
+  );
+}
+
+/**
+ * Nests a flat category list. Categories whose parent isn't in the list
+ * (e.g. filtered out as inactive) are dropped together with their subtree.
+ */
+function buildTree(categories) {
+  const byParent = new Map();
+  for (const category of categories) {
+    const key = category.parent ? String(category.parent) : "root";
+    if (!byParent.has(key)) byParent.set(key, []);
+    byParent.get(key).push(category);
+  }
+
+  const attach = (key) =>
+    (byParent.get(key) || [])
+      .sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0) || a.name.localeCompare(b.name))
+      .map((category) => ({ ...category, children: attach(String(category._id)) }));
+
+  return attach("root");
+}
+
+/**
+ * @param {Array} categoryIds
+ * @returns {Promise<Map<string, Object[]>>} category id → [{ _id, name, slug }] from the root down to it
+ */
+async function getBreadcrumbs(categoryIds) {
+  const ids = [...new Set(categoryIds.filter(Boolean).map(String))];
+  if (!ids.length) return new Map();
+
+  const categories = await Category.find({ _id: { $in: ids } })
+    .select("ancestors")
+    .lean();
+  const allIds = new Set(ids);
+  categories.forEach((c) => (c.ancestors || []).forEach((a) => allIds.add(String(a))));
+
+  const named = await Category.find({ _id: { $in: [...allIds] } })
+    .select("name slug")
+    .lean();
+  const byId = new Map(named.map((c) => [String(c._id), c]));
+
+  return new Map(
+    categories.map((c) => [
+      String(c._id),
+      [...(c.ancestors || []), c._id]
+        .map((id) => byId.get(String(id)))
+        .filter(Boolean)
+        .map(({ _id, name, slug }) => ({ _id, name, slug })),
+    ]),
+  );
+}
+
+/**
+ * Adds `breadcrumbs` to lean products (category populated or not).
+ * @returns {Promise<Object[]>} the same products
+ */
+async function attachBreadcrumbs(products) {
+  const categoryId = (p) => p.category?._id || p.category;
+  const crumbs = await getBreadcrumbs(products.map(categoryId));
+
+  for (const product of products) {
+    product.breadcrumbs = crumbs.get(String(categoryId(product))) || [];
+  }
+  return products;
+}
+
+module.exports = {
+  MAX_CATEGORY_DEPTH,
+  getDescendantIds,
+  getSubtreeIds,
+  resolvePlacement,
+  updateDescendantPaths,
+  buildTree,
+  getBreadcrumbs,
+  attachBreadcrumbs,
+};
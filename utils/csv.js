@@ -0,0 +1,114 @@
+/**
+ * Minimal RFC 4180 CSV reading/writing — enough for spreadsheet round trips
+ * (Excel, Google Sheets, LibreOffice "Save as CSV").
+ */
+
+const BOM = "\uFEFF";
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * @param {string|Buffer} input
+ * @returns {string[][]} rows of raw cell strings (blank lines dropped)
+ */
+function parseCsv(input) {
+  const text = String(input).replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) throw new Error("Unterminated quoted field");
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+/**
+ * Parses CSV with a header row into objects keyed by header name.
+ * `line` is the 1-based spreadsheet row number, for error reports.
+ */
+function parseCsvObjects(input) {
+  const [header = [], ...rows] = parseCsv(input);
+  const keys = header.map((h) => h.trim());
+
+  return rows.map((cells, index) => {
+    const record = { line: index + 2 };
+    keys.forEach((key, i) => {
+      if (key) record[key] = unescapeCell((cells[i] ?? "").trim());
+    });
+    return record;
+  });
+}
+
+/** Reverses the formula guard added by toCsv */
+function unescapeCell(value) {
+  return value.startsWith("'") && FORMULA_START.test(value.slice(1)) ? value.slice(1) : value;
+}
+
+function escapeCell(value) {
+  if (value === undefined || value === null) return "";
+  let text = String(value);
+  // Negative numbers are safe; anything else that looks like a formula is quoted out
+  if (FORMULA_START.test(text) && !/^-\d/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** BOM and header line, for writing a CSV a chunk at a time */
+const csvHeader = (columns) => `${BOM}${columns.map(escapeCell).join(",")}\r\n`;
+
+/** One CRLF-terminated line for `record` */
+const csvRow = (columns, record) =>
+  `${columns.map((column) => escapeCell(record[column])).join(",")}\r\n`;
+
+/**
+ * @param {string[]} columns header row (and key order)
+ * @param {Object[]} records
+ * @returns {string} CSV with a BOM and CRLF line endings so Excel reads UTF-8 correctly
+ */
+function toCsv(columns, records) {
+  return csvHeader(columns) + records.map((record) => csvRow(columns, record)).join("");
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvObjects,
+  toCsv,
+  csvHeader,
+  csvRow,
+};
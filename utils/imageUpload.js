@@ -0,0 +1,207 @@
+/**
+ * Image upload pipeline: validate → resize into renditions → store → record.
+ *
+ * Every upload is re-encoded as WebP in three sizes, stored side by side:
+ *   <folder>/<imageId>/original.webp   longest side ≤ 1600px
+ *   <folder>/<imageId>/medium.webp     ≤ 800px
+ *   <folder>/<imageId>/thumbnail.webp  ≤ 200px
+ * so clients holding any one URL can swap the file name for another size.
+ * Re-encoding also drops EXIF data (GPS etc.) from customer photos.
+ */
+
+const mongoose = require("mongoose");
+const sharp = require("sharp");
+const Image = require("../models/Image");
+const Product = require("../models/Product");
+const Category = require("../models/Category");
+const Banner = require("../models/Banner");
+const User = require("../models/User");
+const Order = require("../models/Orders");
+const Cart = require("../models/Cart");
+const Notification = require("../models/Notification");
+const ProductRevision = require("../models/ProductRevision");
+const { getStorage } = require("./storage");
+const { cleanupGraceHours } = require("../config/storage");
+
+const RENDITIONS = {
+  original: 1600,
+  medium: 800,
+  thumbnail: 200,
+};
+
+const ALLOWED_FORMATS = ["jpeg", "png", "webp"];
+const MIN_DIMENSION = 100;
+// Guards against decompression bombs — a 5MB PNG can expand to gigabytes
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+const CLEANUP_BATCH = 200;
+
+/**
+ * @returns {Promise<{ metadata?: Object, error?: string }>}
+ */
+async function validateImage(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch {
+    return { error: "File is not a readable image" };
+  }
+
+  if (!ALLOWED_FORMATS.includes(metadata.format)) {
+    return { error: `Unsupported image format (allowed: ${ALLOWED_FORMATS.join(", ")})` };
+  }
+  if (metadata.width * metadata.height > MAX_INPUT_PIXELS) {
+    return { error: "Image dimensions are too large" };
+  }
+  if (Math.min(metadata.width, metadata.height) < MIN_DIMENSION) {
+    return { error: `Image must be at least ${MIN_DIMENSION}px on each side` };
+  }
+
+  return { metadata };
+}
+
+const renderRendition = (buffer, size) =>
+  sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+    .rotate() // apply EXIF orientation before it is stripped
+    .resize({ width: size, height: size, fit: "inside", withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer({ resolveWithObject: true });
+
+/**
+ * Stores a validated image. Call validateImage first.
+ *
+ * @param {Buffer} buffer
+ * @param {{ folder: string, adminId?: string, userId?: string }} options
+ * @returns {Promise<Object>} the saved Image document
+ */
+async function storeImage(buffer, { folder, adminId, userId }) {
+  const storage = getStorage();
+  const id = new mongoose.Types.ObjectId();
+
+  const rendered = {};
+  for (const [name, size] of Object.entries(RENDITIONS)) {
+    rendered[name] = await renderRendition(buffer, size);
+  }
+
+  const keys = {};
+  const urls = {};
+  try {
+    for (const [name, { data }] of Object.entries(rendered)) {
+      const key = `${folder}/${id}/${name}.webp`;
+      urls[name] = await storage.put(key, data, "image/webp");
+      keys[name] = key;
+    }
+  } catch (error) {
+    await storage.remove(Object.values(keys)).catch(() => {});
+    throw error;
+  }
+
+  return Image.create({
+    _id: id,
+    folder,
+    driver: storage.name,
+    keys,
+    urls,
+    width: rendered.original.info.width,
+    height: rendered.original.info.height,
+    bytes: Object.values(rendered).reduce((sum, r) => sum + r.info.size, 0),
+    uploadedByAdmin: adminId,
+    uploadedByUser: userId,
+  });
+}
+
+/** API shape for an Image document */
+const formatImage = (image) => ({
+  _id: image._id,
+  url: image.urls.original,
+  medium: image.urls.medium,
+  thumbnail: image.urls.thumbnail,
+  width: image.width,
+  height: image.height,
+});
+
+/* ================= CLEANUP ================= */
+
+/**
+ * Every place an image URL can be saved, with an optional filter on the
+ * documents that count — a pending revision's images go live when it is published.
+ */
+const REFERENCES = [
+  [Product, "image"],
+  [Product, "images"],
+  [Category, "image"],
+  [Banner, "image"],
+  [User, "profileImage"],
+  [Order, "items.image"],
+  [Cart, "items.image"],
+  [Notification, "imageUrl"],
+  [ProductRevision, "changes.image", { status: "pending" }],
+  [ProductRevision, "changes.images", { status: "pending" }],
+];
+
+async function referencedUrls(urls) {
+  const found = await Promise.all(
+    REFERENCES.map(([Model, field, filter = {}]) =>
+      Model.distinct(field, { ...filter, [field]: { $in: urls } }),
+    ),
+  );
+  return new Set(found.flat());
+}
+
+/**
+ * Deletes images (files and rows) that nothing references and that are older
+ * than the grace period.
+ *
+ * @param {{ dryRun?: boolean }} options
+ * @returns {Promise<{ checked: number, removed: number, failed: number }>}
+ */
+async function cleanupUnreferencedImages({ dryRun = false } = {}) {
+  const cutoff = new Date(Date.now() - cleanupGraceHours * 60 * 60 * 1000);
+  const result = { checked: 0, removed: 0, failed: 0 };
+  let lastId = null;
+
+  for (;;) {
+    const images = await Image.find({
+      createdAt: { $lt: cutoff },
+      ...(lastId ? { _id: { $gt: lastId } } : {}),
+    })
+      .sort({ _id: 1 })
+      .limit(CLEANUP_BATCH)
+      .lean();
+    if (!images.length) break;
+    lastId = images[images.length - 1]._id;
+    result.checked += images.length;
+
+    const referenced = await referencedUrls(images.flatMap((img) => Object.values(img.urls)));
+    const unused = images.filter(
+      (img) => !Object.values(img.urls).some((url) => referenced.has(url)),
+    );
+
+    for (const image of unused) {
+      if (dryRun) {
+        result.removed += 1;
+        continue;
+      }
+      try {
+        await getStorage(image.driver).remove(Object.values(image.keys));
+        await Image.deleteOne({ _id: image._id });
+        result.removed += 1;
+      } catch (error) {
+        result.failed += 1;
+        console.error(`Image cleanup failed for ${image._id}:`, error.message);
+      }
+    }
+  }
+
+  if (result.removed && !dryRun) {
+    console.log(`Image cleanup: removed ${result.removed} unreferenced images`);
+  }
+  return result;
+}
+
+module.exports = {
+  validateImage,
+  storeImage,
+  formatImage,
+  cleanupUnreferencedImages,
+};
@@ -0,0 +1,251 @@
+/**
+ * Inventory ledger.
+ *
+ * Orders move stock with moveStock(), which applies the $inc and writes the
+ * movement in one go. Admin edits that save the whole product snapshot stock
+ * first and call recordStockChanges() after saving, like price history.
+ * reconcileInventory() replays the ledger against current variant stock.
+ *
+ * Both then run afterStockChange() — except inside a transaction, where the
+ * caller runs it once it has committed.
+ *
+ * Bundle variants hold no stock of their own (see bundles.js), so they have
+ * no movements and are left out of reconciliation.
+ */
+
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const InventoryMovement = require("../models/InventoryMovement");
+const { checkStockThresholds } = require("./stockAlerts");
+const { isBundleVariant, syncBundleStock, stockLines } = require("./bundles");
+
+/** Reasons an admin may give for a manual stock change */
+const ADJUSTMENT_REASONS = ["manual_adjustment", "damage", "return"];
+
+/**
+ * Low-stock alerts and the stock of bundles built from the changed variants.
+ * Runs in the background: neither holds up (or fails) the stock change itself.
+ *
+ * @param {Array<{ product, variantId }>} items order items (bundles count as
+ *        their components), ledger rows, …
+ */
+function afterStockChange(items) {
+  const lines = items.flatMap((item) => stockLines(item).map(({ line }) => line));
+
+  checkStockThresholds(lines).catch((error) => console.error("Stock alert check error:", error));
+  syncBundleStock(lines.map((line) => line.variantId)).catch((error) =>
+    console.error("Bundle stock sync error:", error),
+  );
+}
+
+/**
+ * Changes one variant's stock by `delta` and records the movement.
+ *
+ * @param {{ product, variantId, sku? }} item order/cart item
+ * @param {{ delta: number, reason: string, order?, adminId?, userId?, note?, session? }} options
+ * @returns {Promise<number|null>} resulting stock, or null if the variant no longer exists
+ */
+async function moveStock(item, { delta, reason, order = null, adminId = null, userId = null, note, session = null }) {
+  const product = await Product.findOneAndUpdate(
+    { _id: item.product, "variants._id": item.variantId },
+    { $inc: { "variants.$.stock": delta } },
+    {
+      new: true,
+      session,
+      projection: { variants: { $elemMatch: { _id: item.variantId } } },
+    },
+  ).lean();
+
+  const variant = product?.variants?.[0];
+  if (!variant) return null;
+
+  await InventoryMovement.create(
+    [
+      {
+        product: product._id,
+        variantId: variant._id,
+        sku: variant.sku,
+        delta,
+        balance: variant.stock,
+        reason,
+        order,
+        admin: adminId,
+        user: userId,
+        note,
+      },
+    ],
+    { session },
+  );
+
+  if (!session) afterStockChange([item]);
+  return variant.stock;
+}
+
+/** @returns {Map<string, number>} variant id → stock */
+function snapshotStock(product) {
+  return new Map((product?.variants || []).map((v) => [String(v._id), v.stock]));
+}
+
+/**
+ * Appends movements for variants whose stock differs from `before`. Variants
+ * not in `before` are new and get an "initial" movement even at zero stock,
+ * so every variant has a history to reconcile against; variants in `before`
+ * that the edit removed get a "removed" movement taking them to zero.
+ *
+ * @param {Object} product saved product (document or lean)
+ * @param {Map} before from snapshotStock, taken before the edit
+ * @param {{ reason: string, adminId?: string, note?: string }} options
+ * @returns {Promise<number>} movements written
+ */
+async function recordStockChanges(product, before, { reason, adminId = null, note }) {
+  const rows = [];
+
+  for (const variant of product.variants || []) {
+    if (isBundleVariant(variant)) continue;
+    const stock = variant.stock || 0;
+    const key = String(variant._id);
+    if (before.has(key) && before.get(key) === stock) continue;
+
+    rows.push({
+      product: product._id,
+      variantId: variant._id,
+      sku: variant.sku,
+      delta: before.has(key) ? stock - (before.get(key) || 0) : stock,
+      balance: stock,
+      reason: before.has(key) ? reason : "initial",
+      admin: adminId,
+      note,
+    });
+  }
+
+  // Bundle products only ever have bundle variants, which hold no stock
+  if (product.type !== "bundle") {
+    const remaining = new Set((product.variants || []).map((variant) => String(variant._id)));
+    for (const [key, stock] of before) {
+      if (remaining.has(key)) continue;
+      rows.push({
+        product: product._id,
+        variantId: key,
+        delta: -(stock || 0),
+        balance: 0,
+        reason: "removed",
+        admin: adminId,
+        note,
+      });
+    }
+  }
+
+  if (!rows.length) return 0;
+  await InventoryMovement.insertMany(rows);
+
+  afterStockChange(rows);
+  return rows.length;
+}
+
+/**
+ * Replays the ledger and compares it with current stock.
+ *
+ * Each movement's balance should equal the previous balance plus its delta; a
+ * mismatch is a `gap` (stock changed between the two without a movement). The
+ * last balance should equal the variant's stock; otherwise it has `drift`.
+ *
+ * @param {{ productId?: string }} [options] limit to one product
+ * @returns {Promise<{ checkedVariants: number, drifted: Object[], untracked: Object[] }>}
+ */
+async function reconcileInventory({ productId } = {}) {
+  const match = productId ? { product: new mongoose.Types.ObjectId(String(productId)) } : {};
+
+  const ledger = await InventoryMovement.aggregate([
+    { $match: match },
+    {
+      $setWindowFields: {
+        partitionBy: { product: "$product", variantId: "$variantId" },
+        sortBy: { createdAt: 1, _id: 1 },
+        output: { previousBalance: { $shift: { output: "$balance", by: -1, default: null } } },
+      },
+    },
+    { $sort: { createdAt: 1, _id: 1 } },
+    {
+      $group: {
+        _id: { product: "$product", variantId: "$variantId" },
+        movements: { $sum: 1 },
+        ledgerBalance: { $last: "$balance" },
+        lastMovementAt: { $last: "$createdAt" },
+        gaps: {
+          $push: {
+            $cond: [
+              {
+                $and: [
+                  { $ne: ["$previousBalance", null] },
+                  { $ne: ["$balance", { $add: ["$previousBalance", "$delta"] }] },
+                ],
+              },
+              {
+                movementId: "$_id",
+                at: "$createdAt",
+                expected: { $add: ["$previousBalance", "$delta"] },
+                balance: "$balance",
+              },
+              "$$REMOVE",
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  const byVariant = new Map(
+    ledger.map((entry) => [`${entry._id.product}:${entry._id.variantId}`, entry]),
+  );
+
+  const products = await Product.find(productId ? { _id: productId } : {})
+    .select("name variants._id variants.sku variants.stock variants.components")
+    .lean();
+
+  const drifted = [];
+  const untracked = [];
+  let checkedVariants = 0;
+
+  for (const product of products) {
+    for (const variant of product.variants || []) {
+      if (isBundleVariant(variant)) continue;
+      checkedVariants += 1;
+      const base = {
+        productId: product._id,
+        productName: product.name,
+        variantId: variant._id,
+        sku: variant.sku,
+        stock: variant.stock,
+      };
+
+      const entry = byVariant.get(`${product._id}:${variant._id}`);
+      if (!entry) {
+        untracked.push(base);
+        continue;
+      }
+
+      const drift = variant.stock - entry.ledgerBalance;
+      if (drift === 0 && entry.gaps.length === 0) continue;
+
+      drifted.push({
+        ...base,
+        ledgerBalance: entry.ledgerBalance,
+        drift,
+        movements: entry.movements,
+        lastMovementAt: entry.lastMovementAt,
+        gaps: entry.gaps.map((gap) => ({ ...gap, unexplained: gap.balance - gap.expected })),
+      });
+    }
+  }
+
+  return { checkedVariants, drifted, untracked };
+}
+
+module.exports = {
+  ADJUSTMENT_REASONS,
+  moveStock,
+  afterStockChange,
+  snapshotStock,
+  recordStockChanges,
+  reconcileInventory,
+};
@@ -0,0 +1,29 @@
+const fs = require("fs");
+const { console: config } = require("../../config/otpProviders");
+
+/**
+ * Local provider for development and offline testing — logs the code (and
+ * optionally appends it to OTP_CONSOLE_FILE) instead of sending an SMS.
+ * Never delivers in production.
+ */
+
+async function send(normalizedPhone) {
+  const otp = Math.floor(100000 + Math.random() * 900000).toString();
+
+  console.log(`[OTP] ${normalizedPhone}: ${otp}`);
+
+  if (config.file) {
+    await fs.promises.appendFile(
+      config.file,
+      `${new Date().toISOString()} ${normalizedPhone} ${otp}\n`,
+    );
+  }
+
+  return { otp };
+}
+
+module.exports = {
+  name: "console",
+  isConfigured: () => process.env.NODE_ENV !== "production",
+  send,
+};
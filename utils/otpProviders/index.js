@@ -0,0 +1,88 @@
+/**
+ * OTP provider layer.
+ *
+ * A provider is { name, isConfigured(), send(phone), verify?({ phone, reference, code }) }.
+ * send() resolves to either:
+ *   { otp }        — we generated the code; it is stored on the user and compared locally
+ *   { reference }  — the provider owns the code; verify() checks it remotely
+ *
+ * Order and failover come from config/otpProviders.js.
+ */
+
+const { providerOrder } = require("../../config/otpProviders");
+const twoFactor = require("./twoFactor");
+const twilioVerify = require("./twilioVerify");
+const consoleProvider = require("./consoleProvider");
+
+const PROVIDERS = {
+  [twoFactor.name]: twoFactor,
+  [twilioVerify.name]: twilioVerify,
+  [consoleProvider.name]: consoleProvider,
+};
+
+const normalizeCode = (entered) =>
+  String(entered ?? "").replace(/\D/g, "").slice(0, 6);
+
+/**
+ * Tries each configured provider in order until one accepts the send.
+ * @returns {Promise<{ provider: string, otp: string | null, reference: string | null }>}
+ */
+async function sendOtp(normalizedPhone) {
+  let lastError = null;
+
+  for (const name of providerOrder) {
+    const provider = PROVIDERS[name];
+    if (!provider) {
+      console.warn(`Unknown OTP provider "${name}" in config — skipped`);
+      continue;
+    }
+    if (!provider.isConfigured()) continue;
+
+    try {
+      const result = await provider.send(normalizedPhone);
+      return {
+        provider: provider.name,
+        otp: result.otp || null,
+        reference: result.reference || null,
+      };
+    } catch (err) {
+      lastError = err;
+      console.warn(
+        `OTP provider "${name}" failed:`,
+        err.response?.data || err.message || err,
+      );
+    }
+  }
+
+  throw lastError || new Error(
+    `No configured OTP provider (tried: ${providerOrder.join(", ")})`,
+  );
+}
+
+/**
+ * Checks the code a user typed against their current challenge. Challenges
+ * created before providers were recorded are treated as 2Factor.
+ */
+async function verifyOtp(user, entered) {
+  const code = normalizeCode(entered);
+  if (!code) return false;
+
+  if (user.otpSessionId) {
+    const provider = PROVIDERS[user.otpProvider || twoFactor.name];
+    if (provider?.verify) {
+      const ok = await provider.verify({
+        phone: user.phone,
+        reference: user.otpSessionId,
+        code,
+      });
+      if (ok) return true;
+    }
+  }
+
+  return code.length === 6 && String(user.otp ?? "") === code;
+}
+
+module.exports = {
+  sendOtp,
+  verifyOtp,
+};
@@ -0,0 +1,47 @@
+const twilio = require("twilio");
+const { twilio: config } = require("../../config/otpProviders");
+
+/**
+ * Twilio Verify — Twilio generates, sends and checks the code; we only keep
+ * the verification SID.
+ */
+
+let client = null;
+
+function getClient() {
+  if (!client) {
+    client = twilio(config.accountSid, config.authToken);
+  }
+  return client;
+}
+
+const service = () => getClient().verify.v2.services(config.verifyServiceSid);
+
+async function send(normalizedPhone) {
+  const verification = await service().verifications.create({
+    to: normalizedPhone,
+    channel: "sms",
+  });
+  return { reference: verification.sid };
+}
+
+async function verify({ phone, code }) {
+  if (!code) return false;
+
+  try {
+    const check = await service().verificationChecks.create({ to: phone, code });
+    return check.status === "approved";
+  } catch (e) {
+    // Twilio answers 404 once the verification has expired or been approved
+    console.warn("Twilio Verify check error:", e.message);
+    return false;
+  }
+}
+
+module.exports = {
+  name: "twilio",
+  isConfigured: () =>
+    Boolean(config.accountSid && config.authToken && config.verifyServiceSid),
+  send,
+  verify,
+};
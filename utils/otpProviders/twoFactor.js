@@ -0,0 +1,76 @@
+const axios = require("axios");
+const { twoFactor: config } = require("../../config/otpProviders");
+
+/**
+ * 2factor.in — try AUTOGEN first (recommended for OTP SMS), then manual OTP URL.
+ */
+
+const apiKey = () => (typeof config.apiKey === "string" ? config.apiKey.trim() : "");
+
+async function send(normalizedPhoneWith91) {
+  const key = apiKey();
+  const tenDigit = normalizedPhoneWith91.replace(/^\+91/, "");
+
+  /**
+   * AUTOGEN: 2Factor generates OTP and sends SMS.
+   * @see https://2factor.in – SMS OTP / AUTOGEN
+   */
+  try {
+    const autogenUrl = `https://2factor.in/API/V1/${key}/SMS/${tenDigit}/AUTOGEN`;
+    const autogenRes = await axios.get(autogenUrl);
+    const sessionId =
+      typeof autogenRes.data?.Details === "string"
+        ? autogenRes.data.Details
+        : "";
+
+    if (autogenRes.data?.Status === "Success" && sessionId) {
+      return { reference: sessionId };
+    }
+    console.warn(
+      "2Factor AUTOGEN non-success:",
+      autogenRes.data || autogenRes.status
+    );
+  } catch (e) {
+    console.warn(
+      "2Factor AUTOGEN failed, trying manual OTP URL:",
+      e.response?.data || e.message || e
+    );
+  }
+
+  /** Manual: we generate OTP — some accounts only support transactional SMS this way */
+  const otp = Math.floor(100000 + Math.random() * 900000).toString();
+  const manualUrl = `https://2factor.in/API/V1/${key}/SMS/${tenDigit}/${otp}`;
+  const response = await axios.get(manualUrl);
+
+  if (response.data?.Status !== "Success") {
+    const detail =
+      response.data?.Details ||
+      JSON.stringify(response.data || {}) ||
+      "2Factor manual OTP send failed";
+    throw new Error(detail);
+  }
+
+  return { otp };
+}
+
+/** Verify OTP typed by user against an AUTOGEN session */
+async function verify({ reference, code }) {
+  const key = apiKey();
+  if (!key || !reference || code.length !== 6) return false;
+
+  try {
+    const url = `https://2factor.in/API/V1/${key}/SMS/VERIFY/${reference}/${code}`;
+    const r = await axios.get(url);
+    return r.data?.Status === "Success";
+  } catch (e) {
+    console.warn("2Factor VERIFY error:", e.response?.data || e.message);
+    return false;
+  }
+}
+
+module.exports = {
+  name: "2factor",
+  isConfigured: () => Boolean(apiKey()),
+  send,
+  verify,
+};
@@ -0,0 +1,195 @@
+/**
+ * OTP abuse protection — send caps, resend cooldown, per-IP throttling and
+ * verify-attempt lockouts. Limits live in config/otpLimits.js (0 disables a cap).
+ *
+ * Every check returns null when allowed, or { error, retryAfter } where
+ * retryAfter is in seconds.
+ *
+ * Counters are claimed atomically before a code is checked — never read,
+ * incremented in memory and saved — so parallel guesses can't share a slot.
+ */
+
+const OtpEvent = require("../models/OtpEvent");
+const User = require("../models/User");
+const limits = require("../config/otpLimits");
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const secondsUntil = (date) =>
+  Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+
+/**
+ * If `max` events already happened inside the window, returns the seconds until
+ * the oldest of them drops out of it; otherwise null.
+ */
+async function windowRetryAfter(kind, filter, max, windowMs) {
+  if (!max) return null;
+
+  const edge = await OtpEvent.findOne({
+    kind,
+    ...filter,
+    createdAt: { $gte: new Date(Date.now() - windowMs) },
+  })
+    .sort({ createdAt: -1 })
+    .skip(max - 1)
+    .select("createdAt")
+    .lean();
+
+  if (!edge) return null;
+  return secondsUntil(edge.createdAt.getTime() + windowMs);
+}
+
+function lockoutRetryAfter(user) {
+  if (user?.otpLockedUntil && new Date(user.otpLockedUntil) > new Date()) {
+    return secondsUntil(user.otpLockedUntil);
+  }
+  return null;
+}
+
+function lockedResponse(retryAfter) {
+  return {
+    error: "Too many incorrect OTP attempts. Please try again later.",
+    retryAfter,
+  };
+}
+
+/**
+ * Checked before any SMS goes out (including forceResend).
+ * `user` may be null for phones that have no account yet.
+ */
+async function checkSendAllowed({ phone, ip, user }) {
+  const locked = lockoutRetryAfter(user);
+  if (locked) return lockedResponse(locked);
+
+  let retryAfter = await windowRetryAfter("send", { ip }, limits.maxSendsPerIpPerHour, HOUR);
+  if (retryAfter) {
+    return { error: "Too many OTP requests from this network. Please try again later.", retryAfter };
+  }
+
+  if (limits.resendCooldownSeconds) {
+    retryAfter = await windowRetryAfter(
+      "send",
+      { phone },
+      1,
+      limits.resendCooldownSeconds * 1000,
+    );
+    if (retryAfter) {
+      return { error: `Please wait ${retryAfter}s before requesting another OTP`, retryAfter };
+    }
+  }
+
+  retryAfter =
+    (await windowRetryAfter("send", { phone }, limits.maxSendsPerPhonePerHour, HOUR)) ||
+    (await windowRetryAfter("send", { phone }, limits.maxSendsPerPhonePerDay, DAY));
+  if (retryAfter) {
+    return { error: "OTP request limit reached for this number. Please try again later.", retryAfter };
+  }
+
+  return null;
+}
+
+/**
+ * Records the verify attempt, then checks the per-IP cap with this attempt
+ * already counted, so concurrent requests can't all slip in under it.
+ */
+async function checkVerifyAllowed({ phone, ip, user }) {
+  const locked = lockoutRetryAfter(user);
+  if (locked) return lockedResponse(locked);
+
+  await recordOtpEvent("verify", { phone, ip });
+
+  const retryAfter = await windowRetryAfter(
+    "verify",
+    { ip },
+    limits.maxVerifiesPerIpPerHour && limits.maxVerifiesPerIpPerHour + 1,
+    HOUR,
+  );
+  if (retryAfter) {
+    return { error: "Too many verification attempts from this network. Please try again later.", retryAfter };
+  }
+
+  return null;
+}
+
+async function recordOtpEvent(kind, { phone, ip, provider = null }) {
+  await OtpEvent.create({ kind, phone, ip, provider });
+}
+
+/**
+ * Takes one of the current challenge's verify attempts before the code is
+ * checked. Fails once the phone is locked or every attempt is taken, including
+ * by requests still in flight.
+ *
+ * @returns {Promise<{ attempt: number } | { error: string, retryAfter: number }>}
+ */
+async function claimVerifyAttempt(user) {
+  const filter = { _id: user._id, otpLockedUntil: { $not: { $gt: new Date() } } };
+  if (limits.maxVerifyAttempts) filter.otpAttempts = { $lt: limits.maxVerifyAttempts };
+
+  const claimed = await User.findOneAndUpdate(
+    filter,
+    { $inc: { otpAttempts: 1 } },
+    { new: true, projection: "otpAttempts" },
+  ).lean();
+  if (claimed) return { attempt: claimed.otpAttempts };
+
+  // Locked, or the last attempt is still being checked by another request
+  const current = await User.findById(user._id).select("otpLockedUntil").lean();
+  return lockedResponse(lockoutRetryAfter(current) || limits.lockoutBaseSeconds);
+}
+
+/**
+ * Called when the code for a claimed attempt was wrong. The request holding the
+ * last attempt discards the challenge and locks the phone, doubling the lockout
+ * each consecutive time; attempts stay used up until the next send.
+ *
+ * @returns {Promise<{ error: string, retryAfter: number } | null>} non-null when now locked
+ */
+async function registerFailedVerify(user, attempt) {
+  if (!limits.maxVerifyAttempts || attempt < limits.maxVerifyAttempts) {
+    return null;
+  }
+
+  // Only one request ever claims the last attempt, so this write has no rival
+  const otpLockoutCount = (user.otpLockoutCount || 0) + 1;
+  const seconds = Math.min(
+    limits.lockoutBaseSeconds * 2 ** (otpLockoutCount - 1),
+    limits.lockoutMaxSeconds,
+  );
+  const otpLockedUntil = new Date(Date.now() + seconds * 1000);
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        otpLockoutCount,
+        otpLockedUntil,
+        otp: null,
+        otpSessionId: null,
+        otpProvider: null,
+        otpExpiresAt: null,
+      },
+    },
+  );
+
+  return lockedResponse(secondsUntil(otpLockedUntil));
+}
+
+/** Called after a successful verify — clears attempt and backoff state */
+function clearOtpLockout(user) {
+  user.otpAttempts = 0;
+  user.otpLockedUntil = null;
+  user.otpLockoutCount = 0;
+  // The claimed attempt was counted in the database, not on this copy
+  user.markModified("otpAttempts");
+}
+
+module.exports = {
+  checkSendAllowed,
+  checkVerifyAllowed,
+  recordOtpEvent,
+  claimVerifyAttempt,
+  registerFailedVerify,
+  clearOtpLockout,
+};
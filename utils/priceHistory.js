@@ -0,0 +1,188 @@
+/**
+ * Variant price history and scheduled price changes.
+ *
+ * Routes snapshot a product's prices before editing it and call
+ * recordPriceChanges() after saving; every changed variant gets a history row
+ * and any cart still holding the old price is flagged for /cart/validate.
+ * Bundles built from a changed variant are repriced (and recorded) in turn.
+ */
+
+const Product = require("../models/Product");
+const Cart = require("../models/Cart");
+const PriceHistory = require("../models/PriceHistory");
+const ScheduledPriceChange = require("../models/ScheduledPriceChange");
+const { repriceBundle } = require("./bundles");
+
+/** @returns {Map<string, { price: number, mrp: number }>} variant id → prices */
+function snapshotPrices(product) {
+  return new Map(
+    (product?.variants || []).map((v) => [String(v._id), { price: v.price, mrp: v.mrp }]),
+  );
+}
+
+/**
+ * Marks active carts that hold `variantId` at a price other than `price`.
+ */
+async function flagCartsForPriceChange(variantId, price) {
+  await Cart.updateMany(
+    {
+      status: "active",
+      items: { $elemMatch: { variantId, unitPrice: { $ne: price } } },
+    },
+    { $set: { needsValidation: true } },
+  );
+}
+
+/**
+ * Appends history rows for variants whose price or MRP differs from `before`
+ * (new variants get their first row).
+ *
+ * @param {Object} product saved product (document or lean)
+ * @param {Map} before from snapshotPrices, taken before the edit
+ * @param {{ source: string, adminId?: string, scheduledChange?: string }} options
+ * @returns {Promise<number>} rows written
+ */
+async function recordPriceChanges(product, before, { source, adminId = null, scheduledChange = null }) {
+  const rows = [];
+
+  for (const variant of product.variants || []) {
+    const previous = before.get(String(variant._id));
+    if (previous && previous.price === variant.price && previous.mrp === variant.mrp) continue;
+
+    rows.push({
+      product: product._id,
+      variantId: variant._id,
+      sku: variant.sku,
+      previousPrice: previous ? previous.price : null,
+      previousMrp: previous ? previous.mrp : null,
+      price: variant.price,
+      mrp: variant.mrp,
+      source: previous ? source : "create",
+      changedBy: adminId,
+      scheduledChange,
+    });
+  }
+
+  if (!rows.length) return 0;
+  await PriceHistory.insertMany(rows);
+
+  await Promise.all(
+    rows
+      .filter((row) => row.previousPrice !== null && row.previousPrice !== row.price)
+      .map((row) => flagCartsForPriceChange(row.variantId, row.price)),
+  );
+
+  // Bundles can't contain bundles, so this goes one level deep
+  const changed = rows.filter((row) => row.previousPrice !== null);
+  if (product.type !== "bundle" && changed.length) {
+    await repriceBundlesContaining(changed.map((row) => row.variantId), adminId);
+  }
+
+  return rows.length;
+}
+
+/** Re-derives the prices of bundles containing `variantIds` after their prices changed */
+async function repriceBundlesContaining(variantIds, adminId) {
+  const bundles = await Product.find({
+    type: "bundle",
+    "variants.components.variantId": { $in: variantIds },
+  });
+
+  for (const bundle of bundles) {
+    const before = snapshotPrices(bundle);
+    if (!(await repriceBundle(bundle))) continue;
+
+    await bundle.save();
+    await recordPriceChanges(bundle, before, { source: "bundle", adminId });
+  }
+}
+
+/**
+ * Price (and MRP) a variant had at a given moment, from its history.
+ * @returns {Promise<Object|null>} the history row in effect, or null if none is that old
+ */
+async function priceAt(productId, variantId, at) {
+  return PriceHistory.findOne({
+    product: productId,
+    variantId,
+    createdAt: { $lte: at },
+  })
+    .sort({ createdAt: -1 })
+    .populate("changedBy", "name email")
+    .lean();
+}
+
+/* ================= SCHEDULED CHANGES ================= */
+
+async function applyScheduledChange(change) {
+  const product = await Product.findById(change.product);
+  const variant = product?.variants.id(change.variantId);
+  if (!variant) {
+    throw new Error("Product or variant no longer exists");
+  }
+
+  const before = snapshotPrices(product);
+  const price = change.price ?? variant.price;
+  const mrp = change.mrp ?? variant.mrp;
+  if (price > mrp) {
+    throw new Error(`Price ₹${price} would exceed MRP ₹${mrp}`);
+  }
+
+  variant.price = price;
+  variant.mrp = mrp;
+  await product.save();
+
+  await recordPriceChanges(product, before, {
+    source: "scheduled",
+    adminId: change.createdBy,
+    scheduledChange: change._id,
+  });
+}
+
+/**
+ * Applies every pending change whose time has come, oldest first. Each change
+ * is claimed before it is applied so overlapping runs can't apply it twice.
+ */
+async function applyDueScheduledPriceChanges() {
+  const due = await ScheduledPriceChange.find({
+    status: "pending",
+    effectiveAt: { $lte: new Date() },
+  })
+    .sort({ effectiveAt: 1 })
+    .select("_id")
+    .lean();
+
+  let applied = 0;
+  for (const { _id } of due) {
+    const change = await ScheduledPriceChange.findOneAndUpdate(
+      { _id, status: "pending" },
+      { $set: { status: "processing" } },
+      { new: true },
+    );
+    if (!change) continue;
+
+    try {
+      await applyScheduledChange(change);
+      change.status = "applied";
+      change.appliedAt = new Date();
+      applied += 1;
+    } catch (error) {
+      change.status = "failed";
+      change.failureReason = error.message;
+      console.error(`Scheduled price change ${change._id} failed:`, error.message);
+    }
+    await change.save();
+  }
+
+  if (applied) {
+    console.log(`Scheduled prices: applied ${applied} price changes`);
+  }
+  return applied;
+}
+
+module.exports = {
+  snapshotPrices,
+  recordPriceChanges,
+  priceAt,
+  applyDueScheduledPriceChanges,
+};
@@ -0,0 +1,60 @@
+/**
+ * Catalog rules shared by the product routes and the CSV import.
+ */
+
+// Generate unique slug from name
+const generateSlug = (name) => {
+  return name
+    .toLowerCase()
+    .trim()
+    .replace(/[^\w\s-]/g, "")
+    .replace(/[\s_-]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+};
+
+// Units a variable-weight (sold loose) variant can be packed in
+const WEIGHT_UNITS = ["g", "kg"];
+
+// Validate variant data
+const validateVariants = (variants) => {
+  if (!variants || variants.length === 0) {
+    throw new Error("At least one variant is required");
+  }
+
+  if (variants.some((v) => v.variableWeight && !WEIGHT_UNITS.includes(v.packUnit))) {
+    throw new Error("Only variants packed in g or kg can be variable-weight");
+  }
+
+  const defaultVariants = variants.filter((v) => v.isDefault);
+  if (defaultVariants.length > 1) {
+    throw new Error("Only one variant can be set as default");
+  }
+
+  // Set first variant as default if none specified
+  if (defaultVariants.length === 0) {
+    variants[0].isDefault = true;
+  }
+
+  return variants;
+};
+
+// Seller details copied onto the product
+const sellerSnapshot = (sellerDoc) => ({
+  sellerId: sellerDoc._id,
+  sellerName: sellerDoc.name,
+  contact: {
+    phone: sellerDoc.phone || "",
+    email: sellerDoc.email || "",
+  },
+  location: {
+    city: sellerDoc.location?.city || "",
+    area: sellerDoc.location?.area || "",
+  },
+});
+
+module.exports = {
+  WEIGHT_UNITS,
+  generateSlug,
+  validateVariants,
+  sellerSnapshot,
+};
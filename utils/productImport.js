@@ -0,0 +1,557 @@
+/**
+ * Bulk product import/export in a spreadsheet-friendly CSV layout.
+ *
+ * One row per variant; product columns repeat on every row of the product
+ * (blank cells on later rows are fine). Rows are matched to existing products
+ * by `slug`, or by `sku` when the slug is blank, and to existing variants by
+ * `sku`, or by pack size + unit. On updates, blank cells leave the stored
+ * value unchanged. Export writes the same columns, so an exported file can be
+ * edited and imported back.
+ */
+
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const Category = require("../models/Category");
+const Seller = require("../models/Seller");
+const { generateSlug, validateVariants, sellerSnapshot } = require("./productHelpers");
+const { snapshotPrices, recordPriceChanges } = require("./priceHistory");
+const { snapshotStock, recordStockChanges } = require("./inventoryLedger");
+const { statusOf, createRevision } = require("./productLifecycle");
+
+const MAX_IMPORT_ROWS = 5000;
+const LIST_SEPARATOR = "|";
+
+/**
+ * Column → document path. `scope` says whether it belongs to the product or
+ * to the row's variant. Category and seller are looked up separately.
+ */
+const FIELDS = [
+  { column: "slug", scope: "key" },
+  { column: "name", scope: "product", path: "name", type: "text" },
+  { column: "description", scope: "product", path: "description", type: "text" },
+  { column: "brand", scope: "product", path: "brand", type: "text" },
+  { column: "category", scope: "lookup" },
+  { column: "unit", scope: "product", path: "unit", type: "text" },
+  { column: "seller", scope: "lookup" },
+  { column: "tags", scope: "product", path: "tags", type: "list" },
+  { column: "searchKeywords", scope: "product", path: "searchKeywords", type: "list" },
+  { column: "gstPercent", scope: "product", path: "tax.gstPercent", type: "number" },
+  { column: "taxInclusive", scope: "product", path: "tax.inclusive", type: "boolean" },
+  { column: "discount", scope: "product", path: "discount", type: "number" },
+  { column: "shelfLifeValue", scope: "product", path: "shelfLife.value", type: "number" },
+  { column: "shelfLifeUnit", scope: "product", path: "shelfLife.unit", type: "text" },
+  { column: "expiryRequired", scope: "product", path: "expiryRequired", type: "boolean" },
+  { column: "storageInstructions", scope: "product", path: "storageInstructions", type: "text" },
+  { column: "image", scope: "product", path: "image", type: "text" },
+  { column: "images", scope: "product", path: "images", type: "list" },
+  { column: "featured", scope: "product", path: "featured", type: "boolean" },
+  { column: "trending", scope: "product", path: "trending", type: "boolean" },
+  { column: "bestDeal", scope: "product", path: "bestDeal", type: "boolean" },
+  // Exported for reference; lifecycle changes go through the publish workflow
+  { column: "status", scope: "export" },
+  { column: "sku", scope: "variant", path: "sku", type: "text" },
+  { column: "packSize", scope: "variant", path: "packSize", type: "number" },
+  { column: "packUnit", scope: "variant", path: "packUnit", type: "lowercase" },
+  { column: "mrp", scope: "variant", path: "mrp", type: "number" },
+  { column: "price", scope: "variant", path: "price", type: "number" },
+  { column: "stock", scope: "variant", path: "stock", type: "number" },
+  { column: "lowStockThreshold", scope: "variant", path: "lowStockThreshold", type: "number" },
+  { column: "variableWeight", scope: "variant", path: "variableWeight", type: "boolean" },
+  { column: "isDefault", scope: "variant", path: "isDefault", type: "boolean" },
+  { column: "variantActive", scope: "variant", path: "isActive", type: "boolean" },
+];
+
+const COLUMNS = FIELDS.map((f) => f.column);
+
+/** Top-level product paths the columns write to — what a revision can carry */
+const PRODUCT_PATHS = [
+  ...new Set([
+    ...FIELDS.filter((f) => f.scope === "product").map((f) => f.path.split(".")[0]),
+    "category",
+    "seller",
+  ]),
+];
+const NEW_VARIANT_FIELDS = ["packSize", "packUnit", "mrp", "price", "stock"];
+
+/* ================= CELL PARSING ================= */
+
+const TRUE_VALUES = ["true", "yes", "y", "1"];
+const FALSE_VALUES = ["false", "no", "n", "0"];
+
+/** @returns {{ value?: any, error?: string }} value is undefined for blank cells */
+function parseCell(field, raw) {
+  const text = String(raw ?? "").trim();
+  if (text === "") return {};
+
+  switch (field.type) {
+    case "number": {
+      const value = Number(text);
+      return Number.isFinite(value) ? { value } : { error: `${field.column} must be a number` };
+    }
+    case "boolean": {
+      const lower = text.toLowerCase();
+      if (TRUE_VALUES.includes(lower)) return { value: true };
+      if (FALSE_VALUES.includes(lower)) return { value: false };
+      return { error: `${field.column} must be true or false` };
+    }
+    case "list":
+      return {
+        value: text
+          .split(LIST_SEPARATOR)
+          .map((item) => item.trim())
+          .filter(Boolean),
+      };
+    case "lowercase":
+      return { value: text.toLowerCase() };
+    default:
+      return { value: text };
+  }
+}
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/* ================= LOOKUPS ================= */
+
+const objectIds = (values) =>
+  values
+    .filter((v) => mongoose.Types.ObjectId.isValid(v))
+    .map((v) => new mongoose.Types.ObjectId(String(v)));
+
+async function loadLookups(records) {
+  const slugs = [...new Set(records.map((r) => r.slug).filter(Boolean))];
+  const skus = [...new Set(records.map((r) => r.sku).filter(Boolean))];
+  const names = [...new Set(records.map((r) => r.name).filter(Boolean).map(generateSlug))];
+  const categoryRefs = [...new Set(records.map((r) => r.category).filter(Boolean))];
+  const sellerRefs = [...new Set(records.map((r) => r.seller).filter(Boolean))];
+
+  const [products, categories, sellers] = await Promise.all([
+    Product.find({
+      $or: [
+        { slug: { $in: [...slugs.map(generateSlug), ...names] } },
+        { "variants.sku": { $in: skus } },
+      ],
+    }),
+    Category.find({
+      $or: [
+        { slug: { $in: categoryRefs.map((c) => c.toLowerCase()) } },
+        { _id: { $in: objectIds(categoryRefs) } },
+      ],
+    })
+      .select("name slug")
+      .lean(),
+    Seller.find({
+      $or: [
+        { code: { $in: sellerRefs.map((s) => s.toUpperCase()) } },
+        { _id: { $in: objectIds(sellerRefs) } },
+      ],
+    }).lean(),
+  ]);
+
+  const productBySlug = new Map(products.map((p) => [p.slug, p]));
+  const productBySku = new Map();
+  for (const product of products) {
+    for (const variant of product.variants) {
+      if (variant.sku) productBySku.set(variant.sku, product);
+    }
+  }
+
+  const categoryByRef = new Map();
+  for (const category of categories) {
+    categoryByRef.set(category.slug, category);
+    categoryByRef.set(String(category._id), category);
+  }
+
+  const sellerByRef = new Map();
+  for (const seller of sellers) {
+    if (seller.code) sellerByRef.set(seller.code, seller);
+    sellerByRef.set(String(seller._id), seller);
+  }
+
+  return {
+    productBySlug,
+    productBySku,
+    category: (ref) => categoryByRef.get(ref) || categoryByRef.get(ref.toLowerCase()),
+    seller: (ref) => sellerByRef.get(ref) || sellerByRef.get(ref.toUpperCase()),
+  };
+}
+
+/* ================= IMPORT ================= */
+
+/**
+ * Resolves which product a row belongs to.
+ * @returns {{ key?: string, error?: string }}
+ */
+function productKey(record, lookups) {
+  const slug = record.slug ? generateSlug(record.slug) : null;
+  const skuOwner = record.sku ? lookups.productBySku.get(record.sku) : null;
+
+  if (slug && skuOwner && skuOwner.slug !== slug) {
+    return { error: `SKU ${record.sku} belongs to product "${skuOwner.slug}"` };
+  }
+  if (slug) return { key: slug };
+  if (skuOwner) return { key: skuOwner.slug };
+
+  if (!record.name) return { error: "slug, sku or name is required" };
+
+  // Names without Latin letters give an empty slug — those rows need an explicit one
+  const key = generateSlug(record.name);
+  return key ? { key } : { error: "slug is required when the name has no Latin letters" };
+}
+
+/** Applies one product's rows to a (new or loaded) document, collecting per-row errors */
+function applyGroup(group, lookups) {
+  const existing = lookups.productBySlug.get(group.key);
+  const product = existing || new Product({ slug: group.key, variants: [], status: "draft" });
+  // Product-level edits to a live product become a revision (variants still apply)
+  const original = existing && statusOf(existing) === "published" ? existing.toObject() : null;
+  const pricesBefore = snapshotPrices(existing);
+  const stockBefore = snapshotStock(existing);
+  const report = new Map(group.records.map((record) => [record.line, []]));
+  const addError = (line, message) => report.get(line).push(message);
+
+  // Product columns: first non-blank cell wins, later rows may repeat it but not contradict it
+  const values = {};
+  for (const row of group.records) {
+    for (const field of FIELDS.filter((f) => f.scope === "product" || f.scope === "lookup")) {
+      const { value, error } =
+        field.scope === "lookup" ? { value: row[field.column] || undefined } : parseCell(field, row[field.column]);
+      if (error) addError(row.line, error);
+      if (value === undefined) continue;
+
+      if (!(field.column in values)) {
+        values[field.column] = { value, line: row.line };
+      } else if (!sameValue(values[field.column].value, value)) {
+        addError(
+          row.line,
+          `${field.column} differs from row ${values[field.column].line} of the same product`,
+        );
+      }
+    }
+  }
+
+  const firstLine = group.records[0].line;
+
+  if (!existing) {
+    for (const column of ["name", "category", "unit", "seller"]) {
+      if (!values[column]) addError(firstLine, `${column} is required for a new product`);
+    }
+  }
+
+  for (const field of FIELDS.filter((f) => f.scope === "product")) {
+    if (values[field.column]) product.set(field.path, values[field.column].value);
+  }
+
+  if (values.category) {
+    const category = lookups.category(values.category.value);
+    if (!category) addError(values.category.line, `Category not found: ${values.category.value}`);
+    else product.category = category._id;
+  }
+
+  if (values.seller) {
+    const seller = lookups.seller(values.seller.value);
+    if (!seller || !seller.isActive) {
+      addError(values.seller.line, `Seller not found or inactive: ${values.seller.value}`);
+    } else {
+      product.seller = sellerSnapshot(seller);
+    }
+  }
+
+  // Variants
+  const variantLine = new Map(); // variant _id → row that touched it
+  const variantActions = new Map(); // row → "create" | "update"
+  const counts = { created: 0, updated: 0 };
+  let defaultSet = false;
+
+  for (const row of group.records) {
+    const variantValues = {};
+    let unreadable = false;
+    for (const field of FIELDS.filter((f) => f.scope === "variant")) {
+      const { value, error } = parseCell(field, row[field.column]);
+      if (error) {
+        addError(row.line, error);
+        unreadable = true;
+      }
+      if (value !== undefined) variantValues[field.path] = value;
+    }
+    if (unreadable || !Object.keys(variantValues).length) continue;
+
+    let variant = variantValues.sku
+      ? product.variants.find((v) => v.sku === variantValues.sku)
+      : null;
+    if (!variant && variantValues.packSize !== undefined && variantValues.packUnit) {
+      variant = product.variants.find(
+        (v) =>
+          v.packSize === variantValues.packSize &&
+          v.packUnit === variantValues.packUnit &&
+          (!v.sku || !variantValues.sku),
+      );
+    }
+
+    if (variant && variantLine.has(String(variant._id))) {
+      addError(
+        row.line,
+        `Same variant as row ${variantLine.get(String(variant._id))}`,
+      );
+      continue;
+    }
+
+    // Bundles are priced and stocked from their components; an export re-imported as is still passes
+    if (product.type === "bundle") {
+      const unchanged =
+        variant &&
+        Object.entries(variantValues).every(([path, value]) => sameValue(variant.get(path), value));
+      if (!unchanged) {
+        addError(row.line, "Bundle variants come from their components and can't be changed by import");
+      }
+      continue;
+    }
+
+    if (
+      variant?.batchTracked &&
+      variantValues.stock !== undefined &&
+      variantValues.stock !== variant.stock
+    ) {
+      addError(row.line, "Stock for this variant comes from its batches and can't be imported");
+      continue;
+    }
+
+    if (variant) {
+      variant.set(variantValues);
+      variantActions.set(row.line, "update");
+      counts.updated += 1;
+    } else {
+      const missing = NEW_VARIANT_FIELDS.filter((f) => variantValues[f] === undefined);
+      if (missing.length) {
+        addError(row.line, `${missing.join(", ")} required for a new variant`);
+        continue;
+      }
+      product.variants.push({ isDefault: false, isActive: true, ...variantValues });
+      variant = product.variants[product.variants.length - 1];
+      variantActions.set(row.line, "create");
+      counts.created += 1;
+    }
+
+    variantLine.set(String(variant._id), row.line);
+    if (variantValues.isDefault === true) defaultSet = true;
+  }
+
+  // Setting a default replaces the old one, as on the variant endpoints
+  if (defaultSet) {
+    product.variants.forEach((v) => {
+      if (!variantLine.has(String(v._id))) v.isDefault = false;
+    });
+  }
+
+  const result = {
+    product,
+    action: existing ? "update" : "create",
+    report,
+    variantActions,
+    counts,
+    pricesBefore,
+    stockBefore,
+    revisionChanges: null,
+  };
+
+  // Whole-product checks only make sense once every row applied cleanly
+  if ([...report.values()].some((errors) => errors.length)) return result;
+
+  try {
+    validateVariants(product.variants);
+  } catch (error) {
+    addError(firstLine, error.message);
+  }
+
+  const validation = product.validateSync();
+  for (const [path, error] of Object.entries(validation?.errors || {})) {
+    const index = path.match(/^variants\.(\d+)\./)?.[1];
+    const variant = index !== undefined ? product.variants[Number(index)] : null;
+    addError((variant && variantLine.get(String(variant._id))) || firstLine, error.message);
+  }
+
+  if (original) {
+    const changed = PRODUCT_PATHS.filter((path) => product.isModified(path));
+    if (changed.length) {
+      result.revisionChanges = Object.fromEntries(
+        changed.map((path) => {
+          const value = product.get(path);
+          if (path === "seller") return [path, value.sellerId];
+          return [path, value?.toObject ? value.toObject() : value];
+        }),
+      );
+      for (const path of changed) product.set(path, original[path]);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Validates and (unless `dryRun`) applies imported rows. Products with any
+ * invalid row are skipped as a whole; the rest are saved. Product-level
+ * changes to a published product are queued as a revision instead.
+ *
+ * @param {Object[]} records from parseCsvObjects
+ * @param {{ dryRun?: boolean, adminId?: string }} options
+ * @returns {Promise<Object>} report with a summary and one entry per row
+ */
+async function importProducts(records, { dryRun = false, adminId = null } = {}) {
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new Error(`Too many rows (max ${MAX_IMPORT_ROWS})`);
+  }
+
+  const lookups = await loadLookups(records);
+  const groups = new Map();
+  const rows = [];
+  const skuOwner = new Map(); // sku → product key within the file
+
+  for (const record of records) {
+    const row = { line: record.line, slug: null, sku: record.sku || null, errors: [] };
+    rows.push(row);
+
+    const { key, error } = productKey(record, lookups);
+    if (error) {
+      row.errors.push(error);
+      continue;
+    }
+    row.slug = key;
+
+    if (record.sku) {
+      if (skuOwner.has(record.sku) && skuOwner.get(record.sku) !== key) {
+        row.errors.push(`SKU ${record.sku} is also used for product "${skuOwner.get(record.sku)}"`);
+        continue;
+      }
+      skuOwner.set(record.sku, key);
+    }
+
+    if (!groups.has(key)) groups.set(key, { key, records: [], rows: [] });
+    groups.get(key).records.push(record);
+    groups.get(key).rows.push(row);
+  }
+
+  const summary = {
+    rows: records.length,
+    invalidRows: 0,
+    productsCreated: 0,
+    productsUpdated: 0,
+    variantsCreated: 0,
+    variantsUpdated: 0,
+    productsSkipped: 0,
+    revisionsCreated: 0,
+  };
+
+  for (const group of groups.values()) {
+    const {
+      product,
+      action,
+      report,
+      variantActions,
+      counts,
+      pricesBefore,
+      stockBefore,
+      revisionChanges,
+    } = applyGroup(group, lookups);
+    for (const row of group.rows) {
+      row.action = action;
+      row.variantAction = variantActions.get(row.line) || null;
+      row.errors.push(...report.get(row.line));
+    }
+
+    const valid = group.rows.every((row) => row.errors.length === 0);
+    group.valid = valid;
+    if (!valid) {
+      summary.productsSkipped += 1;
+      continue;
+    }
+
+    if (!dryRun) {
+      try {
+        await product.save();
+      } catch (error) {
+        const message =
+          error.code === 11000 ? "Duplicate key — product already exists" : error.message;
+        group.rows[0].errors.push(message);
+        group.valid = false;
+        summary.productsSkipped += 1;
+        continue;
+      }
+
+      await recordPriceChanges(product, pricesBefore, { source: "import", adminId }).catch(
+        (error) => console.error("Import price history error:", error),
+      );
+      await recordStockChanges(product, stockBefore, { reason: "import", adminId }).catch(
+        (error) => console.error("Import inventory ledger error:", error),
+      );
+
+      if (revisionChanges) await createRevision(product, revisionChanges, adminId);
+    }
+
+    if (revisionChanges) summary.revisionsCreated += 1;
+
+    summary[action === "create" ? "productsCreated" : "productsUpdated"] += 1;
+    summary.variantsCreated += counts.created;
+    summary.variantsUpdated += counts.updated;
+  }
+
+  for (const row of rows) {
+    if (row.errors.length) {
+      summary.invalidRows += 1;
+      row.status = "invalid";
+    } else if (!groups.get(row.slug).valid) {
+      row.status = "skipped";
+    } else {
+      row.status = dryRun ? "valid" : "imported";
+    }
+  }
+
+  const ignoredColumns = [...new Set(records.flatMap(Object.keys))].filter(
+    (column) => column !== "line" && !COLUMNS.includes(column),
+  );
+
+  return { dryRun, summary, ignoredColumns, rows };
+}
+
+/* ================= EXPORT ================= */
+
+/**
+ * @param {Object[]} products lean products with `category` and `seller.sellerId` populated
+ * @returns {Object[]} one record per variant, keyed by COLUMNS
+ */
+function productsToRecords(products) {
+  const records = [];
+
+  for (const product of products) {
+    const base = {
+      slug: product.slug,
+      category: product.category?.slug || String(product.category || ""),
+      seller: product.seller?.sellerId?.code || String(product.seller?.sellerId?._id || ""),
+    };
+    for (const field of FIELDS.filter((f) => f.scope === "product")) {
+      base[field.column] = formatValue(getPath(product, field.path));
+    }
+    base.status = statusOf(product);
+
+    const variants = product.variants?.length ? product.variants : [{}];
+    for (const variant of variants) {
+      const record = { ...base };
+      for (const field of FIELDS.filter((f) => f.scope === "variant")) {
+        record[field.column] = formatValue(getPath(variant, field.path));
+      }
+      records.push(record);
+    }
+  }
+
+  return records;
+}
+
+const getPath = (doc, path) => path.split(".").reduce((value, key) => value?.[key], doc);
+
+const formatValue = (value) =>
+  Array.isArray(value) ? value.join(LIST_SEPARATOR) : value ?? "";
+
+module.exports = {
+  COLUMNS,
+  MAX_IMPORT_ROWS,
+  importProducts,
+  productsToRecords,
+};
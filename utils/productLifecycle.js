@@ -0,0 +1,154 @@
+/**
+ * Product lifecycle: draft → in_review → published → archived.
+ *
+ * `status` says where a product is in the workflow; `isActive` (what every
+ * customer-facing query filters on) follows from it — true only while the
+ * product is published and inside its publishAt / unpublishAt window. The
+ * Product save hook keeps it in step; applyProductSchedules() flips it when a
+ * window opens or closes.
+ */
+
+const Product = require("../models/Product");
+const ProductRevision = require("../models/ProductRevision");
+
+/** Allowed moves; `publish` additionally needs catalog:publish */
+const TRANSITIONS = {
+  submit: { from: ["draft"], to: "in_review" },
+  reject: { from: ["in_review"], to: "draft" },
+  publish: { from: ["draft", "in_review"], to: "published" },
+  archive: { from: ["draft", "in_review", "published"], to: "archived" },
+  restore: { from: ["archived"], to: "draft" },
+};
+
+/** Managed by the lifecycle routes, never by a plain product edit */
+const LIFECYCLE_FIELDS = [
+  "status",
+  "isActive",
+  "publishAt",
+  "unpublishAt",
+  "publishedAt",
+  "publishedBy",
+  "reviewNote",
+];
+
+/** Products from before the workflow have no status — read it off isActive */
+const statusOf = (product) => product.status || (product.isActive ? "published" : "archived");
+
+/**
+ * Checks a publishAt / unpublishAt pair. Either may be null (no bound).
+ * @returns {{ window?: { publishAt, unpublishAt }, error?: string }}
+ */
+function parseSchedule({ publishAt = null, unpublishAt = null }) {
+  const window = {
+    publishAt: publishAt ? new Date(publishAt) : null,
+    unpublishAt: unpublishAt ? new Date(unpublishAt) : null,
+  };
+
+  if (Object.values(window).some((date) => date && Number.isNaN(date.getTime()))) {
+    return { error: "Invalid publishAt or unpublishAt date" };
+  }
+  if (window.unpublishAt && window.unpublishAt <= new Date()) {
+    return { error: "unpublishAt must be in the future" };
+  }
+  if (window.publishAt && window.unpublishAt && window.unpublishAt <= window.publishAt) {
+    return { error: "unpublishAt must be after publishAt" };
+  }
+  return { window };
+}
+
+/**
+ * Moves a product document through TRANSITIONS and saves it.
+ *
+ * @param {Object} product product document
+ * @param {string} action key of TRANSITIONS
+ * @param {{ adminId?, note?, schedule?: { publishAt, unpublishAt } }} [options]
+ * @returns {Promise<{ product?: Object, error?: string }>}
+ */
+async function transition(product, action, { adminId = null, note, schedule } = {}) {
+  const rule = TRANSITIONS[action];
+  const current = statusOf(product);
+
+  if (!rule.from.includes(current)) {
+    return { error: `Cannot ${action} a product that is ${current.replace("_", " ")}` };
+  }
+
+  product.status = rule.to;
+
+  if (action === "publish") {
+    product.publishedAt = new Date();
+    product.publishedBy = adminId;
+    product.reviewNote = null;
+    if (schedule) Object.assign(product, schedule);
+  }
+  if (action === "reject") product.reviewNote = note || null;
+
+  await product.save();
+
+  if (action === "archive") {
+    await ProductRevision.updateMany(
+      { product: product._id, status: "pending" },
+      { $set: { status: "superseded" } },
+    );
+  }
+
+  return { product };
+}
+
+/**
+ * Queues `changes` (a PUT /products/:id body) as the product's pending
+ * revision, superseding any earlier one.
+ */
+async function createRevision(product, changes, adminId = null) {
+  await ProductRevision.updateMany(
+    { product: product._id, status: "pending" },
+    { $set: { status: "superseded" } },
+  );
+
+  const body = { ...changes };
+  for (const field of LIFECYCLE_FIELDS) delete body[field];
+
+  return ProductRevision.create({
+    product: product._id,
+    changes: body,
+    submittedBy: adminId,
+  });
+}
+
+/**
+ * Scheduler job — shows published products whose publishAt has come and
+ * hides those whose unpublishAt has passed.
+ */
+async function applyProductSchedules() {
+  const now = new Date();
+
+  const shown = await Product.updateMany(
+    {
+      status: "published",
+      isActive: false,
+      publishAt: { $lte: now },
+      $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }],
+    },
+    { $set: { isActive: true } },
+  );
+
+  const hidden = await Product.updateMany(
+    { status: "published", isActive: true, unpublishAt: { $lte: now } },
+    { $set: { isActive: false } },
+  );
+
+  if (shown.modifiedCount || hidden.modifiedCount) {
+    console.log(
+      `Product schedule: ${shown.modifiedCount} went live, ${hidden.modifiedCount} taken down`,
+    );
+  }
+}
+
+module.exports = {
+  TRANSITIONS,
+  LIFECYCLE_FIELDS,
+  statusOf,
+  parseSchedule,
+  transition,
+  createRevision,
+  applyProductSchedules,
+};
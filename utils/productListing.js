@@ -0,0 +1,444 @@
+/**
+ * Product listing with faceted filters.
+ *
+ * GET /products and GET /products/category/:categoryId share one aggregate:
+ * the base match (category, seller, flags, search) narrows the catalogue, then
+ * a $facet returns the page of results together with the count of every
+ * filter option. Each facet is counted with all the *other* facet filters
+ * applied, so picking one brand still shows how many products the remaining
+ * brands would add.
+ *
+ * exportCursor() runs the same match and sort without the $facet, whose single
+ * output document can't hold a whole catalogue, and streams the products.
+ */
+
+const Product = require("../models/Product");
+const { buildSearchMatch } = require("./productSearch");
+const { attachBreadcrumbs } = require("./categoryTree");
+const { BASE_UNITS, withUnitPricing, pricePerUnitExpression } = require("./unitPricing");
+
+const PACK_UNITS = ["kg", "g", "litre", "ml", "pcs"];
+
+/** Lower bounds of the price buckets (₹); the last bucket is open-ended */
+const PRICE_BOUNDARIES = [0, 50, 100, 200, 500, 1000];
+/** "& up" bands */
+const RATING_BANDS = [4, 3, 2, 1];
+const DISCOUNT_BANDS = [50, 40, 25, 10];
+
+const MAX_BRAND_FACETS = 50;
+
+/* ================= FILTER PARSING ================= */
+
+/** Accepts `a,b` or repeated `?x=a&x=b` */
+const listParam = (value) =>
+  (Array.isArray(value) ? value : String(value ?? "").split(","))
+    .map((v) => String(v).trim())
+    .filter(Boolean);
+
+const numberParam = (value) => {
+  if (value === undefined || value === "") return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+};
+
+/** "500g", "1.5 litre" → "500g" / "1.5litre" — the key packSize facets are reported under */
+const packSizeKey = (packSize, packUnit) => `${Number(packSize)}${packUnit}`;
+
+/**
+ * Reads facet filters from the query string.
+ *
+ * @returns {{ filters?: Object, error?: string }}
+ */
+function parseFacetFilters(query) {
+  const filters = {
+    brands: listParam(query.brand),
+    packUnits: listParam(query.packUnit).map((u) => u.toLowerCase()),
+    packSizes: [],
+    minPrice: numberParam(query.minPrice),
+    maxPrice: numberParam(query.maxPrice),
+    minRating: numberParam(query.minRating),
+    minDiscount: numberParam(query.minDiscount),
+    inStock: query.inStock === true || query.inStock === "true",
+    // ₹ per kg / litre / pc — baseUnit narrows both the filter and the pricePerUnit sort
+    minPricePerUnit: numberParam(query.minPricePerUnit),
+    maxPricePerUnit: numberParam(query.maxPricePerUnit),
+    baseUnit: query.baseUnit ? String(query.baseUnit).toLowerCase() : undefined,
+  };
+
+  if (filters.baseUnit && !BASE_UNITS.includes(filters.baseUnit)) {
+    return { error: `Invalid baseUnit (expected ${BASE_UNITS.join(", ")})` };
+  }
+
+  const badUnit = filters.packUnits.find((u) => !PACK_UNITS.includes(u));
+  if (badUnit) return { error: `Invalid packUnit: ${badUnit}` };
+
+  for (const raw of listParam(query.packSize)) {
+    const match = raw.toLowerCase().replace(/\s+/g, "").match(/^(\d+(?:\.\d+)?)([a-z]+)$/);
+    if (!match || !PACK_UNITS.includes(match[2])) {
+      return { error: `Invalid packSize: ${raw} (expected e.g. 500g, 1kg)` };
+    }
+    filters.packSizes.push(packSizeKey(match[1], match[2]));
+  }
+
+  for (const key of [
+    "minPrice",
+    "maxPrice",
+    "minRating",
+    "minDiscount",
+    "minPricePerUnit",
+    "maxPricePerUnit",
+  ]) {
+    if (Number.isNaN(filters[key]) || filters[key] < 0) {
+      return { error: `Invalid ${key}` };
+    }
+  }
+
+  return { filters };
+}
+
+/* ================= PIPELINE ================= */
+
+const ACTIVE_VARIANTS = {
+  $filter: { input: "$variants", cond: { $ne: ["$$this.isActive", false] } },
+};
+
+/** Per-product values the facet filters and counts work on (stripped before returning) */
+const DERIVED_FIELDS = {
+  _variants: ACTIVE_VARIANTS,
+  _totalStock: { $sum: { $map: { input: ACTIVE_VARIANTS, in: "$$this.stock" } } },
+  _unitPrices: { $map: { input: ACTIVE_VARIANTS, in: pricePerUnitExpression() } },
+  _packUnits: { $setUnion: [{ $map: { input: ACTIVE_VARIANTS, in: "$$this.packUnit" } }] },
+  _packSizes: {
+    $setUnion: [
+      {
+        $map: {
+          input: ACTIVE_VARIANTS,
+          in: { $concat: [{ $toString: "$$this.packSize" }, "$$this.packUnit"] },
+        },
+      },
+    ],
+  },
+  // Best deal across active variants, in percent off MRP
+  _maxDiscount: {
+    $ifNull: [
+      {
+        $max: {
+          $map: {
+            input: ACTIVE_VARIANTS,
+            in: {
+              $cond: [
+                { $gt: ["$$this.mrp", 0] },
+                {
+                  $multiply: [
+                    { $divide: [{ $subtract: ["$$this.mrp", "$$this.price"] }, "$$this.mrp"] },
+                    100,
+                  ],
+                },
+                0,
+              ],
+            },
+          },
+        },
+      },
+      0,
+    ],
+  },
+};
+
+/** Cheapest ₹ per base unit across active variants — the `pricePerUnit` sort key */
+const lowestPricePerUnit = (baseUnit) => ({
+  $min: {
+    $map: {
+      input: baseUnit
+        ? { $filter: { input: "$_unitPrices", cond: { $eq: ["$$this.unit", baseUnit] } } }
+        : "$_unitPrices",
+      in: "$$this.value",
+    },
+  },
+});
+
+const HIDDEN_FIELDS = {
+  searchTerms: 0,
+  relevance: 0,
+  _variants: 0,
+  _totalStock: 0,
+  _unitPrices: 0,
+  _pricePerUnit: 0,
+  _packUnits: 0,
+  _packSizes: 0,
+  _maxDiscount: 0,
+};
+
+/**
+ * @param {Object} filters from parseFacetFilters
+ * @param {string} [exclude] facet whose own filter is left out (for its counts)
+ */
+function facetMatch(filters, exclude) {
+  const match = {};
+
+  if (exclude !== "brand" && filters.brands.length) {
+    match.brand = { $in: filters.brands };
+  }
+  if (exclude !== "packUnit" && filters.packUnits.length) {
+    match._packUnits = { $in: filters.packUnits };
+  }
+  if (exclude !== "packSize" && filters.packSizes.length) {
+    match._packSizes = { $in: filters.packSizes };
+  }
+  // Matches when any active variant is in range
+  if (exclude !== "price" && (filters.minPrice !== undefined || filters.maxPrice !== undefined)) {
+    const price = {};
+    if (filters.minPrice !== undefined) price.$gte = filters.minPrice;
+    if (filters.maxPrice !== undefined) price.$lte = filters.maxPrice;
+    match._variants = { $elemMatch: { price } };
+  }
+  if (
+    filters.baseUnit ||
+    filters.minPricePerUnit !== undefined ||
+    filters.maxPricePerUnit !== undefined
+  ) {
+    const unitPrice = {};
+    if (filters.baseUnit) unitPrice.unit = filters.baseUnit;
+    if (filters.minPricePerUnit !== undefined || filters.maxPricePerUnit !== undefined) {
+      unitPrice.value = {};
+      if (filters.minPricePerUnit !== undefined) unitPrice.value.$gte = filters.minPricePerUnit;
+      if (filters.maxPricePerUnit !== undefined) unitPrice.value.$lte = filters.maxPricePerUnit;
+    }
+    match._unitPrices = { $elemMatch: unitPrice };
+  }
+  if (exclude !== "rating" && filters.minRating !== undefined) {
+    match.rating = { $gte: filters.minRating };
+  }
+  if (exclude !== "discount" && filters.minDiscount !== undefined) {
+    match._maxDiscount = { $gte: filters.minDiscount };
+  }
+  if (exclude !== "inStock" && filters.inStock) {
+    match._totalStock = { $gt: 0 };
+  }
+
+  return match;
+}
+
+/** Counts for each band a product clears ("4★ & up", "25% off & up") */
+const bandCounts = (field, bands) => ({
+  _id: null,
+  ...Object.fromEntries(
+    bands.map((band) => [`b${band}`, { $sum: { $cond: [{ $gte: [field, band] }, 1, 0] } }]),
+  ),
+});
+
+function facetPipelines(filters) {
+  // _packUnits / _packSizes are already de-duplicated per product
+  const valueCount = [
+    { $group: { _id: "$value", count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+  ];
+
+  return {
+    brands: [
+      { $match: { ...facetMatch(filters, "brand"), brand: { $nin: [null, ""] } } },
+      { $group: { _id: "$brand", count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: MAX_BRAND_FACETS },
+    ],
+    // A product with variants in several price ranges counts once in each
+    priceBuckets: [
+      { $match: facetMatch(filters, "price") },
+      { $project: { price: "$_variants.price" } },
+      { $unwind: "$price" },
+      {
+        $bucket: {
+          groupBy: "$price",
+          boundaries: PRICE_BOUNDARIES,
+          default: "over",
+          output: { products: { $addToSet: "$_id" } },
+        },
+      },
+      { $project: { count: { $size: "$products" } } },
+    ],
+    packUnits: [
+      { $match: facetMatch(filters, "packUnit") },
+      { $project: { value: "$_packUnits" } },
+      { $unwind: "$value" },
+      ...valueCount,
+    ],
+    packSizes: [
+      { $match: facetMatch(filters, "packSize") },
+      { $project: { value: "$_packSizes" } },
+      { $unwind: "$value" },
+      ...valueCount,
+    ],
+    ratings: [
+      { $match: facetMatch(filters, "rating") },
+      { $group: bandCounts("$rating", RATING_BANDS) },
+    ],
+    discounts: [
+      { $match: facetMatch(filters, "discount") },
+      { $group: bandCounts("$_maxDiscount", DISCOUNT_BANDS) },
+    ],
+    inStock: [
+      { $match: { ...facetMatch(filters, "inStock"), _totalStock: { $gt: 0 } } },
+      { $count: "count" },
+    ],
+  };
+}
+
+const NO_FACET_ROWS = {
+  brands: [],
+  priceBuckets: [],
+  packUnits: [],
+  packSizes: [],
+  ratings: [],
+  discounts: [],
+  inStock: [],
+};
+
+/** Reshapes raw $facet output into the `facets` block of the response */
+function formatFacets(raw) {
+  const priceCounts = new Map(raw.priceBuckets.map((b) => [b._id, b.count]));
+  const ratings = raw.ratings[0] || {};
+  const discounts = raw.discounts[0] || {};
+
+  return {
+    brands: raw.brands.map((b) => ({ value: b._id, count: b.count })),
+    // $bucket ids are lower bounds; values past the last boundary land in "over"
+    priceBuckets: PRICE_BOUNDARIES.map((min, i) => ({
+      min,
+      max: PRICE_BOUNDARIES[i + 1] ?? null,
+      count: priceCounts.get(i < PRICE_BOUNDARIES.length - 1 ? min : "over") || 0,
+    })),
+    packUnits: raw.packUnits.map((u) => ({ value: u._id, count: u.count })),
+    packSizes: raw.packSizes.map((s) => {
+      const [, packSize, packUnit] = s._id.match(/^([\d.]+)(.+)$/);
+      return { value: s._id, packSize: Number(packSize), packUnit, count: s.count };
+    }),
+    ratings: RATING_BANDS.map((min) => ({ min, count: ratings[`b${min}`] || 0 })),
+    discounts: DISCOUNT_BANDS.map((min) => ({ min, count: discounts[`b${min}`] || 0 })),
+    inStock: raw.inStock[0]?.count || 0,
+  };
+}
+
+/* ================= LISTING ================= */
+
+/**
+ * Stages shared by the listing and the export: the base match with derived
+ * fields, plus the result match and sort that follow it.
+ * @returns {Promise<{ stages: Object[], resultMatch: Object, resultSort: Object } | null>}
+ *          null when the search matches nothing
+ */
+async function listingStages({ match, search, filters, sort }) {
+  let baseMatch = match;
+  let useTextScore = false;
+
+  if (search) {
+    const searchMatch = await buildSearchMatch(search, match);
+    if (!searchMatch) return null;
+    baseMatch = searchMatch.match;
+    useTextScore = searchMatch.useTextScore;
+  }
+
+  // sortBy=pricePerUnit sorts on the derived cheapest ₹/unit
+  const requestedSort = Object.fromEntries(
+    Object.entries(sort || {}).map(([key, dir]) => [
+      key === "pricePerUnit" ? "_pricePerUnit" : key,
+      dir,
+    ]),
+  );
+
+  return {
+    stages: [
+      { $match: baseMatch },
+      {
+        $addFields: {
+          ...(search ? { relevance: useTextScore ? { $meta: "textScore" } : 0 } : {}),
+          ...DERIVED_FIELDS,
+        },
+      },
+      { $addFields: { _pricePerUnit: lowestPricePerUnit(filters.baseUnit) } },
+    ],
+    resultMatch: facetMatch(filters),
+    // Ties (and searches without an explicit sort) go to in-stock products
+    resultSort: {
+      ...requestedSort,
+      ...(search ? { relevance: -1 } : {}),
+      _totalStock: -1,
+      _id: 1,
+    },
+  };
+}
+
+/**
+ * @param {Object} options
+ * @param {Object} options.match base conditions — values must already be cast (ObjectId, Boolean)
+ * @param {string} [options.search] raw query; results are then ordered by relevance unless `sort` is given
+ * @param {Object} options.filters from parseFacetFilters
+ * @param {Object} [options.sort]
+ * @param {number} options.skip
+ * @param {number} options.limit
+ * @param {boolean} [options.withFacets=true]
+ * @returns {Promise<{ products: Object[], total: number, facets?: Object }>}
+ */
+async function listProducts({ match, search, filters, sort, skip, limit, withFacets = true }) {
+  const listing = await listingStages({ match, search, filters, sort });
+  if (!listing) {
+    return withFacets
+      ? { products: [], total: 0, facets: formatFacets(NO_FACET_ROWS) }
+      : { products: [], total: 0 };
+  }
+  const { stages, resultMatch, resultSort } = listing;
+
+  const [result] = await Product.aggregate([
+    ...stages,
+    {
+      $facet: {
+        products: [
+          { $match: resultMatch },
+          { $sort: resultSort },
+          { $skip: skip },
+          { $limit: limit },
+          { $project: HIDDEN_FIELDS },
+        ],
+        total: [{ $match: resultMatch }, { $count: "count" }],
+        ...(withFacets ? facetPipelines(filters) : {}),
+      },
+    },
+  ]);
+
+  await Product.populate(result.products, [
+    { path: "category", select: "name slug" },
+    { path: "seller.sellerId", select: "name code" },
+  ]);
+  await attachBreadcrumbs(result.products);
+
+  const page = {
+    products: result.products.map(withUnitPricing),
+    total: result.total[0]?.count || 0,
+  };
+  if (withFacets) page.facets = formatFacets(result);
+  return page;
+}
+
+/**
+ * Every product matching the listing options, as a cursor of plain objects.
+ * Category and seller are not populated.
+ * @returns {Promise<AsyncIterable<Object>|null>} null when the search matches nothing
+ */
+async function exportCursor({ match, search, filters, sort }) {
+  const listing = await listingStages({ match, search, filters, sort });
+  if (!listing) return null;
+
+  return Product.aggregate([
+    ...listing.stages,
+    { $match: listing.resultMatch },
+    { $sort: listing.resultSort },
+    { $project: HIDDEN_FIELDS },
+  ])
+    .allowDiskUse(true)
+    .cursor({ batchSize: 200 });
+}
+
+module.exports = {
+  parseFacetFilters,
+  listProducts,
+  exportCursor,
+};
@@ -0,0 +1,264 @@
+/**
+ * Relevance-ranked product search.
+ *
+ * The query is tokenized and folded (utils/searchText.js), expanded with
+ * admin-managed synonyms and typo corrections from the catalogue vocabulary,
+ * then run against the weighted "product_search" text index (see
+ * utils/productListing.js for ranking). User input never reaches a regex unescaped.
+ */
+
+const Product = require("../models/Product");
+const Category = require("../models/Category");
+const SearchSynonym = require("../models/SearchSynonym");
+const SearchQuery = require("../models/SearchQuery");
+const { foldTerm, tokenize, escapeRegex } = require("./searchText");
+
+const MAX_QUERY_TERMS = 10;
+const SYNONYM_CACHE_MS = 60 * 1000;
+const VOCABULARY_CACHE_MS = 5 * 60 * 1000;
+
+/** Autocomplete runs on every keystroke — each lookup is cut off after this */
+const SUGGEST_TIMEOUT_MS = 300;
+
+/* ================= SYNONYMS ================= */
+
+let synonymCache = { map: null, loadedAt: 0 };
+
+/** @returns {Promise<Map<string, Set<string>>>} folded term → folded equivalents */
+async function getSynonymMap() {
+  if (synonymCache.map && Date.now() - synonymCache.loadedAt < SYNONYM_CACHE_MS) {
+    return synonymCache.map;
+  }
+
+  const groups = await SearchSynonym.find({ isActive: true }).select("terms").lean();
+  const map = new Map();
+
+  for (const { terms } of groups) {
+    const folded = [...new Set(terms.flatMap((term) => tokenize(term)))];
+    for (const term of folded) {
+      if (!map.has(term)) map.set(term, new Set());
+      folded.forEach((other) => other !== term && map.get(term).add(other));
+    }
+  }
+
+  synonymCache = { map, loadedAt: Date.now() };
+  return map;
+}
+
+/** Call after synonym groups change so the next search reloads them */
+function invalidateSynonymCache() {
+  synonymCache = { map: null, loadedAt: 0 };
+}
+
+/* ================= TYPO CORRECTION ================= */
+
+let vocabularyCache = { words: null, loadedAt: 0 };
+
+async function getVocabulary() {
+  if (vocabularyCache.words && Date.now() - vocabularyCache.loadedAt < VOCABULARY_CACHE_MS) {
+    return vocabularyCache.words;
+  }
+
+  const words = await Product.distinct("searchTerms.tokens", { isActive: true });
+  vocabularyCache = { words: new Set(words), loadedAt: Date.now() };
+  return vocabularyCache.words;
+}
+
+/** Levenshtein distance, giving up early once it exceeds `max` */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const curr = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+      rowMin = Math.min(rowMin, curr[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+/** Closest catalogue words for a term the catalogue doesn't contain */
+function corrections(term, vocabulary) {
+  if (term.length < 4 || vocabulary.has(term)) return [];
+
+  const max = term.length >= 7 ? 2 : 1;
+  const matches = [];
+  for (const word of vocabulary) {
+    const distance = editDistance(term, word, max);
+    if (distance <= max) matches.push({ word, distance });
+  }
+
+  return matches
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, 3)
+    .map((m) => m.word);
+}
+
+/* ================= QUERY ================= */
+
+/**
+ * @returns {Promise<string[]>} folded terms to search for (query terms first)
+ */
+async function expandSearchQuery(query) {
+  const queryTerms = tokenize(query).slice(0, MAX_QUERY_TERMS);
+  if (!queryTerms.length) return [];
+
+  const [synonyms, vocabulary] = await Promise.all([getSynonymMap(), getVocabulary()]);
+  const terms = new Set(queryTerms);
+
+  for (const term of queryTerms) {
+    (synonyms.get(term) || []).forEach((s) => terms.add(s));
+    corrections(term, vocabulary).forEach((c) => terms.add(c));
+  }
+
+  return [...terms];
+}
+
+/**
+ * Turns a raw query into the $match that finds matching products within `baseMatch`.
+ * Falls back to term prefixes when no whole word matches (e.g. while the user
+ * is still typing).
+ *
+ * @param {string} search raw user query
+ * @param {Object} baseMatch other conditions — values must already be cast (ObjectId, Boolean)
+ * @returns {Promise<{ match: Object, useTextScore: boolean } | null>} null when nothing can match
+ */
+async function buildSearchMatch(search, baseMatch = {}) {
+  const terms = await expandSearchQuery(search);
+  if (!terms.length) return null;
+
+  const textMatch = { ...baseMatch, $text: { $search: terms.join(" ") } };
+  if (await Product.exists(textMatch)) {
+    return { match: textMatch, useTextScore: true };
+  }
+
+  const prefixMatch = {
+    ...baseMatch,
+    "searchTerms.tokens": { $in: terms.map((t) => new RegExp(`^${escapeRegex(t)}`)) },
+  };
+  if (await Product.exists(prefixMatch)) {
+    return { match: prefixMatch, useTextScore: false };
+  }
+
+  return null;
+}
+
+/* ================= AUTOCOMPLETE ================= */
+
+/**
+ * Counts a customer search towards popular-query boosting. Only searches that
+ * found something are kept, so typos never become suggestions.
+ */
+async function recordSearchQuery(search, resultCount) {
+  if (!resultCount) return;
+
+  const term = tokenize(search).join(" ");
+  const display = String(search).trim().replace(/\s+/g, " ").toLowerCase();
+  if (!term || display.length > 100) return;
+
+  await SearchQuery.updateOne(
+    { term },
+    { $inc: { count: 1 }, $set: { display, lastSearchedAt: new Date() } },
+    { upsert: true },
+  );
+}
+
+const hasActiveStock = (product) =>
+  (product.variants || []).some((v) => v.isActive !== false && v.stock > 0);
+
+/**
+ * Typeahead for the search box. Earlier words must match whole terms, the last
+ * word is treated as a prefix.
+ *
+ * @returns {Promise<{ queries: Object[], products: Object[], categories: Object[], brands: string[] }>}
+ */
+async function suggest(q, limit = 8) {
+  const raw = String(q || "").trim();
+  const words = raw.split(/[^\p{L}\p{M}\p{N}]+/u).filter(Boolean).slice(0, MAX_QUERY_TERMS);
+  if (!words.length) {
+    return { queries: [], products: [], categories: [], brands: [] };
+  }
+
+  const complete = words.slice(0, -1).map(foldTerm).filter(Boolean);
+  const lastWord = words[words.length - 1].toLowerCase();
+  // The folded form of a partial word can differ from its full word ("ghe" vs "ghee"), so try both
+  const prefixes = [...new Set([foldTerm(lastWord), lastWord])]
+    .filter(Boolean)
+    .map((p) => new RegExp(`^${escapeRegex(p)}`));
+
+  const productFilter = {
+    isActive: true,
+    $and: [
+      { "searchTerms.suggest": { $in: prefixes } },
+      ...(complete.length ? [{ "searchTerms.suggest": { $all: complete } }] : []),
+    ],
+  };
+
+  const startsWith = new RegExp(`^${escapeRegex(raw)}`, "i");
+  const wordStart = new RegExp(`(^|\\s)${escapeRegex(raw)}`, "i");
+  const queryPrefix = new RegExp(`^${escapeRegex([...complete, foldTerm(lastWord)].join(" "))}`);
+
+  const [queries, products, categories, brands] = await Promise.all([
+    SearchQuery.find({ term: queryPrefix })
+      .sort({ count: -1 })
+      .limit(5)
+      .select("display count")
+      .maxTimeMS(SUGGEST_TIMEOUT_MS)
+      .lean(),
+    Product.find(productFilter)
+      .select("name slug image brand variants.stock variants.isActive")
+      .limit(limit * 3)
+      .maxTimeMS(SUGGEST_TIMEOUT_MS)
+      .lean(),
+    Category.find({ isActive: true, name: wordStart })
+      .select("name slug image")
+      .limit(5)
+      .maxTimeMS(SUGGEST_TIMEOUT_MS)
+      .lean(),
+    Product.distinct("brand", { isActive: true, brand: startsWith }).maxTimeMS(SUGGEST_TIMEOUT_MS),
+  ]);
+
+  // Names starting with what was typed first, then in-stock, then shorter names
+  const rankedProducts = products
+    .map((p) => ({
+      product: p,
+      starts: startsWith.test(p.name) ? 1 : 0,
+      inStock: hasActiveStock(p) ? 1 : 0,
+    }))
+    .sort(
+      (a, b) =>
+        b.starts - a.starts ||
+        b.inStock - a.inStock ||
+        a.product.name.length - b.product.name.length,
+    )
+    .slice(0, limit)
+    .map(({ product, inStock }) => ({
+      _id: product._id,
+      name: product.name,
+      slug: product.slug,
+      image: product.image || null,
+      brand: product.brand || null,
+      inStock: Boolean(inStock),
+    }));
+
+  return {
+    queries: queries.map((row) => ({ text: row.display, count: row.count })),
+    products: rankedProducts,
+    categories,
+    brands: brands.filter(Boolean).slice(0, 5),
+  };
+}
+
+module.exports = {
+  expandSearchQuery,
+  buildSearchMatch,
+  invalidateSynonymCache,
+  recordSearchQuery,
+  suggest,
+};
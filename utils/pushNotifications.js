@@ -0,0 +1,378 @@
+/**
+ * Push delivery to registered devices (see models/PushDevice).
+ *
+ * Each token is routed by format to a sender backend — Firebase Cloud Messaging
+ * (config/firebaseAdmin.js) or the Expo Push API (config/expoPush.js) — and the
+ * per-backend results are merged into one stats object.
+ *
+ * Only tokens a backend reports as dead are disabled — transient failures are
+ * just counted. Expo also reports failures later via receipts, handled by
+ * processExpoReceipts().
+ */
+
+const PushDevice = require("../models/PushDevice");
+const Admin = require("../models/Admin");
+const PushReceipt = require("../models/PushReceipt");
+const Notification = require("../models/Notification");
+const { roleHasPermission } = require("../config/adminRoles");
+const { getFirebaseMessaging } = require("../config/firebaseAdmin");
+const {
+  EXPO_SEND_CHUNK_SIZE,
+  EXPO_RECEIPT_CHUNK_SIZE,
+  sendExpoMessages,
+  getExpoReceipts,
+} = require("../config/expoPush");
+
+const FCM_CHUNK_SIZE = 500;
+
+/** Receipts are usually ready within 15 minutes of the send */
+const EXPO_RECEIPT_DELAY_MS = 15 * 60 * 1000;
+
+/** A receipt that wasn't ready is asked for again after this, up to the max attempts */
+const EXPO_RECEIPT_RETRY_MS = 30 * 60 * 1000;
+const EXPO_RECEIPT_MAX_ATTEMPTS = 6;
+
+/** FCM error codes that mean the token will never work again */
+const DEAD_FCM_CODES = [
+  "registration-token-not-registered",
+  "invalid-registration-token",
+];
+
+const DEAD_EXPO_ERRORS = ["DeviceNotRegistered"];
+
+const isExpoToken = (token) =>
+  typeof token === "string" && /^Expo(nent)?PushToken\[.+\]$/.test(token);
+
+const emptyCounts = () => ({ totalTokens: 0, successCount: 0, failureCount: 0 });
+
+const emptyStats = () => ({
+  ...emptyCounts(),
+  invalidTokensRemoved: 0,
+  failureReasons: {},
+  byProvider: {},
+});
+
+/** Per-send bookkeeping shared by the backends */
+function createContext(stats, provider) {
+  const counts = emptyCounts();
+  stats.byProvider[provider] = counts;
+
+  return {
+    success(n = 1) {
+      stats.successCount += n;
+      counts.successCount += n;
+    },
+    failure(reason) {
+      stats.failureCount += 1;
+      counts.failureCount += 1;
+      stats.failureReasons[reason] = (stats.failureReasons[reason] || 0) + 1;
+    },
+    counts,
+  };
+}
+
+/* ================= SENDER BACKENDS ================= */
+
+const fcmSender = {
+  name: "fcm",
+
+  async send(tokens, { title, body, imageUrl, data = {} }, ctx, deadTokens) {
+    const messaging = getFirebaseMessaging();
+
+    for (let i = 0; i < tokens.length; i += FCM_CHUNK_SIZE) {
+      const tokenChunk = tokens.slice(i, i + FCM_CHUNK_SIZE);
+      const response = await messaging.sendEachForMulticast({
+        tokens: tokenChunk,
+        notification: {
+          title: String(title),
+          body: String(body),
+          ...(imageUrl ? { imageUrl: String(imageUrl) } : {}),
+        },
+        data: {
+          ...data,
+          ...(imageUrl ? { imageUrl: String(imageUrl) } : {}),
+        },
+      });
+
+      ctx.success(response.successCount);
+
+      response.responses.forEach((item, idx) => {
+        if (item.success) return;
+        const code = item.error?.code || "unknown-error";
+        ctx.failure(code);
+        if (DEAD_FCM_CODES.some((dead) => code.includes(dead))) {
+          deadTokens.set(tokenChunk[idx], code);
+        }
+      });
+    }
+  },
+};
+
+const expoSender = {
+  name: "expo",
+
+  async send(tokens, { title, body, imageUrl, data = {} }, ctx, deadTokens, { notificationId }) {
+    const pendingReceipts = [];
+
+    for (let i = 0; i < tokens.length; i += EXPO_SEND_CHUNK_SIZE) {
+      const tokenChunk = tokens.slice(i, i + EXPO_SEND_CHUNK_SIZE);
+      const messages = tokenChunk.map((to) => ({
+        to,
+        title: String(title),
+        body: String(body),
+        sound: "default",
+        data: {
+          ...data,
+          ...(imageUrl ? { imageUrl: String(imageUrl) } : {}),
+        },
+        ...(imageUrl ? { richContent: { image: String(imageUrl) } } : {}),
+      }));
+
+      let tickets;
+      try {
+        tickets = await sendExpoMessages(messages);
+      } catch (error) {
+        // Whole request rejected (network, auth, payload) — nothing was delivered
+        console.error("Expo push request failed:", error.response?.data || error.message);
+        tokenChunk.forEach(() => ctx.failure("expo-request-failed"));
+        continue;
+      }
+
+      tokenChunk.forEach((token, idx) => {
+        const ticket = tickets[idx];
+        if (ticket?.status === "ok") {
+          ctx.success();
+          if (ticket.id) {
+            pendingReceipts.push({ ticketId: ticket.id, token, notification: notificationId || null });
+          }
+          return;
+        }
+
+        const code = ticket?.details?.error || "unknown-error";
+        ctx.failure(code);
+        if (DEAD_EXPO_ERRORS.includes(code)) {
+          deadTokens.set(token, code);
+        }
+      });
+    }
+
+    if (pendingReceipts.length) {
+      await PushReceipt.insertMany(pendingReceipts, { ordered: false });
+    }
+  },
+};
+
+const SENDERS = [expoSender, fcmSender];
+
+const senderFor = (token) => (isExpoToken(token) ? expoSender : fcmSender);
+
+/* ================= SENDING ================= */
+
+async function disableDeadTokens(deadTokens) {
+  if (!deadTokens.size) return;
+
+  const now = new Date();
+  await PushDevice.bulkWrite(
+    [...deadTokens].map(([token, reason]) => ({
+      updateOne: {
+        filter: { token },
+        update: { $set: { disabled: true, disabledAt: now, disabledReason: reason } },
+      },
+    })),
+  );
+}
+
+/**
+ * @param {string[]} tokens
+ * @param {{ title: string, body: string, imageUrl?: string, data?: Object<string, string> }} payload
+ * @param {{ notificationId?: import("mongoose").Types.ObjectId }} [options]
+ *        notificationId links Expo receipts back to the Notification whose stats they correct
+ */
+async function sendToTokens(tokens, payload, options = {}) {
+  const stats = emptyStats();
+  const unique = [...new Set(tokens.filter(Boolean))];
+  stats.totalTokens = unique.length;
+
+  const deadTokens = new Map();
+
+  for (const sender of SENDERS) {
+    const senderTokens = unique.filter((token) => senderFor(token) === sender);
+    if (!senderTokens.length) continue;
+
+    const ctx = createContext(stats, sender.name);
+    ctx.counts.totalTokens = senderTokens.length;
+
+    try {
+      await sender.send(senderTokens, payload, ctx, deadTokens, options);
+    } catch (error) {
+      // e.g. Firebase credentials missing — the other backend still delivers
+      console.error(`Push sender "${sender.name}" failed:`, error.message);
+      const handled = ctx.counts.successCount + ctx.counts.failureCount;
+      for (let i = handled; i < senderTokens.length; i += 1) {
+        ctx.failure(`${sender.name}-unavailable`);
+      }
+    }
+  }
+
+  await disableDeadTokens(deadTokens);
+  stats.invalidTokensRemoved = deadTokens.size;
+
+  return stats;
+}
+
+/** Sends to every active device of one customer */
+async function sendToUser(userId, payload, options) {
+  const devices = await PushDevice.find({ user: userId, disabled: false })
+    .select("token")
+    .lean();
+  return sendToTokens(devices.map((d) => d.token), payload, options);
+}
+
+/** Sends to every active customer device */
+async function broadcast(payload, options) {
+  const devices = await PushDevice.find({ disabled: false, user: { $ne: null } })
+    .select("token")
+    .lean();
+  return sendToTokens(devices.map((d) => d.token), payload, options);
+}
+
+/** Sends to the admin-app devices of every active admin holding `permission` */
+async function sendToAdmins(permission, payload, options) {
+  const admins = await Admin.find({ status: "active" }).select("role").lean();
+  const adminIds = admins
+    .filter((admin) => roleHasPermission(admin.role, permission))
+    .map((admin) => admin._id);
+
+  const devices = await PushDevice.find({ admin: { $in: adminIds }, disabled: false })
+    .select("token")
+    .lean();
+  return sendToTokens(devices.map((d) => d.token), payload, options);
+}
+
+/* ================= EXPO RECEIPTS ================= */
+
+/**
+ * Scheduler job — fetches Expo receipts for tickets old enough to have one,
+ * disables tokens Expo reports as unregistered and moves late failures from
+ * success to failure on the originating Notification.
+ *
+ * Oldest tickets go first; one whose receipt isn't ready waits
+ * EXPO_RECEIPT_RETRY_MS before it's asked for again, so it can't crowd newer
+ * tickets out of the batch, and is dropped after EXPO_RECEIPT_MAX_ATTEMPTS.
+ */
+async function processExpoReceipts() {
+  const now = Date.now();
+  const pending = await PushReceipt.find({
+    createdAt: { $lte: new Date(now - EXPO_RECEIPT_DELAY_MS) },
+    $or: [{ checkedAt: null }, { checkedAt: { $lte: new Date(now - EXPO_RECEIPT_RETRY_MS) } }],
+  })
+    .sort({ createdAt: 1 })
+    .limit(EXPO_RECEIPT_CHUNK_SIZE)
+    .lean();
+
+  if (!pending.length) return;
+
+  const receipts = await getExpoReceipts(pending.map((p) => p.ticketId));
+
+  const deadTokens = new Map();
+  const processedIds = [];
+  const notReadyIds = [];
+  const notificationUpdates = new Map();
+
+  for (const row of pending) {
+    const receipt = receipts[row.ticketId];
+    if (!receipt) {
+      // Not ready yet — retried later, or given up on once out of attempts
+      if ((row.attempts || 0) + 1 >= EXPO_RECEIPT_MAX_ATTEMPTS) processedIds.push(row._id);
+      else notReadyIds.push(row._id);
+      continue;
+    }
+
+    processedIds.push(row._id);
+    if (receipt.status === "ok") continue;
+
+    const code = receipt.details?.error || "unknown-error";
+    const isDead = DEAD_EXPO_ERRORS.includes(code);
+    if (isDead) deadTokens.set(row.token, code);
+
+    if (row.notification) {
+      const key = String(row.notification);
+      const inc = notificationUpdates.get(key) || {
+        "stats.successCount": 0,
+        "stats.failureCount": 0,
+        "stats.invalidTokensRemoved": 0,
+        "stats.byProvider.expo.successCount": 0,
+        "stats.byProvider.expo.failureCount": 0,
+      };
+      inc["stats.successCount"] -= 1;
+      inc["stats.failureCount"] += 1;
+      inc["stats.byProvider.expo.successCount"] -= 1;
+      inc["stats.byProvider.expo.failureCount"] += 1;
+      if (isDead) inc["stats.invalidTokensRemoved"] += 1;
+      notificationUpdates.set(key, inc);
+    }
+  }
+
+  await disableDeadTokens(deadTokens);
+
+  for (const [notificationId, inc] of notificationUpdates) {
+    await Notification.updateOne({ _id: notificationId }, { $inc: inc });
+  }
+
+  if (processedIds.length) {
+    await PushReceipt.deleteMany({ _id: { $in: processedIds } });
+  }
+  if (notReadyIds.length) {
+    await PushReceipt.updateMany(
+      { _id: { $in: notReadyIds } },
+      { $set: { checkedAt: new Date() }, $inc: { attempts: 1 } },
+    );
+  }
+}
+
+/* ================= DEVICES ================= */
+
+/** Upserts a device under `owner` ({ user } or { admin }), taking it from any previous owner */
+async function upsertPushDevice(owner, { token, platform, appVersion }) {
+  return PushDevice.findOneAndUpdate(
+    { token },
+    {
+      $set: {
+        user: null,
+        admin: null,
+        ...owner,
+        platform,
+        appVersion: appVersion || null,
+        lastSeenAt: new Date(),
+        disabled: false,
+        disabledAt: null,
+        disabledReason: null,
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true },
+  );
+}
+
+/**
+ * Registers (or re-activates) a device token for a user. A token that moves to
+ * another account — logout/login on the same phone — is reassigned.
+ */
+async function registerPushDevice(userId, details) {
+  return upsertPushDevice({ user: userId }, details);
+}
+
+/** Same for the admin app — these devices get alerts such as low stock */
+async function registerAdminPushDevice(adminId, details) {
+  return upsertPushDevice({ admin: adminId }, details);
+}
+
+module.exports = {
+  isExpoToken,
+  sendToTokens,
+  sendToUser,
+  broadcast,
+  sendToAdmins,
+  processExpoReceipts,
+  registerPushDevice,
+  registerAdminPushDevice,
+};
@@ -0,0 +1,44 @@
+/**
+ * Minimal in-process job runner for periodic housekeeping.
+ *
+ * Jobs must be idempotent — with several API instances each one runs them.
+ * A job never overlaps with itself; a run that throws is logged and retried
+ * on the next tick.
+ */
+
+const jobs = [];
+let started = false;
+
+/**
+ * @param {string} name
+ * @param {number} intervalMs
+ * @param {() => Promise<void>} fn
+ */
+function registerJob(name, intervalMs, fn) {
+  jobs.push({ name, intervalMs, fn, running: false, timer: null });
+}
+
+async function runJob(job) {
+  if (job.running) return;
+  job.running = true;
+  try {
+    await job.fn();
+  } catch (error) {
+    console.error(`Scheduled job "${job.name}" failed:`, error);
+  } finally {
+    job.running = false;
+  }
+}
+
+/** Set DISABLE_SCHEDULER=true on instances that should not run jobs */
+function startScheduler() {
+  if (started || process.env.DISABLE_SCHEDULER === "true") return;
+  started = true;
+
+  for (const job of jobs) {
+    job.timer = setInterval(() => runJob(job), job.intervalMs);
+    job.timer.unref();
+  }
+}
+
+module.exports = { registerJob, startScheduler };
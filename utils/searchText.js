@@ -0,0 +1,75 @@
+/**
+ * Text folding for product search — pure helpers shared by the Product model
+ * (to build stored search terms) and the search queries.
+ *
+ * Folding makes common transliteration and spelling variants collide:
+ *   "atta" / "aata" → "ata",  "ghee" / "ghi" → "gi",  "jeera" / "zeera" → "jira"
+ */
+
+/** Applied in order — vowel digraphs before doubled letters are collapsed */
+const FOLD_RULES = [
+  [/ee/g, "i"],
+  [/oo/g, "u"],
+  [/([kgtdbc])h/g, "$1"], // aspirated consonants: kh, gh, th, dh, bh, ch
+  [/ph/g, "f"],
+  [/sh/g, "s"],
+  [/w/g, "v"],
+  [/z/g, "j"],
+  [/q/g, "k"],
+  [/(.)\1+/g, "$1"], // doubled letters: atta → ata, aata → ata
+];
+
+/** Latin-only words are folded; other scripts are kept as typed */
+function foldTerm(word) {
+  let term = String(word || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\p{L}\p{M}\p{N}]/gu, "");
+
+  if (!term || !/^[a-z0-9]+$/.test(term) || /^\d+$/.test(term)) return term;
+
+  for (const [pattern, replacement] of FOLD_RULES) {
+    term = term.replace(pattern, replacement);
+  }
+  return term;
+}
+
+/** Splits free text into unique folded terms */
+function tokenize(text) {
+  const words = String(text || "").split(/[^\p{L}\p{M}\p{N}]+/u);
+  return [...new Set(words.map(foldTerm).filter(Boolean))];
+}
+
+/**
+ * Derived fields stored on each product. The three strings feed the weighted
+ * text index; `tokens` (all terms) backs prefix matching and typo correction;
+ * `suggest` (name and keyword terms only) backs autocomplete.
+ */
+function buildSearchTerms({ name, brand, tags, searchKeywords, description }) {
+  const nameTerms = tokenize(name);
+  const keywordTerms = tokenize([brand, ...(tags || []), ...(searchKeywords || [])].join(" "));
+  const descriptionTerms = tokenize(description);
+
+  return {
+    name: nameTerms.join(" "),
+    keywords: keywordTerms.join(" "),
+    description: descriptionTerms.join(" "),
+    tokens: [...new Set([...nameTerms, ...keywordTerms, ...descriptionTerms])],
+    suggest: [...new Set([...nameTerms, ...keywordTerms])],
+  };
+}
+
+const SEARCH_SOURCE_FIELDS = ["name", "brand", "tags", "searchKeywords", "description"];
+
+function escapeRegex(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+module.exports = {
+  foldTerm,
+  tokenize,
+  buildSearchTerms,
+  escapeRegex,
+  SEARCH_SOURCE_FIELDS,
+};
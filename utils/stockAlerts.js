@@ -0,0 +1,237 @@
+/**
+ * Low stock: the replenishment report and admin alerts.
+ *
+ * A variant is low when its stock is at or below its lowStockThreshold. Alerts
+ * are de-duplicated by keeping one open StockAlert per variant: dropping below
+ * the threshold opens one (and pushes it to catalog admins), climbing back
+ * above resolves it, so admins hear once per crossing rather than per order.
+ */
+
+const Product = require("../models/Product");
+const StockAlert = require("../models/StockAlert");
+const { PERMISSIONS } = require("../config/adminRoles");
+const { sendToAdmins } = require("./pushNotifications");
+
+/** Matches the schema default for variants saved before the field existed */
+const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+const thresholdOf = (variant) => variant.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD;
+
+const isLowStock = (variant) => variant.stock <= thresholdOf(variant);
+
+/**
+ * Aggregation expression: is the variant `$$<name>` (or `$<name>` path when
+ * `name` starts with "$") low? `threshold` overrides the per-variant one.
+ */
+function lowStockExpression(name = "$$this", threshold) {
+  return {
+    $lte: [
+      `${name}.stock`,
+      threshold ?? { $ifNull: [`${name}.lowStockThreshold`, DEFAULT_LOW_STOCK_THRESHOLD] },
+    ],
+  };
+}
+
+/* ================= ALERTS ================= */
+
+async function pushAlert(alert) {
+  const label = alert.packSize ? ` ${alert.packSize} ${alert.packUnit}` : "";
+  const stats = await sendToAdmins(PERMISSIONS.CATALOG_WRITE, {
+    title: `Low stock: ${alert.productName}${label}`,
+    body:
+      alert.stock === 0
+        ? "Out of stock"
+        : `Only ${alert.stock} left (threshold ${alert.threshold})`,
+    data: {
+      type: "low_stock",
+      alertId: String(alert._id),
+      productId: String(alert.product),
+      variantId: String(alert.variantId),
+    },
+  });
+
+  await StockAlert.updateOne(
+    { _id: alert._id },
+    {
+      $set: {
+        "push.sentAt": new Date(),
+        "push.successCount": stats.successCount,
+        "push.failureCount": stats.failureCount,
+      },
+    },
+  );
+}
+
+/**
+ * Opens an alert for a low variant unless one is already open.
+ * @returns {Promise<Object|null>} the new alert, or null if it was a duplicate
+ */
+async function raiseAlert(product, variant) {
+  try {
+    const result = await StockAlert.findOneAndUpdate(
+      { variantId: variant._id, status: "open" },
+      {
+        $setOnInsert: {
+          product: product._id,
+          productName: product.name,
+          sku: variant.sku,
+          packSize: variant.packSize,
+          packUnit: variant.packUnit,
+          seller: product.seller?.sellerId || null,
+          category: product.category || null,
+          stock: variant.stock,
+          threshold: thresholdOf(variant),
+        },
+      },
+      { upsert: true, new: true, includeResultMetadata: true },
+    );
+    return result.lastErrorObject?.updatedExisting ? null : result.value;
+  } catch (error) {
+    // A concurrent order raised the same alert first
+    if (error.code === 11000) return null;
+    throw error;
+  }
+}
+
+/**
+ * Re-reads the given variants and opens or resolves their alerts. New alerts
+ * are pushed to admins with catalog access.
+ *
+ * @param {Array<{ product, variantId }>} items order items, ledger rows, …
+ * @returns {Promise<number>} alerts raised
+ */
+async function checkStockThresholds(items) {
+  const variantIds = new Set(items.map((item) => String(item.variantId)));
+  if (!variantIds.size) return 0;
+
+  const products = await Product.find({
+    _id: { $in: [...new Set(items.map((item) => String(item.product?._id || item.product)))] },
+  })
+    .select("name category seller.sellerId variants")
+    .lean();
+
+  const raised = [];
+  const recovered = [];
+
+  for (const product of products) {
+    for (const variant of product.variants || []) {
+      if (!variantIds.has(String(variant._id))) continue;
+      // Bundle stock follows its components, which alert on their own
+      if (variant.components?.length) continue;
+
+      if (isLowStock(variant)) {
+        const alert = await raiseAlert(product, variant);
+        if (alert) raised.push(alert);
+      } else {
+        recovered.push(variant._id);
+      }
+    }
+  }
+
+  if (recovered.length) {
+    await StockAlert.updateMany(
+      { variantId: { $in: recovered }, status: "open" },
+      { $set: { status: "resolved", resolvedAt: new Date() } },
+    );
+  }
+
+  for (const alert of raised) {
+    await pushAlert(alert).catch((error) =>
+      console.error(`Low stock push for alert ${alert._id} failed:`, error.message),
+    );
+  }
+
+  return raised.length;
+}
+
+/* ================= REPORT ================= */
+
+/**
+ * Active variants at or below their threshold, emptiest first. Bundles are
+ * left out — they are restocked through their components.
+ *
+ * @param {{ match?: Object, threshold?: number, skip?: number, limit?: number }} options
+ *        match filters products; threshold overrides every variant's own
+ * @returns {Promise<{ variants: Object[], total: number, summary: Object }>}
+ */
+async function lowStockReport({ match = {}, threshold, skip = 0, limit = 50 }) {
+  const [result] = await Product.aggregate([
+    { $match: match },
+    { $unwind: "$variants" },
+    {
+      $match: {
+        "variants.isActive": { $ne: false },
+        "variants.components.0": { $exists: false },
+        $expr: lowStockExpression("$variants", threshold),
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        productId: "$_id",
+        productName: "$name",
+        slug: 1,
+        category: 1,
+        seller: { sellerId: "$seller.sellerId", sellerName: "$seller.sellerName" },
+        variantId: "$variants._id",
+        sku: "$variants.sku",
+        packSize: "$variants.packSize",
+        packUnit: "$variants.packUnit",
+        stock: "$variants.stock",
+        lowStockThreshold: {
+          $ifNull: ["$variants.lowStockThreshold", DEFAULT_LOW_STOCK_THRESHOLD],
+        },
+      },
+    },
+    {
+      $facet: {
+        variants: [
+          { $sort: { stock: 1, productName: 1, variantId: 1 } },
+          { $skip: skip },
+          { $limit: limit },
+          {
+            $lookup: {
+              from: "categories",
+              localField: "category",
+              foreignField: "_id",
+              pipeline: [{ $project: { name: 1, slug: 1 } }],
+              as: "category",
+            },
+          },
+          { $set: { category: { $first: "$category" } } },
+        ],
+        total: [{ $count: "count" }],
+        outOfStock: [{ $match: { stock: { $lte: 0 } } }, { $count: "count" }],
+        bySeller: [
+          {
+            $group: {
+              _id: "$seller.sellerId",
+              sellerName: { $first: "$seller.sellerName" },
+              variants: { $sum: 1 },
+            },
+          },
+          { $sort: { variants: -1 } },
+          { $project: { _id: 0, sellerId: "$_id", sellerName: 1, variants: 1 } },
+        ],
+      },
+    },
+  ]);
+
+  const total = result.total[0]?.count || 0;
+  return {
+    variants: result.variants,
+    total,
+    summary: {
+      lowStock: total,
+      outOfStock: result.outOfStock[0]?.count || 0,
+      bySeller: result.bySeller,
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_LOW_STOCK_THRESHOLD,
+  lowStockExpression,
+  checkStockThresholds,
+  lowStockReport,
+};
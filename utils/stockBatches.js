@@ -0,0 +1,412 @@
+/**
+ * Batch (lot) tracking with first-expiry-first-out allocation.
+ *
+ * A variant becomes batch-tracked with its first received batch; stock on hand
+ * at that moment is kept as an "OPENING" batch with no expiry. From then on the
+ * variant's `stock` equals the remaining quantity of its sellable batches
+ * (active and not yet expired): every batch change moves stock through the
+ * inventory ledger by the same amount, and admins can no longer set it directly.
+ */
+
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const StockBatch = require("../models/StockBatch");
+const { moveStock } = require("./inventoryLedger");
+
+const OPENING_BATCH_NUMBER = "OPENING";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isSellable = (batch, now = new Date()) =>
+  batch.status === "active" && (!batch.expiresAt || batch.expiresAt > now);
+
+/** Dated batches by expiry, then undated ones oldest first */
+const fefoOrder = (a, b) => {
+  if (a.expiresAt && b.expiresAt) return a.expiresAt - b.expiresAt || a.receivedAt - b.receivedAt;
+  if (a.expiresAt || b.expiresAt) return a.expiresAt ? -1 : 1;
+  return a.receivedAt - b.receivedAt;
+};
+
+const sellableFilter = (now = new Date()) => ({
+  status: "active",
+  quantity: { $gt: 0 },
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+});
+
+/**
+ * Expiry worked out from the product's shelfLife, or null if it has none.
+ */
+function shelfLifeExpiry(product, receivedAt) {
+  const { value, unit } = product.shelfLife || {};
+  if (!(value > 0)) return null;
+
+  const expiry = new Date(receivedAt);
+  if (unit === "months") {
+    expiry.setMonth(expiry.getMonth() + value);
+  } else {
+    expiry.setTime(expiry.getTime() + value * DAY_MS);
+  }
+  return expiry;
+}
+
+/** @returns {Promise<number>} units a customer can buy right now */
+async function sellableQuantity(variantId) {
+  const [row] = await StockBatch.aggregate([
+    {
+      $match: {
+        variantId: new mongoose.Types.ObjectId(String(variantId)),
+        ...sellableFilter(),
+      },
+    },
+    { $group: { _id: null, quantity: { $sum: "$quantity" } } },
+  ]);
+  return row?.quantity || 0;
+}
+
+/**
+ * Receives a batch into stock.
+ *
+ * @param {Object} product product document
+ * @param {Object} variant its variant subdocument
+ * @param {{ batchNumber, quantity, receivedAt?, expiresAt?, note?, adminId? }} details
+ *        expiresAt defaults to receivedAt + the product's shelfLife
+ * @returns {Promise<{ batch?: Object, error?: string }>}
+ */
+async function receiveBatch(product, variant, details) {
+  const { batchNumber, quantity, note, adminId = null } = details;
+  const receivedAt = details.receivedAt ? new Date(details.receivedAt) : new Date();
+  const expiresAt = details.expiresAt
+    ? new Date(details.expiresAt)
+    : shelfLifeExpiry(product, receivedAt);
+
+  if (variant.components?.length) {
+    return { error: "Bundles hold no stock of their own; receive batches for their components" };
+  }
+  if (!batchNumber || String(batchNumber).trim().toUpperCase() === OPENING_BATCH_NUMBER) {
+    return { error: "A batch number is required" };
+  }
+  if (!(Number.isInteger(quantity) && quantity > 0)) {
+    return { error: "Quantity must be a positive whole number" };
+  }
+  if (Number.isNaN(receivedAt.getTime()) || (expiresAt && Number.isNaN(expiresAt.getTime()))) {
+    return { error: "Invalid receivedAt or expiresAt date" };
+  }
+  if (!expiresAt && product.expiryRequired) {
+    return { error: "This product needs an expiry date (or a shelf life to work it out)" };
+  }
+  if (expiresAt && expiresAt <= new Date()) {
+    return { error: "Cannot receive a batch that has already expired" };
+  }
+
+  const item = { product: product._id, variantId: variant._id };
+
+  if (!variant.batchTracked) {
+    if (variant.stock > 0) {
+      await StockBatch.create({
+        ...item,
+        batchNumber: OPENING_BATCH_NUMBER,
+        quantityReceived: variant.stock,
+        quantity: variant.stock,
+        note: "Stock on hand when batch tracking started",
+        createdBy: adminId,
+      });
+    }
+    await Product.updateOne(
+      { _id: product._id, "variants._id": variant._id },
+      { $set: { "variants.$.batchTracked": true } },
+    );
+  }
+
+  const batch = await StockBatch.create({
+    ...item,
+    batchNumber: String(batchNumber).trim(),
+    receivedAt,
+    expiresAt,
+    quantityReceived: quantity,
+    quantity,
+    note,
+    createdBy: adminId,
+  });
+
+  await moveStock(item, {
+    delta: quantity,
+    reason: "receive",
+    adminId,
+    note: `Batch ${batch.batchNumber}`,
+  });
+
+  return { batch };
+}
+
+/**
+ * Draws `item.quantity` from the variant's sellable batches, earliest expiry
+ * first. Variants that aren't batch-tracked get an empty allocation.
+ *
+ * Throws when a tracked variant's batches can't cover the quantity — they may
+ * have run out since the stock check — so the caller's transaction aborts
+ * rather than selling units no batch accounts for.
+ *
+ * @returns {Promise<Array<{ batch, batchNumber, expiresAt, quantity }>>}
+ */
+async function allocateBatches(item, session = null) {
+  const batches = await StockBatch.find({ variantId: item.variantId, ...sellableFilter() })
+    .session(session)
+    .lean();
+
+  if (!batches.length) {
+    const tracked = await Product.exists({
+      variants: { $elemMatch: { _id: item.variantId, batchTracked: true } },
+    }).session(session);
+    if (!tracked) return [];
+  }
+
+  const allocation = [];
+  let remaining = item.quantity;
+
+  for (const batch of batches.sort(fefoOrder)) {
+    if (remaining <= 0) break;
+    const take = Math.min(remaining, batch.quantity);
+
+    const result = await StockBatch.updateOne(
+      { _id: batch._id, quantity: { $gte: take } },
+      { $inc: { quantity: -take } },
+      { session },
+    );
+    if (!result.modifiedCount) continue;
+
+    allocation.push({
+      batch: batch._id,
+      batchNumber: batch.batchNumber,
+      expiresAt: batch.expiresAt,
+      quantity: take,
+    });
+    remaining -= take;
+  }
+
+  if (remaining > 0) {
+    throw new Error(
+      `Only ${item.quantity - remaining} of ${item.quantity} units of ${item.sku || item.variantId} are left in sellable batches`,
+    );
+  }
+
+  return allocation;
+}
+
+/**
+ * Puts allocated units back into their batches (cancellation, return).
+ * @returns {Promise<number>} units that went back into sellable batches — the
+ *          rest landed in batches that expired or were withdrawn meanwhile
+ */
+async function releaseBatches(allocation, session = null) {
+  const now = new Date();
+  let sellable = 0;
+
+  for (const entry of allocation) {
+    const batch = await StockBatch.findByIdAndUpdate(
+      entry.batch,
+      { $inc: { quantity: entry.quantity } },
+      { new: true, session },
+    ).lean();
+    if (batch && isSellable(batch, now)) sellable += entry.quantity;
+  }
+
+  return sellable;
+}
+
+/**
+ * Takes a batch out of sale (damage, recall) and its remaining units out of stock.
+ * @returns {Promise<Object|null>} the withdrawn batch, or null if it wasn't active
+ */
+async function withdrawBatch(batchId, { adminId = null, note } = {}) {
+  const batch = await StockBatch.findOneAndUpdate(
+    { _id: batchId, status: "active" },
+    { $set: { status: "withdrawn", withdrawnAt: new Date(), withdrawnBy: adminId } },
+    { new: true },
+  );
+  if (!batch) return null;
+
+  // Still "active", so the expiry job hasn't taken its units out of stock yet
+  if (batch.quantity > 0) {
+    await moveStock(batch, {
+      delta: -batch.quantity,
+      reason: "withdrawal",
+      adminId,
+      note: [`Batch ${batch.batchNumber} withdrawn`, note].filter(Boolean).join(": "),
+    });
+  }
+  return batch;
+}
+
+/**
+ * Scheduler job — marks batches past their expiry as expired and removes
+ * what's left in them from sellable stock.
+ */
+async function expireBatches() {
+  const now = new Date();
+  const due = await StockBatch.find({ status: "active", expiresAt: { $ne: null, $lte: now } })
+    .select("_id")
+    .lean();
+
+  let expired = 0;
+  for (const { _id } of due) {
+    const batch = await StockBatch.findOneAndUpdate(
+      { _id, status: "active" },
+      { $set: { status: "expired", expiredAt: now } },
+      { new: true },
+    );
+    if (!batch) continue;
+
+    expired += 1;
+    if (batch.quantity > 0) {
+      await moveStock(batch, {
+        delta: -batch.quantity,
+        reason: "expiry",
+        note: `Batch ${batch.batchNumber} expired`,
+      });
+    }
+  }
+
+  if (expired) {
+    console.log(`Batch expiry: expired ${expired} batches`);
+  }
+  return expired;
+}
+
+/**
+ * Sellable batches expiring within `days`, soonest first.
+ *
+ * @param {{ days: number, productMatch?: Object, skip?: number, limit?: number }} options
+ *        productMatch filters the batches' products (seller, category, …)
+ * @returns {Promise<{ batches: Object[], total: number }>}
+ */
+async function nearExpiryReport({ days, productMatch = {}, skip = 0, limit = 50 }) {
+  const now = new Date();
+  const [result] = await StockBatch.aggregate([
+    {
+      $match: {
+        status: "active",
+        quantity: { $gt: 0 },
+        expiresAt: { $gt: now, $lte: new Date(now.getTime() + days * DAY_MS) },
+      },
+    },
+    {
+      $lookup: {
+        from: "products",
+        localField: "product",
+        foreignField: "_id",
+        pipeline: [
+          { $match: productMatch },
+          { $project: { name: 1, slug: 1, category: 1, seller: 1, variants: 1 } },
+        ],
+        as: "product",
+      },
+    },
+    { $unwind: "$product" },
+    {
+      $set: {
+        variant: {
+          $first: {
+            $filter: {
+              input: "$product.variants",
+              cond: { $eq: ["$$this._id", "$variantId"] },
+            },
+          },
+        },
+        daysLeft: {
+          $ceil: { $divide: [{ $subtract: ["$expiresAt", now] }, DAY_MS] },
+        },
+      },
+    },
+    {
+      $project: {
+        batchNumber: 1,
+        receivedAt: 1,
+        expiresAt: 1,
+        daysLeft: 1,
+        quantity: 1,
+        productId: "$product._id",
+        productName: "$product.name",
+        slug: "$product.slug",
+        seller: {
+          sellerId: "$product.seller.sellerId",
+          sellerName: "$product.seller.sellerName",
+        },
+        variantId: 1,
+        sku: "$variant.sku",
+        packSize: "$variant.packSize",
+        packUnit: "$variant.packUnit",
+      },
+    },
+    {
+      $facet: {
+        batches: [{ $sort: { expiresAt: 1, _id: 1 } }, { $skip: skip }, { $limit: limit }],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+
+  return { batches: result.batches, total: result.total[0]?.count || 0 };
+}
+
+/**
+ * Adds `bestBefore` to each batch-tracked variant — the expiry of the batch
+ * the next order would be drawn from — so the app can show freshness.
+ * @param {Object} product lean / plain product
+ * @returns {Promise<Object>} the same product
+ */
+async function attachBestBefore(product) {
+  const tracked = (product.variants || []).filter((v) => v.batchTracked);
+  if (!tracked.length) return product;
+
+  const batches = await StockBatch.find({
+    variantId: { $in: tracked.map((v) => v._id) },
+    ...sellableFilter(),
+  })
+    .select("variantId expiresAt receivedAt")
+    .lean();
+
+  const next = new Map();
+  for (const batch of batches.sort(fefoOrder)) {
+    const key = String(batch.variantId);
+    if (!next.has(key)) next.set(key, batch.expiresAt);
+  }
+
+  for (const variant of tracked) {
+    variant.bestBefore = next.get(String(variant._id)) ?? null;
+  }
+  return product;
+}
+
+/**
+ * For a full variants replacement (PUT /products/:id): batch-tracked variants
+ * keep their tracked flag and batch-derived stock whatever the client sent;
+ * other variants can't switch tracking on by themselves.
+ * @returns {Object[]} the same variants array
+ */
+function preserveBatchStock(variants, existingProduct) {
+  const tracked = new Map(
+    (existingProduct.variants || [])
+      .filter((v) => v.batchTracked)
+      .map((v) => [String(v._id), v.stock]),
+  );
+
+  for (const variant of variants) {
+    const key = variant._id ? String(variant._id) : null;
+    variant.batchTracked = tracked.has(key);
+    if (variant.batchTracked) variant.stock = tracked.get(key);
+  }
+  return variants;
+}
+
+module.exports = {
+  shelfLifeExpiry,
+  sellableQuantity,
+  receiveBatch,
+  allocateBatches,
+  releaseBatches,
+  withdrawBatch,
+  expireBatches,
+  nearExpiryReport,
+  attachBestBefore,
+  preserveBatchStock,
+};
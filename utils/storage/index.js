@@ -0,0 +1,30 @@
+/**
+ * Storage layer for uploaded files.
+ *
+ * A driver is { name, isConfigured(), put(key, buffer, contentType) → public URL, remove(keys) }.
+ * New uploads go to the driver picked in config/storage.js; each stored image
+ * records its driver so it can still be deleted after the setting changes.
+ */
+
+const { driver } = require("../../config/storage");
+const localDisk = require("./localDisk");
+const supabaseStorage = require("./supabaseStorage");
+
+const DRIVERS = {
+  [localDisk.name]: localDisk,
+  [supabaseStorage.name]: supabaseStorage,
+};
+
+/** @param {string} [name] defaults to the configured driver */
+function getStorage(name = driver) {
+  const storage = DRIVERS[name];
+  if (!storage) {
+    throw new Error(`Unknown storage driver "${name}"`);
+  }
+  if (!storage.isConfigured()) {
+    throw new Error(`Storage driver "${name}" is not configured`);
+  }
+  return storage;
+}
+
+module.exports = { getStorage };
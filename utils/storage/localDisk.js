@@ -0,0 +1,30 @@
+const fs = require("fs/promises");
+const path = require("path");
+const { local } = require("../../config/storage");
+
+/** Files under UPLOADS_DIR, served by the /uploads static route */
+module.exports = {
+  name: "local",
+
+  isConfigured: () => true,
+
+  async put(key, buffer) {
+    const file = path.join(local.dir, key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+    return `${local.publicUrl}/${key}`;
+  },
+
+  async remove(keys) {
+    const dirs = new Set();
+    for (const key of keys) {
+      const file = path.join(local.dir, key);
+      await fs.rm(file, { force: true });
+      dirs.add(path.dirname(file));
+    }
+    // Each image has its own folder — drop it once empty
+    for (const dir of dirs) {
+      await fs.rmdir(dir).catch(() => {});
+    }
+  },
+};
@@ -0,0 +1,32 @@
+const { supabase: config } = require("../../config/storage");
+
+// Required lazily — config/supabase.js throws at load time when SUPABASE_URL is unset
+const bucket = () => require("../../config/supabase").storage.from(config.bucket);
+
+/** Public Supabase Storage bucket */
+module.exports = {
+  name: "supabase",
+
+  isConfigured: () =>
+    Boolean(
+      process.env.SUPABASE_URL &&
+        (process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY),
+    ),
+
+  async put(key, buffer, contentType) {
+    const { error } = await bucket().upload(key, buffer, {
+      contentType,
+      cacheControl: "31536000",
+      upsert: false,
+    });
+    if (error) throw new Error(`Supabase upload failed: ${error.message}`);
+
+    return bucket().getPublicUrl(key).data.publicUrl;
+  },
+
+  async remove(keys) {
+    if (!keys.length) return;
+    const { error } = await bucket().remove(keys);
+    if (error) throw new Error(`Supabase delete failed: ${error.message}`);
+  },
+};
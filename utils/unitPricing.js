@@ -0,0 +1,92 @@
+/**
+ * Price per base unit (₹/kg, ₹/litre, ₹/pc) so packs of different sizes can
+ * be compared. Always derived from the variant's current price and pack —
+ * never stored — so variant edits can't leave it stale.
+ */
+
+/** packUnit → [base unit, pack units per base unit] */
+const UNIT_CONVERSIONS = {
+  g: ["kg", 1000],
+  kg: ["kg", 1],
+  ml: ["litre", 1000],
+  litre: ["litre", 1],
+  pcs: ["pcs", 1],
+};
+
+const BASE_UNITS = ["kg", "litre", "pcs"];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * @param {{ price: number, packSize: number, packUnit: string }} variant
+ * @returns {{ value: number, unit: string } | null} e.g. 500 g at ₹40 → { value: 80, unit: "kg" }
+ */
+function pricePerUnit({ price, packSize, packUnit }) {
+  const conversion = UNIT_CONVERSIONS[packUnit];
+  if (!conversion || !(packSize > 0) || typeof price !== "number") return null;
+
+  const [unit, perBase] = conversion;
+  return { value: round2((price * perBase) / packSize), unit };
+}
+
+/**
+ * Copy of a product (document or lean) with `pricePerUnit` on every variant.
+ */
+function withUnitPricing(product) {
+  if (!product) return product;
+  const plain = typeof product.toObject === "function" ? product.toObject() : product;
+
+  return {
+    ...plain,
+    variants: (plain.variants || []).map((variant) => ({
+      ...variant,
+      pricePerUnit: pricePerUnit(variant),
+    })),
+  };
+}
+
+/**
+ * Aggregation expression for the same figure, for `$$<name>` inside a $map
+ * over variants. Resolves to { value, unit }, or value null for a zero pack size.
+ */
+function pricePerUnitExpression(name = "this") {
+  const field = (f) => `$$${name}.${f}`;
+  const branches = (pick) =>
+    Object.entries(UNIT_CONVERSIONS).map(([packUnit, conversion]) => ({
+      case: { $eq: [field("packUnit"), packUnit] },
+      then: pick(conversion),
+    }));
+
+  return {
+    unit: { $switch: { branches: branches(([unit]) => unit), default: null } },
+    value: {
+      $cond: [
+        { $gt: [field("packSize"), 0] },
+        {
+          $round: [
+            {
+              $divide: [
+                {
+                  $multiply: [
+                    field("price"),
+                    { $switch: { branches: branches(([, perBase]) => perBase), default: 1 } },
+                  ],
+                },
+                field("packSize"),
+              ],
+            },
+            2,
+          ],
+        },
+        null,
+      ],
+    },
+  };
+}
+
+module.exports = {
+  BASE_UNITS,
+  pricePerUnit,
+  withUnitPricing,
+  pricePerUnitExpression,
+};
@@ -0,0 +1,151 @@
+/**
+ * Customer session tokens — short-lived JWT access tokens plus opaque,
+ * rotating refresh tokens persisted in the RefreshToken collection.
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const RefreshToken = require("../models/RefreshToken");
+
+const ACCESS_TOKEN_TTL = process.env.USER_ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.USER_REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * Customer tokens use their own secret so they can never pass adminAuth.
+ */
+function getUserJwtSecret() {
+  const secret = process.env.USER_JWT_SECRET;
+  if (!secret) {
+    throw new Error("Missing USER_JWT_SECRET — customer sessions cannot be issued or verified.");
+  }
+  return secret;
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function signAccessToken(user) {
+  return jwt.sign({ sub: String(user._id), type: "access" }, getUserJwtSecret(), {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+}
+
+/**
+ * @returns {{ sub: string, type: string }} decoded payload
+ * @throws if the token is invalid, expired or not an access token
+ */
+function verifyAccessToken(token) {
+  const decoded = jwt.verify(token, getUserJwtSecret());
+  if (decoded?.type !== "access" || !decoded.sub) {
+    throw new Error("Not a customer access token");
+  }
+  return decoded;
+}
+
+async function createRefreshToken(userId, family, req) {
+  const token = crypto.randomBytes(48).toString("hex");
+
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: req?.ip,
+    userAgent: req?.headers?.["user-agent"],
+  });
+
+  return token;
+}
+
+function buildSessionPayload(accessToken, refreshToken) {
+  const { exp } = jwt.decode(accessToken);
+  return {
+    accessToken,
+    refreshToken,
+    tokenType: "Bearer",
+    accessTokenExpiresAt: new Date(exp * 1000),
+  };
+}
+
+/**
+ * Start a new session (new refresh token family) after OTP / demo login.
+ */
+async function issueUserSession(user, req) {
+  const family = crypto.randomUUID();
+  const refreshToken = await createRefreshToken(user._id, family, req);
+  return buildSessionPayload(signAccessToken(user), refreshToken);
+}
+
+/**
+ * Exchange a refresh token for a new access + refresh pair. The presented
+ * token is revoked; presenting an already-rotated token revokes the family.
+ *
+ * @returns {Promise<{ userId: string, session: object } | null>} null when the token is unusable
+ */
+async function rotateRefreshToken(token, req) {
+  if (!token) return null;
+
+  const tokenHash = hashToken(token);
+  const now = new Date();
+
+  // Revoke first, atomically — of two concurrent refreshes only one gets here
+  const existing = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now } },
+  ).lean();
+
+  if (!existing) {
+    const presented = await RefreshToken.findOne({ tokenHash }).select("family revokedAt").lean();
+    if (presented?.revokedAt) {
+      // Rotated token replayed — assume it leaked and kill the whole chain
+      await revokeTokenFamily(presented.family);
+    }
+    return null;
+  }
+
+  const refreshToken = await createRefreshToken(existing.user, existing.family, req);
+  await RefreshToken.updateOne(
+    { _id: existing._id },
+    { $set: { replacedBy: hashToken(refreshToken) } },
+  );
+
+  return {
+    userId: String(existing.user),
+    session: buildSessionPayload(signAccessToken({ _id: existing.user }), refreshToken),
+  };
+}
+
+async function revokeTokenFamily(family) {
+  await RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+  );
+}
+
+/**
+ * Logout — revoke the family the given refresh token belongs to.
+ * @returns {Promise<boolean>} false when the token is unknown
+ */
+async function revokeRefreshToken(token) {
+  if (!token) return false;
+  const existing = await RefreshToken.findOne({ tokenHash: hashToken(token) }).lean();
+  if (!existing) return false;
+  await revokeTokenFamily(existing.family);
+  return true;
+}
+
+async function revokeAllUserSessions(userId) {
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+  );
+}
+
+module.exports = {
+  issueUserSession,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllUserSessions,
+  verifyAccessToken,
+};
@@ -0,0 +1,314 @@
+/**
+ * Variable-weight items: the customer orders an approximate quantity (packs of
+ * the variant's nominal size) and the packer records what was actually packed.
+ *
+ * recordPackedWeights() re-prices those lines on the weight packed — capped at
+ * the configured tolerance over what was ordered — moves the order totals by
+ * the same rules as the cart totals, and settles the difference: a COD order
+ * simply collects the new total, a prepaid one gets a partial refund through
+ * the gateway or an extra amount to collect at the door (a pending
+ * "weight_adjustment" payment, netted against on a re-weigh).
+ */
+
+const Order = require("../models/Orders");
+const Payment = require("../models/Payment");
+const { getRazorpay } = require("../config/razorpay");
+const { tolerancePercent } = require("../config/variableWeight");
+
+/** Order statuses in which weights can still be recorded */
+const WEIGHABLE_STATUSES = ["placed", "confirmed", "packed"];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const round3 = (n) => Math.round(n * 1000) / 1000;
+
+/** Packs an order item is billed for — fractional once a weighed item is packed */
+const billedUnits = (item) =>
+  item.variableWeight && item.weight?.billed != null
+    ? item.weight.billed / item.packSize
+    : item.quantity;
+
+/** One line's share of the order totals, as the cart works them out */
+function lineTotals(item) {
+  const units = billedUnits(item);
+  let discount = 0;
+  let tax = 0;
+
+  if (item.discount > 0 && item.mrp) {
+    discount = (item.mrp - item.unitPrice) * units;
+  }
+  if (item.tax && item.tax.gstPercent > 0) {
+    const taxPerUnit = item.tax.inclusive
+      ? item.unitPrice - item.unitPrice / (1 + item.tax.gstPercent / 100)
+      : (item.unitPrice * item.tax.gstPercent) / 100;
+    tax = taxPerUnit * units;
+  }
+
+  return { subtotal: item.subtotal, discount, tax };
+}
+
+/** @returns {boolean} whether any weighed item still lacks its packed weight */
+const awaitingWeights = (order) =>
+  order.items.some((item) => item.variableWeight && item.weight?.packed == null);
+
+/* ================= SETTLEMENT ================= */
+
+/**
+ * Works out how a change in the order total will be settled, without touching
+ * any payment yet.
+ *
+ * @returns {Promise<Object[]>} adjustments; `nextAmount` (not stored) is what a
+ *          pending extra collection becomes
+ */
+async function planAdjustments(order, difference) {
+  if (!difference) return [];
+
+  if (order.payment.isCod) {
+    return [{ type: "cod_update", amount: difference }];
+  }
+
+  const adjustments = [];
+  let remaining = difference;
+
+  // A re-weigh first changes an extra amount that hasn't been collected yet
+  const pending = await Payment.findOne({
+    order: order._id,
+    purpose: "weight_adjustment",
+    status: "pending",
+  }).lean();
+  if (pending) {
+    const nextAmount = round2(pending.amount + remaining);
+    adjustments.push({
+      type: "collection",
+      amount: nextAmount > 0 ? remaining : -pending.amount,
+      payment: pending._id,
+      nextAmount,
+    });
+    remaining = nextAmount > 0 ? 0 : nextAmount;
+  }
+
+  if (remaining > 0) {
+    adjustments.push({ type: "collection", amount: remaining });
+  } else if (remaining < 0) {
+    adjustments.push({ type: "refund", amount: remaining });
+  }
+
+  return adjustments;
+}
+
+/** Partial refund of a prepaid order's gateway payment, receipted with the adjustment key */
+async function refundDifference(order, adjustment) {
+  const amount = -adjustment.amount;
+  const payment = await Payment.findOne({
+    order: order._id,
+    purpose: { $ne: "weight_adjustment" },
+    status: { $in: ["success", "partial_refund"] },
+  });
+
+  try {
+    const razorpay = getRazorpay();
+    if (!razorpay || !payment?.gateway?.paymentId) {
+      throw new Error("No gateway payment to refund against");
+    }
+
+    const refund = await razorpay.payments.refund(payment.gateway.paymentId, {
+      amount: Math.round(amount * 100),
+      receipt: adjustment.key,
+      notes: { orderNumber: order.orderNumber, reason: "Packed weight adjustment" },
+    });
+
+    // updateOne, not save(): nothing here should re-run the payment hooks
+    await Payment.updateOne(
+      { _id: payment._id },
+      {
+        $set: {
+          status: "partial_refund",
+          "refund.reason": "Packed weight adjustment",
+          "refund.refundedAt": new Date(),
+          "refund.gatewayRefundId": refund.id,
+        },
+        $inc: { "refund.amount": amount },
+      },
+    );
+
+    return { status: "completed", payment: payment._id, gatewayRefundId: refund.id };
+  } catch (error) {
+    // Left for an admin to refund by hand from the payments screen
+    console.error(`Weight refund ${adjustment.key} failed:`, error.message);
+    return { status: "failed", payment: payment?._id, failureReason: error.message };
+  }
+}
+
+/**
+ * Carries out one planned adjustment.
+ * @returns {Promise<Object>} fields to record on the adjustment
+ */
+async function applyAdjustment(order, adjustment) {
+  switch (adjustment.type) {
+    case "cod_update":
+      await Payment.updateOne(
+        { order: order._id, purpose: { $ne: "weight_adjustment" }, status: "pending" },
+        { $set: { amount: order.grandTotal } },
+      );
+      return { status: "completed" };
+
+    case "collection": {
+      if (adjustment.payment) {
+        const collect = adjustment.nextAmount > 0;
+        await Payment.updateOne(
+          { _id: adjustment.payment, status: "pending" },
+          { $set: collect ? { amount: adjustment.nextAmount } : { status: "cancelled" } },
+        );
+        return { status: collect ? "pending" : "completed" };
+      }
+
+      const attempts = await Payment.countDocuments({ order: order._id });
+      // Collected at the door like COD (POST /payments/:id/collect-cod)
+      const payment = await Payment.create({
+        order: order._id,
+        user: order.user,
+        amount: adjustment.amount,
+        method: "cod",
+        purpose: "weight_adjustment",
+        attempt: attempts + 1,
+        notes: "Extra for variable-weight items packed heavier than ordered",
+      });
+      return { status: "pending", payment: payment._id };
+    }
+
+    default:
+      return refundDifference(order, adjustment);
+  }
+}
+
+/* ================= PACKING ================= */
+
+/**
+ * Records packed weights, re-prices the order and settles the difference.
+ * Weighing an item again replaces its earlier weight.
+ *
+ * The new totals and the planned adjustments are written first, guarded on
+ * the order being unchanged since it was read, so concurrent or retried
+ * requests can't settle the same difference twice; payments are only touched
+ * once that write has won. An adjustment left "pending" with no outcome is
+ * one whose gateway call never reported back — look it up by its key.
+ *
+ * @param {Object} order order document as read by the caller
+ * @param {Array<{ variantId, packedWeight }>} weights packedWeight in the item's packUnit
+ * @param {{ adminId?: string }} options
+ * @returns {Promise<{ order?: Object, difference?: number, adjustments?: Object[], error?: string, conflict?: boolean }>}
+ */
+async function recordPackedWeights(order, weights, { adminId = null } = {}) {
+  if (!Array.isArray(weights) || !weights.length) {
+    return { error: "items must list at least one { variantId, packedWeight }" };
+  }
+
+  const updates = [];
+  for (const entry of weights) {
+    const index = order.items.findIndex((i) => String(i.variantId) === String(entry?.variantId));
+    const item = order.items[index];
+    if (!item) {
+      return { error: `Variant ${entry?.variantId} is not in this order` };
+    }
+    if (!item.variableWeight) {
+      return { error: `${item.productName} is not sold by weight` };
+    }
+    const packed = Number(entry.packedWeight);
+    if (!(packed > 0)) {
+      return { error: `Packed weight for ${item.productName} must be a positive number` };
+    }
+    updates.push({ index, item, packed });
+  }
+
+  const hasNonInclusiveTax = order.items.some((item) => item.tax && !item.tax.inclusive);
+  const totalBefore = order.grandTotal;
+  const delta = { subtotal: 0, discount: 0, tax: 0 };
+  const $set = {};
+
+  for (const { index, item, packed } of updates) {
+    const before = lineTotals(item);
+    const ordered = round3(item.packSize * item.quantity);
+
+    item.weight = {
+      ordered,
+      packed,
+      billed: round3(Math.min(packed, ordered * (1 + tolerancePercent / 100))),
+      estimatedSubtotal: item.weight?.estimatedSubtotal ?? item.subtotal,
+      packedAt: new Date(),
+      packedBy: adminId,
+    };
+    item.subtotal = round2((item.unitPrice * item.weight.billed) / item.packSize);
+    $set[`items.${index}.weight`] = item.weight;
+    $set[`items.${index}.subtotal`] = item.subtotal;
+
+    const after = lineTotals(item);
+    delta.subtotal += after.subtotal - before.subtotal;
+    delta.discount += after.discount - before.discount;
+    delta.tax += after.tax - before.tax;
+  }
+
+  Object.assign($set, {
+    subtotal: round2(order.subtotal + delta.subtotal),
+    totalDiscount: round2(Math.max(0, order.totalDiscount + delta.discount)),
+    taxAmount: round2(Math.max(0, order.taxAmount + delta.tax)),
+    grandTotal: round2(order.grandTotal + delta.subtotal + (hasNonInclusiveTax ? delta.tax : 0)),
+  });
+  Object.assign(order, {
+    subtotal: $set.subtotal,
+    totalDiscount: $set.totalDiscount,
+    taxAmount: $set.taxAmount,
+    grandTotal: $set.grandTotal,
+  });
+
+  const difference = round2(order.grandTotal - totalBefore);
+  const version = (order.__v || 0) + 1;
+  const planned = (await planAdjustments(order, difference)).map((adjustment, i) => ({
+    ...adjustment,
+    key: `wt_${order._id}_${version}_${i}`,
+    status: "pending",
+    createdBy: adminId,
+    createdAt: new Date(),
+  }));
+
+  const claimed = await Order.updateOne(
+    {
+      _id: order._id,
+      __v: order.__v,
+      grandTotal: totalBefore,
+      status: { $in: WEIGHABLE_STATUSES },
+    },
+    {
+      $set,
+      $push: { weightAdjustments: { $each: planned.map(({ nextAmount, ...stored }) => stored) } },
+      $inc: { __v: 1 },
+    },
+  );
+  if (!claimed.modifiedCount) {
+    return {
+      conflict: true,
+      error: "The order changed while weights were being recorded; reload it and try again",
+    };
+  }
+
+  const adjustments = [];
+  for (const adjustment of planned) {
+    const outcome = await applyAdjustment(order, adjustment);
+    await Order.updateOne(
+      { _id: order._id, "weightAdjustments.key": adjustment.key },
+      {
+        $set: Object.fromEntries(
+          Object.entries(outcome).map(([field, value]) => [`weightAdjustments.$.${field}`, value]),
+        ),
+      },
+    );
+    const { nextAmount, ...stored } = adjustment;
+    adjustments.push({ ...stored, ...outcome });
+  }
+
+  return { order: await Order.findById(order._id), difference, adjustments };
+}
+
+module.exports = {
+  WEIGHABLE_STATUSES,
+  awaitingWeights,
+  recordPackedWeights,
+};